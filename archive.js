@@ -0,0 +1,134 @@
+// ============================================
+// ARCHIVE PAGE FOR TAB LIMITER (MV3)
+// ============================================
+
+// ============================================
+// CONSTANTS
+// ============================================
+const ARCHIVE_DEFAULTS = {
+	archive: []
+};
+
+// ============================================
+// ARCHIVE STORAGE
+// ============================================
+const getArchive = async () => {
+	try {
+		const { archive } = await chrome.storage.local.get(ARCHIVE_DEFAULTS);
+		return archive;
+	} catch (error) {
+		console.error("Failed to get archive:", error);
+		return [];
+	}
+};
+
+const removeEntries = async (ids) => {
+	try {
+		const archive = await getArchive();
+		await chrome.storage.local.set({
+			archive: archive.filter((entry) => !ids.includes(entry.id))
+		});
+	} catch (error) {
+		console.error("Failed to remove archive entries:", error);
+	}
+};
+
+// The new tab goes through the service worker's limit checks like any other
+const restoreEntry = async (entry) => {
+	try {
+		await removeEntries([entry.id]);
+		await chrome.tabs.create({ url: entry.url, active: false });
+	} catch (error) {
+		console.error("Failed to restore archive entry:", error);
+	}
+};
+
+// ============================================
+// RENDERING
+// ============================================
+const describeLimit = (entry) => {
+	switch (entry.place) {
+		case "window":
+			return "window limit";
+		case "total":
+			return "total limit";
+		case "domain":
+			return `${entry.domain || "domain"} limit`;
+		case "idle":
+			return "inactive";
+		default:
+			return `${entry.place} limit`;
+	}
+};
+
+const matchesSearch = (entry, query) => {
+	if (!query) return true;
+	const haystack = `${entry.title} ${entry.url}`.toLowerCase();
+	return query.toLowerCase().split(/\s+/).every((word) => haystack.includes(word));
+};
+
+const createEntryElement = (entry) => {
+	const item = document.createElement('li');
+
+	const icon = document.createElement('img');
+	icon.src = entry.favIconUrl || 'icons/48.png';
+	icon.alt = '';
+
+	const text = document.createElement('div');
+	text.className = 'entry';
+	const link = document.createElement('a');
+	link.href = entry.url;
+	link.textContent = entry.title || entry.url;
+	link.title = entry.url;
+	link.addEventListener('click', (event) => {
+		event.preventDefault();
+		restoreEntry(entry);
+	});
+	const details = document.createElement('span');
+	details.className = 'details';
+	details.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${describeLimit(entry)} · ${entry.url}`;
+	text.append(link, details);
+
+	const restore = document.createElement('button');
+	restore.type = 'button';
+	restore.textContent = 'Restore';
+	restore.addEventListener('click', () => restoreEntry(entry));
+
+	const remove = document.createElement('button');
+	remove.type = 'button';
+	remove.textContent = 'Delete';
+	remove.addEventListener('click', () => removeEntries([entry.id]));
+
+	item.append(icon, text, restore, remove);
+	return item;
+};
+
+const renderArchive = async () => {
+	const archive = await getArchive();
+	const query = document.getElementById('search').value.trim();
+	const entries = archive.filter((entry) => matchesSearch(entry, query));
+
+	const list = document.getElementById('entries');
+	list.textContent = '';
+	entries.forEach((entry) => list.appendChild(createEntryElement(entry)));
+
+	document.getElementById('empty').classList.toggle('hidden', entries.length > 0);
+	document.getElementById('clearArchive').disabled = archive.length === 0;
+};
+
+// ============================================
+// EVENT LISTENERS
+// ============================================
+document.addEventListener('DOMContentLoaded', async () => {
+	await renderArchive();
+
+	document.getElementById('search').addEventListener('input', renderArchive);
+	document.getElementById('clearArchive').addEventListener('click', async () => {
+		const archive = await getArchive();
+		await removeEntries(archive.map((entry) => entry.id));
+	});
+
+	chrome.storage.onChanged.addListener((changes, areaName) => {
+		if (areaName === "local" && changes.archive) renderArchive();
+	});
+});
@@ -2,31 +2,71 @@
 // SERVICE WORKER FOR TAB LIMITER (MV3)
 // ============================================
 
+importScripts("schema.js");
+
 // ============================================
 // CONSTANTS
 // ============================================
 const MIN_ALLOWED_TABS = 1;
 const INITIAL_TAB_COUNT = -1;
-
-const DEFAULT_OPTIONS = {
-	maxTotal: 50,
-	maxWindow: 20,
-	exceedTabNewWindow: false,
-	displayAlert: true,
-	countPinnedTabs: false,
-	displayBadge: false,
-	alertMessage: "You decided not to open more than {maxPlace} tabs in {place}"
-};
+const TAB_GROUP_ID_NONE = -1;
+const SCHEDULE_ALARM = "schedule";
+const SNOOZE_ALARM = "snooze";
+const STATS_ALARM = "stats";
+const STATS_SAMPLE_MINUTES = 5;
+const IDLE_ALARM = "idle";
+const IDLE_SWEEP_ALARM = "idle-sweep";
+const IDLE_CHECK_MINUTES = 30;
+// Time to cancel between listing inactive tabs and closing them
+const IDLE_SWEEP_DELAY_MINUTES = 1;
+const IDLE_SWEEP_LIST_LENGTH = 10;
+const STATS_RETENTION_DAYS = 90;
+const LIMIT_STEP = 5;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const IDLE_UNIT_MS = { hours: 60 * 60 * 1000, days: DAY_IN_MS };
+// Tabs used this recently stay loaded even over the loaded tab limit
+const DISCARD_GRACE_MS = 5 * 60 * 1000;
+// Windows created this soon after another one come from a session restore
+const WINDOW_BURST_MS = 1000;
+const BADGE_COLOR = "#666666";
+const BADGE_WARNING_COLOR = "#F29900";
+const BADGE_SNOOZE_COLOR = "#1A73E8";
+const SNOOZE_ENDED_NOTIFICATION = "tab-limiter-snooze-ended";
+const IDLE_SWEEP_NOTIFICATION = "tab-limiter-idle-sweep";
+const IDLE_SWEEP_BUTTONS = [{ title: "Cancel and keep these tabs" }];
+// Chrome shows at most two buttons; clicking the alert itself shows the tabs
+const ALERT_BUTTONS = [
+	{ title: "Close oldest tab and open this one" },
+	{ title: "Open anyway (use a pass)" }
+];
+// With "incognito": "split" an incognito profile runs its own copy of this
+// service worker, which only sees incognito windows and sets their badge
+const IS_INCOGNITO = Boolean(chrome.extension && chrome.extension.inIncognitoContext);
+// The extension's own pages never count, so the tab manager opens at any limit
+const EXTENSION_PAGE_URL = chrome.runtime.getURL("");
+const TAB_MANAGER_URL = chrome.runtime.getURL("manager.html");
+const LIMIT_PAGE_URL = chrome.runtime.getURL("limit.html");
+const TRACKING_PARAM_PATTERN = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|yclid|_hsenc|_hsmi)$/i;
 
 // ============================================
 // EVENT LISTENERS (must be synchronous, top-level)
 // ============================================
 chrome.tabs.onCreated.addListener(handleTabCreated);
-chrome.tabs.onRemoved.addListener(handleUpdate);
-chrome.tabs.onUpdated.addListener(handleUpdate);
+chrome.tabs.onRemoved.addListener(handleTabRemoved);
+chrome.tabs.onUpdated.addListener(handleTabUpdated);
+chrome.tabs.onActivated.addListener(handleTabActivated);
 chrome.windows.onFocusChanged.addListener(handleUpdate);
+chrome.windows.onCreated.addListener(handleWindowCreated);
+chrome.windows.onRemoved.addListener(handleWindowRemoved);
 chrome.runtime.onInstalled.addListener(handleInstalled);
 chrome.runtime.onStartup.addListener(handleStartup);
+chrome.alarms.onAlarm.addListener(handleAlarm);
+chrome.storage.onChanged.addListener(handleStorageChanged);
+chrome.commands.onCommand.addListener(handleCommand);
+chrome.notifications.onClicked.addListener(handleNotificationClicked);
+chrome.notifications.onButtonClicked.addListener(handleNotificationButtonClicked);
+chrome.notifications.onClosed.addListener(handleNotificationClosed);
+chrome.runtime.onMessage.addListener(handleMessage);
 
 // ============================================
 // STATE MANAGEMENT
@@ -35,7 +75,31 @@ const SESSION_STATE_DEFAULTS = {
 	tabCount: INITIAL_TAB_COUNT,
 	previousTabCount: INITIAL_TAB_COUNT,
 	amountOfTabsCreated: INITIAL_TAB_COUNT,
-	passes: 0
+	passes: 0,
+	// Passes granted by hand; unlike `passes`, which only cover a batch of
+	// tabs, they are not reset when a tab opens within the limits
+	grantedPasses: 0,
+	// Timestamps keyed by tab ID, used to pick which tab to evict
+	tabActivatedAt: {},
+	tabCreatedAt: {},
+	// The URL each tab was last checked at, keyed by tab ID, so only URL
+	// changes that take a tab to another site are checked again
+	tabUrls: {},
+	// Tabs let over a limit with a pass, keyed by tab ID; the pass also covers
+	// what follows their creation (URL commit, redirects, joining a group)
+	// until they have loaded
+	passedTabs: {},
+	// Places ("total", "window-<id>") whose warning was shown since they last
+	// dropped below the threshold
+	warnedPlaces: {},
+	// The tab and place of each limit alert still on screen, keyed by notification ID
+	alerts: {},
+	// Limits set from the popup for single windows, keyed by window ID
+	windowLimits: {},
+	// Whether windowLimits were matched to the open windows after a restart
+	windowLimitsRestored: false,
+	// IDs of the inactive tabs listed in the notification before they are closed
+	idleSweep: []
 };
 
 const SessionState = {
@@ -76,41 +140,506 @@ const SessionState = {
 
 	async resetPasses() {
 		await this.set({ passes: 0 });
+	},
+
+	// Returns how many tabs over the limit will be allowed in all
+	async grantPasses(amount = 1) {
+		const { passes, grantedPasses } = await this.get();
+		await this.set({ grantedPasses: grantedPasses + amount });
+		return passes + grantedPasses + amount;
+	},
+
+	// Uses up a pass if there is one; returns whether it did
+	async takePass() {
+		const { passes, grantedPasses } = await this.get();
+		if (passes > 0) {
+			await this.decrementPasses();
+			return true;
+		}
+		if (grantedPasses > 0) {
+			await this.set({ grantedPasses: grantedPasses - 1 });
+			return true;
+		}
+		return false;
+	},
+
+	async recordTabActivated(tabId, time = Date.now()) {
+		const { tabActivatedAt } = await this.get();
+		await this.set({ tabActivatedAt: { ...tabActivatedAt, [tabId]: time } });
+	},
+
+	async recordTabCreated(tabId, time = Date.now()) {
+		const { tabCreatedAt } = await this.get();
+		await this.set({ tabCreatedAt: { ...tabCreatedAt, [tabId]: time } });
+	},
+
+	// Marks a tab that used a pass, so later checks let it through until it has loaded
+	async recordPassedTab(tabId) {
+		const { passedTabs } = await this.get();
+		await this.set({ passedTabs: { ...passedTabs, [tabId]: true } });
+	},
+
+	async forgetPassedTab(tabId) {
+		const { passedTabs } = await this.get();
+		if (!passedTabs[tabId]) return;
+		const remaining = { ...passedTabs };
+		delete remaining[tabId];
+		await this.set({ passedTabs: remaining });
+	},
+
+	// Returns the URL the tab was checked at before, undefined if it never was
+	async recordTabUrl(tabId, url) {
+		const { tabUrls } = await this.get();
+		await this.set({ tabUrls: { ...tabUrls, [tabId]: url } });
+		return tabUrls[tabId];
+	},
+
+	async forgetTab(tabId) {
+		const { tabActivatedAt, tabCreatedAt, tabUrls, passedTabs } = await this.get();
+		const activated = { ...tabActivatedAt };
+		const created = { ...tabCreatedAt };
+		const urls = { ...tabUrls };
+		const passed = { ...passedTabs };
+		delete activated[tabId];
+		delete created[tabId];
+		delete urls[tabId];
+		delete passed[tabId];
+		await this.set({ tabActivatedAt: activated, tabCreatedAt: created, tabUrls: urls, passedTabs: passed });
+	},
+
+	async rememberAlert(notificationId, alert) {
+		const { alerts } = await this.get();
+		await this.set({ alerts: { ...alerts, [notificationId]: alert } });
+	},
+
+	// Returns the forgotten alert, or null if there was none
+	async forgetAlert(notificationId) {
+		const { alerts } = await this.get();
+		if (!(notificationId in alerts)) return null;
+
+		const remaining = { ...alerts };
+		delete remaining[notificationId];
+		await this.set({ alerts: remaining });
+		return alerts[notificationId];
+	},
+
+	// A max of null removes the window's own limit
+	async setWindowLimit(windowId, max) {
+		const { windowLimits } = await this.get();
+		const updated = { ...windowLimits };
+		if (max === null) {
+			delete updated[windowId];
+		} else {
+			updated[windowId] = max;
+		}
+		await this.set({ windowLimits: updated });
+	}
+};
+
+// ============================================
+// ENFORCEMENT STATE (persists in local storage)
+// ============================================
+// Device-local switches rather than options, so switching profiles or
+// importing settings never turns enforcement back on or off
+const ENFORCEMENT_STATE_DEFAULTS = {
+	enforcementEnabled: true,
+	// When a snooze started from the popup ends, in milliseconds; 0 when not snoozed
+	snoozedUntil: 0
+};
+
+const EnforcementState = {
+	async get() {
+		return await chrome.storage.local.get(ENFORCEMENT_STATE_DEFAULTS);
+	},
+
+	async set(updates) {
+		await chrome.storage.local.set(updates);
+	}
+};
+
+// ============================================
+// TAB ARCHIVE (persists in local storage)
+// ============================================
+const ARCHIVE_DEFAULTS = {
+	archive: []
+};
+
+const TabArchive = {
+	async get() {
+		try {
+			const { archive } = await chrome.storage.local.get(ARCHIVE_DEFAULTS);
+			return archive;
+		} catch (error) {
+			console.error("Failed to get archive:", error);
+			return [];
+		}
+	},
+
+	async set(archive) {
+		try {
+			await chrome.storage.local.set({ archive });
+		} catch (error) {
+			console.error("Failed to update archive:", error);
+		}
+	},
+
+	// Newest entries first; drops what is past the retention period or size cap
+	prune(archive, options, now = Date.now()) {
+		const retentionDays = Number(options.archiveRetentionDays);
+		const maxEntries = Number(options.archiveMaxEntries);
+		let pruned = archive;
+		if (retentionDays > 0) {
+			pruned = pruned.filter((entry) => now - entry.timestamp < retentionDays * DAY_IN_MS);
+		}
+		if (maxEntries > 0) {
+			pruned = pruned.slice(0, maxEntries);
+		}
+		return pruned;
+	},
+
+	async add(tab, options, place) {
+		// Private browsing leaves nothing behind to restore
+		if (!options.archiveBlockedTabs || tab.incognito) return;
+
+		const url = tab.pendingUrl || tab.url;
+		// A blank new tab has nothing worth restoring
+		if (!url || url === "chrome://newtab/") return;
+
+		const now = Date.now();
+		const entry = {
+			id: `${now}-${tab.id}`,
+			url,
+			title: tab.title || url,
+			favIconUrl: tab.favIconUrl || "",
+			timestamp: now,
+			place,
+			domain: place === "domain" ? getTabHostname(tab) : null
+		};
+		const archive = await this.get();
+		await this.set(this.prune([entry, ...archive], options, now));
+	}
+};
+
+// ============================================
+// USAGE STATISTICS (persists in local storage)
+// ============================================
+// Events are aggregated into one bucket per local day, keyed "YYYY-MM-DD"
+const STATS_DEFAULTS = {
+	stats: {}
+};
+
+function createEmptyStatsDay() {
+	return {
+		samples: 0,
+		tabSum: 0,
+		peakTabs: 0,
+		limitHits: {},
+		domains: {},
+		blocked: 0,
+		evicted: 0,
+		moved: 0
+	};
+}
+
+function getDayKey(date) {
+	const pad = (number) => String(number).padStart(2, "0");
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const UsageStats = {
+	async get() {
+		try {
+			const { stats } = await chrome.storage.local.get(STATS_DEFAULTS);
+			return stats;
+		} catch (error) {
+			console.error("Failed to get stats:", error);
+			return {};
+		}
+	},
+
+	async set(stats) {
+		try {
+			await chrome.storage.local.set({ stats });
+		} catch (error) {
+			console.error("Failed to update stats:", error);
+		}
+	},
+
+	prune(stats, now = new Date()) {
+		const oldest = new Date(now);
+		oldest.setDate(now.getDate() - STATS_RETENTION_DAYS);
+		const oldestKey = getDayKey(oldest);
+
+		const pruned = {};
+		for (const key of Object.keys(stats)) {
+			if (key > oldestKey) pruned[key] = stats[key];
+		}
+		return pruned;
+	},
+
+	async update(mutate, now = new Date()) {
+		if (IS_INCOGNITO) return;
+		const stats = { ...await this.get() };
+		const key = getDayKey(now);
+		const day = { ...createEmptyStatsDay(), ...stats[key] };
+		mutate(day);
+		stats[key] = day;
+		await this.set(this.prune(stats, now));
+	},
+
+	async recordSample(tabCount) {
+		await this.update((day) => {
+			day.samples += 1;
+			day.tabSum += tabCount;
+			day.peakTabs = Math.max(day.peakTabs, tabCount);
+		});
+	},
+
+	async recordLimitHit(place, domain) {
+		await this.update((day) => {
+			day.limitHits = { ...day.limitHits, [place]: (day.limitHits[place] || 0) + 1 };
+			if (domain) {
+				day.domains = { ...day.domains, [domain]: (day.domains[domain] || 0) + 1 };
+			}
+		});
+	},
+
+	// action is "blocked", "evicted" or "moved"
+	async recordTab(action) {
+		await this.update((day) => {
+			day[action] += 1;
+		});
 	}
 };
 
+async function ensureStatsAlarm() {
+	try {
+		const alarm = await chrome.alarms.get(STATS_ALARM);
+		if (!alarm) {
+			await chrome.alarms.create(STATS_ALARM, { periodInMinutes: STATS_SAMPLE_MINUTES });
+		}
+	} catch (error) {
+		console.error("Failed to create stats alarm:", error);
+	}
+}
+
+async function sampleTabCount() {
+	const tabs = await chrome.tabs.query({});
+	await UsageStats.recordSample(tabs.length);
+}
+
 // ============================================
 // OPTIONS MANAGEMENT
 // ============================================
+// The stored options of the active profile, before schedules and incognito limits
+async function getStoredOptions() {
+	const defaults = await chrome.storage.sync.get("defaultOptions");
+	const options = await chrome.storage.sync.get(defaults.defaultOptions || DEFAULT_OPTIONS);
+	return sanitizeOptions(resolveProfile(options, await getProfileState()), DEFAULT_OPTIONS);
+}
+
 async function getOptions() {
 	try {
-		const defaults = await chrome.storage.sync.get("defaultOptions");
-		const options = await chrome.storage.sync.get(defaults.defaultOptions || DEFAULT_OPTIONS);
-		return options;
+		const options = applyIncognitoLimits(applySchedule(await getStoredOptions()));
+		const { enforcementEnabled, snoozedUntil } = await EnforcementState.get();
+		return { ...options, enforcementEnabled, snoozedUntil };
 	} catch (error) {
 		console.error("Failed to get options:", error);
 		return DEFAULT_OPTIONS;
 	}
 }
 
+// ============================================
+// INCOGNITO
+// ============================================
+// The incognito copy of the service worker enforces its own budget, which
+// takes precedence over schedules, or nothing at all
+function applyIncognitoLimits(options) {
+	if (!IS_INCOGNITO) return options;
+	return { ...options, maxTotal: options.incognitoMaxTotal, maxWindow: options.incognitoMaxWindow };
+}
+
+function isLimitingDisabled(options) {
+	return options.enforcementEnabled === false || isSnoozed(options) ||
+		(IS_INCOGNITO && options.incognitoMode === "ignore");
+}
+
+// ============================================
+// SCHEDULES
+// ============================================
+// Which schedule is active, and when that changes, is worked out in schema.js
+async function scheduleNextLimitChange(options) {
+	try {
+		const next = getNextScheduleChange(options, new Date());
+		await chrome.alarms.clear(SCHEDULE_ALARM);
+		if (next) {
+			await chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+		}
+	} catch (error) {
+		console.error("Failed to schedule next limit change:", error);
+	}
+}
+
+// ============================================
+// ALLOWLIST
+// ============================================
+// Entries are Chrome match patterns ("*://*.wiki.example.com/*"), or globs over
+// the whole URL ("http://localhost:*") when they are not. Unlike Chrome, a
+// host without a port matches any port, so localhost covers every dev server.
+const MATCH_PATTERN = /^(\*|[a-z][a-z0-9+.-]*):\/\/([^/]*)(\/.*)?$/i;
+
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function globToRegExpSource(glob) {
+	return glob.split("*").map(escapeRegExp).join(".*");
+}
+
+function compileUrlPattern(pattern) {
+	const match = pattern.trim().match(MATCH_PATTERN);
+	if (!match) return new RegExp(`^${globToRegExpSource(pattern.trim())}$`, "i");
+
+	const [, scheme, host, path = "/*"] = match;
+	let hostSource;
+	if (host === "*") {
+		hostSource = "[^/]*";
+	} else if (host.startsWith("*.")) {
+		hostSource = `([^/]*\\.)?${globToRegExpSource(host.slice(2))}`;
+	} else {
+		hostSource = globToRegExpSource(host);
+	}
+	if (!host.includes(":")) hostSource += "(:\\d+)?";
+
+	const schemeSource = scheme === "*" ? "https?" : escapeRegExp(scheme);
+	return new RegExp(`^${schemeSource}://${hostSource}${globToRegExpSource(path)}$`, "i");
+}
+
+// A loading tab only has a pendingUrl, so both URLs are checked
+function createAllowlistMatcher(options) {
+	const patterns = (options.allowlist || []).map(compileUrlPattern);
+	return (tab) => [tab.url, tab.pendingUrl].some((url) =>
+		Boolean(url) && (url.startsWith(EXTENSION_PAGE_URL) || patterns.some((pattern) => pattern.test(url)))
+	);
+}
+
+function isAllowlistedTab(options, tab) {
+	return createAllowlistMatcher(options)(tab);
+}
+
 // ============================================
 // TAB QUERY UTILITIES
 // ============================================
+// Allowlisted tabs never count towards any limit and are never evicted
 async function tabQuery(options, params = {}) {
 	if (!options.countPinnedTabs) {
 		params.pinned = false;
 	}
-	return chrome.tabs.query(params);
+	const tabs = await chrome.tabs.query(params);
+	const isAllowlisted = createAllowlistMatcher(options);
+	return tabs.filter((tab) => !isAllowlisted(tab));
 }
 
 async function windowRemaining(options) {
-	const tabs = await tabQuery(options, { currentWindow: true });
-	return options.maxWindow - tabs.length;
+	const { tabs, max } = await queryCurrentWindow(options);
+	return max - countTabs(options, tabs);
 }
 
 async function totalRemaining(options) {
 	const tabs = await tabQuery(options);
-	return options.maxTotal - tabs.length;
+	return options.maxTotal - countTabs(options, tabs);
+}
+
+// ============================================
+// TAB WEIGHTS
+// ============================================
+// The first rule whose pattern matches a tab's URL sets its weight; the
+// window and total limits are compared against the sum of the weights
+const DEFAULT_TAB_WEIGHT = 1;
+
+function createTabWeigher(options) {
+	const rules = (options.tabWeights || []).map(({ pattern, weight }) => ({
+		pattern: compileUrlPattern(pattern),
+		weight
+	}));
+	return (tab) => {
+		const url = tab.pendingUrl || tab.url;
+		const rule = url && rules.find(({ pattern }) => pattern.test(url));
+		return rule ? rule.weight : DEFAULT_TAB_WEIGHT;
+	};
+}
+
+// Rounded to hundredths so weights such as 0.1 add up without float noise
+function countTabs(options, tabs) {
+	const weigh = createTabWeigher(options);
+	const count = tabs.reduce((sum, tab) => sum + weigh(tab), 0);
+	return Math.round(count * 100) / 100;
+}
+
+// Only the window and total limits are weighted; domain and group limits count tabs
+async function countTabsInPlace(options, place, tab) {
+	if (place === "window") {
+		const params = tab ? { windowId: tab.windowId } : { currentWindow: true };
+		return countTabs(options, await tabQuery(options, params));
+	}
+	if (place === "total") {
+		return countTabs(options, await tabQuery(options));
+	}
+	return tab ? (await getEvictionPool(tab, options, place)).length : 0;
+}
+
+// ============================================
+// DOMAIN UTILITIES
+// ============================================
+function getTabHostname(tab) {
+	try {
+		return new URL(tab.pendingUrl || tab.url).hostname.toLowerCase();
+	} catch (error) {
+		return null;
+	}
+}
+
+function hostnameMatches(hostname, rule) {
+	if (!hostname) return false;
+	if (hostname === rule.hostname) return true;
+	return Boolean(rule.includeSubdomains) && hostname.endsWith("." + rule.hostname);
+}
+
+// A new tab's first URL commit was already checked when the tab was created,
+// by its pending URL, and tabs created without any URL yet (e.g. by a session
+// restore) are left alone as well; tabs opened before the extension started
+// have no previous URL and are always checked
+function isSiteChange(previousUrl, url) {
+	if (previousUrl === undefined) return true;
+	if (!previousUrl) return false;
+	return getTabHostname({ url: previousUrl }) !== getTabHostname({ url });
+}
+
+function findDomainLimit(options, hostname) {
+	if (!hostname || !Array.isArray(options.domainLimits)) return null;
+	return options.domainLimits.find((rule) =>
+		rule.hostname && rule.max >= MIN_ALLOWED_TABS && hostnameMatches(hostname, rule)
+	) || null;
+}
+
+// ============================================
+// TAB GROUP UTILITIES
+// ============================================
+// A per-title override wins over maxGroup; titles are compared case-insensitively
+async function getGroupLimit(options, groupId) {
+	let title = "";
+	try {
+		const group = await chrome.tabGroups.get(groupId);
+		title = group.title || "";
+	} catch (error) {
+		console.error("Failed to get tab group:", error);
+	}
+
+	const overrides = Array.isArray(options.groupLimits) ? options.groupLimits : [];
+	const override = title && overrides.find((rule) =>
+		rule.title && rule.title.toLowerCase() === title.toLowerCase()
+	);
+	return { title, max: override ? override.max : options.maxGroup };
 }
 
 // ============================================
@@ -118,23 +647,46 @@ async function totalRemaining(options) {
 // ============================================
 async function updateBadge(options) {
 	try {
-		if (!options.displayBadge) {
+		// Shown even without the remaining tabs badge, so enforcement is never off unnoticed
+		if (options.enforcementEnabled === false) {
+			await chrome.action.setBadgeText({ text: "off" });
+			await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+			return;
+		}
+		if (isSnoozed(options)) {
+			await chrome.action.setBadgeText({ text: "zzz" });
+			await chrome.action.setBadgeBackgroundColor({ color: BADGE_SNOOZE_COLOR });
+			return;
+		}
+		if (!options.displayBadge || isLimitingDisabled(options)) {
 			await chrome.action.setBadgeText({ text: "" });
 			return;
 		}
 
-		const remaining = await Promise.all([
-			windowRemaining(options),
-			totalRemaining(options)
-		]);
-		await chrome.action.setBadgeText({
-			text: Math.min(...remaining).toString()
+		await chrome.action.setBadgeText({ text: await getBadgeText(options) });
+
+		const usage = options.displayWarning ? await getUsage(options) : [];
+		await chrome.action.setBadgeBackgroundColor({
+			color: usage.some(isOverWarningThreshold) ? BADGE_WARNING_COLOR : BADGE_COLOR
 		});
 	} catch (error) {
 		console.error("Failed to update badge:", error);
 	}
 }
 
+// Whole tabs of default weight that still fit, or the loaded tabs while the
+// loaded tab limit is on, since that limit never blocks a tab
+async function getBadgeText(options) {
+	if (options.maxLoaded >= MIN_ALLOWED_TABS) {
+		return (await getLoadedTabs(options)).length.toString();
+	}
+	const remaining = await Promise.all([
+		windowRemaining(options),
+		totalRemaining(options)
+	]);
+	return Math.floor(Math.min(...remaining)).toString();
+}
+
 async function refreshBadge() {
 	try {
 		const options = await getOptions();
@@ -144,6 +696,102 @@ async function refreshBadge() {
 	}
 }
 
+// ============================================
+// SOFT-LIMIT WARNINGS
+// ============================================
+// Thresholds are either absolute ("40") or relative to the limit ("80%")
+function resolveThreshold(value, max) {
+	if (!(max >= MIN_ALLOWED_TABS)) return null;
+	const text = String(value ?? "").trim();
+	if (!text) return null;
+
+	if (text.endsWith("%")) {
+		const percent = parseFloat(text);
+		return percent > 0 ? Math.ceil(max * percent / 100) : null;
+	}
+	const absolute = parseInt(text, 10);
+	return absolute >= MIN_ALLOWED_TABS ? absolute : null;
+}
+
+function isOverWarningThreshold(usage) {
+	return usage.threshold !== null && usage.count >= usage.threshold;
+}
+
+async function getUsage(options) {
+	const [currentWindow, totalTabs] = await Promise.all([
+		queryCurrentWindow(options),
+		tabQuery(options)
+	]);
+	return [
+		{
+			place: "window",
+			key: currentWindow.windowId !== undefined ? `window-${currentWindow.windowId}` : "window",
+			count: countTabs(options, currentWindow.tabs),
+			max: currentWindow.max,
+			threshold: resolveThreshold(options.warnWindowAt, currentWindow.max)
+		},
+		{
+			place: "total",
+			key: "total",
+			count: countTabs(options, totalTabs),
+			max: options.maxTotal,
+			threshold: resolveThreshold(options.warnTotalAt, options.maxTotal)
+		}
+	];
+}
+
+async function displayWarning(options, usage) {
+	const replacer = (match, p1) => {
+		switch (p1) {
+			case "place":
+			case "which":
+				return usage.place === "window" ? "one window" : "total";
+			case "maxPlace":
+			case "maxWhich":
+				return usage.max;
+			case "count":
+				return Math.round(usage.count);
+			case "remaining":
+				return Math.max(0, Math.round(usage.max - usage.count));
+			default:
+				return options[p1] || "?";
+		}
+	};
+
+	try {
+		await chrome.notifications.create(`tab-limiter-warning-${Date.now()}`, {
+			type: 'progress',
+			iconUrl: chrome.runtime.getURL('icons/48.png'),
+			title: 'Tab Limiter',
+			message: options.warningMessage.replace(/{\s*(\S+)\s*}/g, replacer),
+			progress: Math.min(100, Math.round(usage.count / usage.max * 100))
+		});
+	} catch (error) {
+		console.error("Failed to display warning:", error);
+	}
+}
+
+// Warns once when a place crosses its threshold; dropping below it re-arms the warning
+async function checkWarnings(options) {
+	if (!options.displayWarning || isLimitingDisabled(options)) return;
+
+	const usages = await getUsage(options);
+	const { warnedPlaces } = await SessionState.get();
+	const updated = { ...warnedPlaces };
+
+	for (const usage of usages) {
+		if (isOverWarningThreshold(usage)) {
+			if (!updated[usage.key]) {
+				updated[usage.key] = true;
+				await displayWarning(options, usage);
+			}
+		} else {
+			delete updated[usage.key];
+		}
+	}
+	await SessionState.set({ warnedPlaces: updated });
+}
+
 // ============================================
 // TAB COUNT TRACKING
 // ============================================
@@ -177,25 +825,52 @@ async function updateTabCount() {
 // TAB LIMIT DETECTION
 // ============================================
 async function detectTooManyTabsInWindow(options) {
-	const tabs = await tabQuery(options, { currentWindow: true });
-	if (options.maxWindow < MIN_ALLOWED_TABS) return null;
-	if (tabs.length > options.maxWindow) return "window";
+	const { tabs, max } = await queryCurrentWindow(options);
+	if (max < MIN_ALLOWED_TABS) return null;
+	if (countTabs(options, tabs) > max) return "window";
 	return null;
 }
 
 async function detectTooManyTabsInTotal(options) {
 	const tabs = await tabQuery(options);
 	if (options.maxTotal < MIN_ALLOWED_TABS) return null;
-	if (tabs.length > options.maxTotal) return "total";
+	if (countTabs(options, tabs) > options.maxTotal) return "total";
+	return null;
+}
+
+async function detectTooManyTabsOnDomain(options, tab) {
+	if (!tab || (tab.pinned && !options.countPinnedTabs) || isAllowlistedTab(options, tab)) return null;
+	const rule = findDomainLimit(options, getTabHostname(tab));
+	if (!rule) return null;
+
+	// The tab itself may still be loading, so it is counted by its pending URL
+	const tabs = await tabQuery(options);
+	const otherTabs = tabs.filter((other) =>
+		other.id !== tab.id && hostnameMatches(getTabHostname(other), rule)
+	);
+	if (otherTabs.length + 1 > rule.max) return "domain";
+	return null;
+}
+
+async function detectTooManyTabsInGroup(options, tab) {
+	if (!tab || tab.groupId === undefined || tab.groupId === TAB_GROUP_ID_NONE) return null;
+	if (isAllowlistedTab(options, tab)) return null;
+	const { max } = await getGroupLimit(options, tab.groupId);
+	if (!(max >= MIN_ALLOWED_TABS)) return null;
+
+	const tabs = await tabQuery(options, { groupId: tab.groupId });
+	if (tabs.length > max) return "group";
 	return null;
 }
 
-async function detectTabLimitExceeded(options) {
-	const [windowResult, totalResult] = await Promise.all([
+async function detectTabLimitExceeded(options, tab) {
+	const [windowResult, totalResult, domainResult, groupResult] = await Promise.all([
 		detectTooManyTabsInWindow(options),
-		detectTooManyTabsInTotal(options)
+		detectTooManyTabsInTotal(options),
+		detectTooManyTabsOnDomain(options, tab),
+		detectTooManyTabsInGroup(options, tab)
 	]);
-	return windowResult || totalResult;
+	return windowResult || totalResult || domainResult || groupResult;
 }
 
 // ============================================
@@ -205,17 +880,33 @@ function capitalizeFirstLetter(string) {
 	return string[0].toUpperCase() + string.slice(1);
 }
 
-async function displayAlert(options, place) {
+async function displayAlert(options, place, tab) {
 	if (!options.displayAlert) return false;
 
+	const domainLimit = place === "domain" ? findDomainLimit(options, getTabHostname(tab)) : null;
+	const groupLimit = place === "group" ? await getGroupLimit(options, tab.groupId) : null;
+	const windowMax = place === "window" && tab ? await getWindowMax(options, tab.windowId) : null;
+	const count = await countTabsInPlace(options, place, tab);
+
 	const replacer = (match, p1) => {
 		switch (p1) {
 			case "place":
 			case "which":
+				if (domainLimit) return domainLimit.hostname;
+				if (groupLimit) return groupLimit.title ? `group "${groupLimit.title}"` : "one group";
 				return place === "window" ? "one window" : "total";
 			case "maxPlace":
 			case "maxWhich":
+				if (domainLimit) return domainLimit.max;
+				if (groupLimit) return groupLimit.max;
+				if (windowMax !== null) return windowMax;
 				return options["max" + capitalizeFirstLetter(place)];
+			case "count":
+				return Math.round(count);
+			case "domain":
+				return domainLimit ? domainLimit.hostname : "?";
+			case "group":
+				return groupLimit && groupLimit.title ? groupLimit.title : "?";
 			default:
 				return options[p1] || "?";
 		}
@@ -226,13 +917,30 @@ async function displayAlert(options, place) {
 		replacer
 	);
 
+	if (!tab) {
+		await displayNotification(renderedMessage);
+		return;
+	}
+
+	// Remembered first, so a button cannot be clicked before the tab is known
+	const notificationId = `tab-limiter-alert-${tab.id}-${Date.now()}`;
+	await SessionState.rememberAlert(notificationId, {
+		tab: { id: tab.id, url: tab.pendingUrl || tab.url, windowId: tab.windowId, groupId: tab.groupId },
+		place
+	});
+	await displayNotification(renderedMessage, notificationId, ALERT_BUTTONS);
+}
+
+// With `items` ({ title, message }) the notification shows them as a list
+async function displayNotification(message, notificationId = `tab-limiter-${Date.now()}`, buttons, items) {
 	try {
-		const notificationId = `tab-limiter-${Date.now()}`;
 		await chrome.notifications.create(notificationId, {
-			type: 'basic',
+			type: items ? 'list' : 'basic',
 			iconUrl: chrome.runtime.getURL('icons/48.png'),
 			title: 'Tab Limiter',
-			message: renderedMessage
+			message,
+			...(buttons && { buttons }),
+			...(items && { items })
 		});
 	} catch (error) {
 		console.error("Failed to display notification:", error);
@@ -240,32 +948,922 @@ async function displayAlert(options, place) {
 }
 
 // ============================================
-// TAB EXCEED HANDLING
+// DUPLICATE DETECTION
 // ============================================
-async function handleExceedTabs(tab, options, place) {
+// Only web pages are compared, so several new tab or settings pages never
+// count as duplicates of each other.
+function normalizeUrl(url, options) {
+	let parsed;
 	try {
-		if (options.exceedTabNewWindow && place === "window") {
-			await chrome.windows.create({ tabId: tab.id, focused: true });
-		} else {
-			await chrome.tabs.remove(tab.id);
-		}
+		parsed = new URL(url);
 	} catch (error) {
-		console.error("Failed to handle exceed tabs:", error);
+		return null;
 	}
-}
+	if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return null;
 
-// ============================================
-// EVENT HANDLERS
-// ============================================
-async function handleInstalled(details) {
-	try {
-		if (details.reason === "install") {
-			await chrome.storage.sync.set({ defaultOptions: DEFAULT_OPTIONS });
-			console.log("Tab Limiter installed with default options");
-		} else if (details.reason === "update") {
-			console.log("Tab Limiter updated to version", chrome.runtime.getManifest().version);
+	if (options.duplicateIgnoreHash) {
+		parsed.hash = "";
+	}
+	if (options.duplicateIgnoreTrackingParams) {
+		for (const key of [...parsed.searchParams.keys()]) {
+			if (TRACKING_PARAM_PATTERN.test(key)) parsed.searchParams.delete(key);
+		}
+	}
+	if (options.duplicateIgnoreScheme) {
+		parsed.protocol = "https:";
+	}
+	return parsed.href;
+}
+
+// A new tab's URL commit was compared by its pending URL already, and a change
+// that keeps the same page as far as duplicates go (e.g. only the hash, with
+// duplicateIgnoreHash) cannot make a tab a duplicate
+function isPageChange(previousUrl, url, options) {
+	return previousUrl === undefined || normalizeUrl(previousUrl, options) !== normalizeUrl(url, options);
+}
+
+function findDuplicateTab(tab, tabs, options) {
+	const key = normalizeUrl(tab.pendingUrl || tab.url, options);
+	if (!key) return null;
+	return tabs.find((other) =>
+		other.id !== tab.id && normalizeUrl(other.pendingUrl || other.url, options) === key
+	) || null;
+}
+
+// Returns the copies that could go without losing a page: every evictable
+// duplicate, except that one copy of each page is always kept open.
+function findRedundantCopies(tabs, options, state) {
+	const byUrl = {};
+	for (const tab of tabs) {
+		const key = normalizeUrl(tab.pendingUrl || tab.url, options);
+		if (key) (byUrl[key] = byUrl[key] || []).push(tab);
+	}
+
+	const redundant = [];
+	for (const copies of Object.values(byUrl)) {
+		if (copies.length < 2) continue;
+		const evictable = copies.filter(isEvictable);
+		if (evictable.length === copies.length) {
+			const mostRecent = evictable.reduce((latest, tab) =>
+				getTabActivatedAt(tab, state) > getTabActivatedAt(latest, state) ? tab : latest
+			);
+			evictable.splice(evictable.indexOf(mostRecent), 1);
+		}
+		redundant.push(...evictable);
+	}
+	return redundant;
+}
+
+// Returns true if the tab was closed in favour of its existing copy
+async function handleDuplicateTab(tab, options) {
+	if (!options.detectDuplicates) return false;
+
+	try {
+		const tabs = await chrome.tabs.query({});
+		const existing = findDuplicateTab(tab, tabs, options);
+		if (!existing) return false;
+
+		switch (options.duplicatePolicy) {
+			case "focusExisting":
+				await chrome.tabs.update(existing.id, { active: true });
+				await chrome.windows.update(existing.windowId, { focused: true });
+				await chrome.tabs.remove(tab.id);
+				return true;
+			// Pinned, audible and active tabs are as safe from this as from eviction
+			case "closeOlder":
+				if (!isEvictable(existing)) {
+					await chrome.tabs.remove(tab.id);
+					return true;
+				}
+				await chrome.tabs.remove(existing.id);
+				return false;
+			default:
+				await displayNotification(`This page is already open in another tab: ${existing.title || existing.url}`);
+				return false;
+		}
+	} catch (error) {
+		console.error("Failed to handle duplicate tab:", error);
+		return false;
+	}
+}
+
+// ============================================
+// TAB EVICTION
+// ============================================
+function isEvictable(tab) {
+	return !tab.pinned && !tab.audible && !tab.active;
+}
+
+// Tabs opened before the extension started tracking have no timestamps; tab IDs
+// grow over a session, so they stand in for creation order, and Chrome's own
+// lastAccessed (where available) for activity.
+function getTabCreatedAt(tab, state) {
+	return state.tabCreatedAt[tab.id] ?? tab.id;
+}
+
+function getTabActivatedAt(tab, state) {
+	return state.tabActivatedAt[tab.id] ?? tab.lastAccessed ?? 0;
+}
+
+function selectEvictionCandidate(tabs, strategy, state) {
+	let candidates = tabs.filter(isEvictable);
+	if (candidates.length === 0) return null;
+
+	if (strategy === "oldestCreated") {
+		return candidates.reduce((oldest, tab) =>
+			getTabCreatedAt(tab, state) < getTabCreatedAt(oldest, state) ? tab : oldest
+		);
+	}
+
+	if (strategy === "largestDomain") {
+		const byHostname = {};
+		for (const tab of candidates) {
+			const hostname = getTabHostname(tab) || "";
+			(byHostname[hostname] = byHostname[hostname] || []).push(tab);
+		}
+		candidates = Object.values(byHostname).reduce((largest, group) =>
+			group.length > largest.length ? group : largest
+		);
+	}
+
+	return candidates.reduce((leastRecent, tab) =>
+		getTabActivatedAt(tab, state) < getTabActivatedAt(leastRecent, state) ? tab : leastRecent
+	);
+}
+
+async function getEvictionPool(tab, options, place) {
+	if (place === "window") {
+		return tabQuery(options, { windowId: tab.windowId });
+	}
+	if (place === "group") {
+		return tabQuery(options, { groupId: tab.groupId });
+	}
+
+	const tabs = await tabQuery(options);
+	if (place === "domain") {
+		const rule = findDomainLimit(options, getTabHostname(tab));
+		return rule ? tabs.filter((other) => hostnameMatches(getTabHostname(other), rule)) : [];
+	}
+	return tabs;
+}
+
+// Redundant copies of pages open elsewhere are closed before anything else
+async function evictTab(tab, options, place, duplicatesOnly = false) {
+	const pool = await getEvictionPool(tab, options, place);
+	const state = await SessionState.get();
+
+	let candidates = pool.filter((other) => other.id !== tab.id);
+	if (options.detectDuplicates) {
+		const redundant = findRedundantCopies(candidates, options, state);
+		if (redundant.length > 0 || duplicatesOnly) candidates = redundant;
+	}
+
+	const candidate = selectEvictionCandidate(candidates, options.evictionStrategy, state);
+	if (!candidate) return false;
+
+	await chrome.tabs.remove(candidate.id);
+	await TabArchive.add(candidate, options, place);
+	await UsageStats.recordTab("evicted");
+	return true;
+}
+
+// ============================================
+// TAB EXCEED HANDLING
+// ============================================
+async function handleExceedTabs(tab, options, place) {
+	try {
+		await UsageStats.recordLimitHit(place, getTabHostname(tab));
+
+		// Falls through to blocking the new tab when nothing can be evicted
+		if (options.detectDuplicates && await evictTab(tab, options, place, true)) return;
+		if (options.evictTabs && await evictTab(tab, options, place)) return;
+
+		// A full group only has to lose the tab, not the page
+		if (place === "group") {
+			await chrome.tabs.ungroup(tab.id);
+			return;
+		}
+
+		// Moving a tab to a new window only helps with the per-window limit;
+		// total and domain limits can only be enforced by closing the tab, and
+		// so can the window limit once there are maxWindows windows
+		const canOpenWindow = options.exceedTabNewWindow && place === "window" &&
+			!isWindowLimitReached(options, await getBrowserWindows());
+		if (canOpenWindow) {
+			await chrome.windows.create({ tabId: tab.id, focused: true });
+			await UsageStats.recordTab("moved");
+		} else if (options.showLimitPage) {
+			// The tab stays open on the limit page, which opens the page once there is room
+			await chrome.tabs.update(tab.id, { url: getLimitPageUrl(tab, place) });
+			await UsageStats.recordTab("blocked");
+		} else {
+			await chrome.tabs.remove(tab.id);
+			await TabArchive.add(tab, options, place);
+			await UsageStats.recordTab("blocked");
+		}
+	} catch (error) {
+		console.error("Failed to handle exceed tabs:", error);
+	}
+}
+
+// ============================================
+// WINDOW LIMIT
+// ============================================
+// Only browser windows count; popups, app and devtools windows are left alone
+async function getBrowserWindows() {
+	return chrome.windows.getAll({ windowTypes: ["normal"] });
+}
+
+// Kept in memory rather than in session storage: it has to be set before the
+// first await, so each window of a restore sees the one created before it even
+// though their handlers run side by side. A service worker restart in the
+// middle of a restore only means one window is checked after all.
+let lastWindowCreatedAt = 0;
+
+function isWindowBurst(now = Date.now()) {
+	const burst = now - lastWindowCreatedAt < WINDOW_BURST_MS;
+	lastWindowCreatedAt = now;
+	return burst;
+}
+
+function isWindowLimitReached(options, windows) {
+	return options.maxWindows >= MIN_ALLOWED_TABS && windows.length >= options.maxWindows;
+}
+
+// The window furthest below its tab limit, counted like the per-window limit
+async function findRoomiestWindow(options, windows) {
+	const { windowLimits } = await SessionState.get();
+	const rooms = await Promise.all(windows.map(async (windowInfo) => {
+		const tabs = await tabQuery(options, { windowId: windowInfo.id });
+		return resolveWindowMax(options, windowLimits, windowInfo.id) - countTabs(options, tabs);
+	}));
+	let roomiest = null;
+	rooms.forEach((room, index) => {
+		if (roomiest === null || room > rooms[roomiest]) roomiest = index;
+	});
+	return roomiest === null ? null : windows[roomiest];
+}
+
+// Moving the last tab out closes the new window
+async function mergeWindow(options, windowId, others) {
+	const target = await findRoomiestWindow(options, others);
+	if (!target) return false;
+
+	const tabs = await chrome.tabs.query({ windowId });
+	if (tabs.length === 0) {
+		await chrome.windows.remove(windowId);
+		return true;
+	}
+	await chrome.tabs.move(tabs.map((tab) => tab.id), { windowId: target.id, index: -1 });
+	const active = tabs.find((tab) => tab.active) || tabs[0];
+	await chrome.tabs.update(active.id, { active: true });
+	await chrome.windows.update(target.id, { focused: true });
+	await UsageStats.recordTab("moved");
+	return true;
+}
+
+async function closeWindow(options, windowId) {
+	const tabs = await chrome.tabs.query({ windowId });
+	await chrome.windows.remove(windowId);
+	for (const tab of tabs) {
+		await TabArchive.add(tab, options, "windows");
+		await UsageStats.recordTab("blocked");
+	}
+}
+
+// ============================================
+// WINDOW LIMIT OVERRIDES (snapshots persist in local storage)
+// ============================================
+// A window can get its own limit from the popup, used instead of maxWindow.
+// Window IDs change when the browser restarts, so the URLs of each such window
+// are saved to recognize it among the reopened windows.
+const WINDOW_LIMIT_SNAPSHOT_DEFAULTS = {
+	windowLimitSnapshots: []
+};
+
+function resolveWindowMax(options, windowLimits, windowId) {
+	const max = windowLimits[windowId];
+	return Number.isInteger(max) ? max : options.maxWindow;
+}
+
+async function getWindowMax(options, windowId) {
+	const { windowLimits } = await SessionState.get();
+	return resolveWindowMax(options, windowLimits, windowId);
+}
+
+// The current window's counted tabs and its limit
+async function queryCurrentWindow(options) {
+	const [tabs, { windowLimits }] = await Promise.all([
+		tabQuery(options, { currentWindow: true }),
+		SessionState.get()
+	]);
+	const windowId = tabs.length > 0 ? tabs[0].windowId : undefined;
+	return { tabs, windowId, max: resolveWindowMax(options, windowLimits, windowId) };
+}
+
+async function setWindowLimit(windowId, max) {
+	await SessionState.setWindowLimit(windowId, max);
+	await saveWindowLimitSnapshots();
+}
+
+async function saveWindowLimitSnapshots() {
+	const { windowLimits, windowLimitsRestored } = await SessionState.get();
+	// Until then the snapshots still describe the windows from before the restart
+	if (!windowLimitsRestored) return;
+
+	const { windowLimitSnapshots } = await chrome.storage.local.get(WINDOW_LIMIT_SNAPSHOT_DEFAULTS);
+	const snapshots = await Promise.all(Object.entries(windowLimits).map(async ([id, max]) => {
+		const windowId = Number(id);
+		const tabs = await chrome.tabs.query({ windowId });
+		const urls = tabs.map((tab) => tab.pendingUrl || tab.url).filter(Boolean);
+		// A window that is closing, e.g. as the browser quits, has no tabs left
+		const previous = urls.length === 0
+			? windowLimitSnapshots.find((snapshot) => snapshot.windowId === windowId)
+			: null;
+		return { windowId, max, urls: previous ? previous.urls : urls };
+	}));
+	if (JSON.stringify(snapshots) !== JSON.stringify(windowLimitSnapshots)) {
+		await chrome.storage.local.set({ windowLimitSnapshots: snapshots });
+	}
+}
+
+// Each snapshot goes to the open window sharing the most URLs with it, if
+// that is at least half of them; each window takes at most one snapshot
+function matchWindowSnapshots(snapshots, windows) {
+	const windowLimits = {};
+	for (const snapshot of snapshots) {
+		let best = null;
+		let bestShared = 0;
+		for (const windowInfo of windows) {
+			if (windowInfo.id in windowLimits) continue;
+			const urls = new Set((windowInfo.tabs || []).map((tab) => tab.pendingUrl || tab.url));
+			const shared = snapshot.urls.filter((url) => urls.has(url)).length;
+			if (shared > bestShared) {
+				best = windowInfo;
+				bestShared = shared;
+			}
+		}
+		if (best && bestShared * 2 >= snapshot.urls.length) windowLimits[best.id] = snapshot.max;
+	}
+	return windowLimits;
+}
+
+// Snapshots of windows that did not come back are dropped
+async function restoreWindowLimits() {
+	const [{ windowLimitSnapshots }, windows] = await Promise.all([
+		chrome.storage.local.get(WINDOW_LIMIT_SNAPSHOT_DEFAULTS),
+		chrome.windows.getAll({ populate: true, windowTypes: ["normal"] })
+	]);
+	await SessionState.set({
+		windowLimits: matchWindowSnapshots(windowLimitSnapshots, windows),
+		windowLimitsRestored: true
+	});
+	await saveWindowLimitSnapshots();
+}
+
+// ============================================
+// INACTIVE TABS
+// ============================================
+// An alarm checks for tabs not used for idleCloseAfter hours or days, lists
+// them in a notification and closes them IDLE_SWEEP_DELAY_MINUTES later
+// unless the sweep is cancelled. Last use is tracked in session storage, which
+// outlives the service worker but not the browser.
+async function scheduleIdleChecks(options) {
+	try {
+		if (!(options.idleCloseAfter >= 1)) {
+			await chrome.alarms.clear(IDLE_ALARM);
+			return;
+		}
+		const alarm = await chrome.alarms.get(IDLE_ALARM);
+		if (!alarm) {
+			await chrome.alarms.create(IDLE_ALARM, { periodInMinutes: IDLE_CHECK_MINUTES });
+		}
+	} catch (error) {
+		console.error("Failed to schedule idle checks:", error);
+	}
+}
+
+function isIdleException(options, tab) {
+	const hostname = getTabHostname(tab);
+	return (options.idleExceptions || []).some((exception) =>
+		hostnameMatches(hostname, { hostname: exception, includeSubdomains: true })
+	);
+}
+
+function isIdleCandidate(tab, options, state, now) {
+	if (tab.active) return false;
+	if (tab.pinned && !options.idleClosePinned) return false;
+	if (tab.audible && !options.idleCloseAudible) return false;
+	const grouped = tab.groupId !== undefined && tab.groupId !== TAB_GROUP_ID_NONE;
+	if (grouped && !options.idleCloseGrouped) return false;
+	if (isIdleException(options, tab)) return false;
+	return now - getTabLastUsedAt(tab, state) >= options.idleCloseAfter * IDLE_UNIT_MS[options.idleCloseUnit];
+}
+
+// Active tabs are in use, and tabs without a known last use (e.g. restored
+// after a restart) start their idle period now rather than looking ancient
+async function findIdleTabs(options, now = Date.now()) {
+	const [tabs, state] = await Promise.all([chrome.tabs.query({}), SessionState.get()]);
+	const isAllowlisted = createAllowlistMatcher(options);
+
+	const usedNow = {};
+	for (const tab of tabs) {
+		if (tab.active || getTabLastUsedAt(tab, state) === 0) usedNow[tab.id] = now;
+	}
+	const tabActivatedAt = { ...state.tabActivatedAt, ...usedNow };
+	if (Object.keys(usedNow).length > 0) await SessionState.set({ tabActivatedAt });
+
+	return tabs.filter((tab) =>
+		!isAllowlisted(tab) && isIdleCandidate(tab, options, { ...state, tabActivatedAt }, now)
+	);
+}
+
+async function proposeIdleSweep() {
+	const options = await getOptions();
+	if (!(options.idleCloseAfter >= 1) || isLimitingDisabled(options)) return;
+
+	const tabs = await findIdleTabs(options);
+	if (tabs.length === 0) return;
+
+	await SessionState.set({ idleSweep: tabs.map((tab) => tab.id) });
+	await chrome.alarms.create(IDLE_SWEEP_ALARM, { delayInMinutes: IDLE_SWEEP_DELAY_MINUTES });
+	const items = tabs.slice(0, IDLE_SWEEP_LIST_LENGTH).map((tab) => ({
+		title: tab.title || tab.url,
+		message: getTabHostname(tab) || ""
+	}));
+	await displayNotification(
+		`${tabs.length} inactive ${tabs.length === 1 ? "tab" : "tabs"} will be closed in a minute.`,
+		IDLE_SWEEP_NOTIFICATION,
+		IDLE_SWEEP_BUTTONS,
+		items
+	);
+}
+
+// Returns how many tabs were closed; tabs used since the notification are kept
+async function runIdleSweep() {
+	const { idleSweep } = await SessionState.get();
+	await SessionState.set({ idleSweep: [] });
+	await chrome.notifications.clear(IDLE_SWEEP_NOTIFICATION);
+
+	const options = await getOptions();
+	if (idleSweep.length === 0 || !(options.idleCloseAfter >= 1) || isLimitingDisabled(options)) return 0;
+
+	const tabs = (await findIdleTabs(options)).filter((tab) => idleSweep.includes(tab.id));
+	if (tabs.length === 0) return 0;
+
+	await chrome.tabs.remove(tabs.map((tab) => tab.id));
+	if (options.idleCloseAction === "archive") {
+		for (const tab of tabs) {
+			await TabArchive.add(tab, { ...options, archiveBlockedTabs: true }, "idle");
+		}
+	}
+	return tabs.length;
+}
+
+// The listed tabs are kept for another idle period
+async function cancelIdleSweep(now = Date.now()) {
+	const { idleSweep, tabActivatedAt } = await SessionState.get();
+	const kept = {};
+	for (const tabId of idleSweep) kept[tabId] = now;
+
+	await chrome.alarms.clear(IDLE_SWEEP_ALARM);
+	await SessionState.set({ idleSweep: [], tabActivatedAt: { ...tabActivatedAt, ...kept } });
+	await chrome.notifications.clear(IDLE_SWEEP_NOTIFICATION);
+}
+
+// ============================================
+// LOADED TAB LIMIT
+// ============================================
+// Only tabs holding a page in memory count. Going over the limit puts the least
+// recently used background tabs to sleep with chrome.tabs.discard; nothing is
+// closed, and the open tab limits are checked as usual.
+async function getLoadedTabs(options) {
+	const tabs = await tabQuery(options);
+	return tabs.filter((tab) => !tab.discarded);
+}
+
+// A tab opened in the background counts as used when it was opened
+function getTabLastUsedAt(tab, state) {
+	return Math.max(getTabActivatedAt(tab, state), state.tabCreatedAt[tab.id] || 0);
+}
+
+function isDiscardable(tab, state, now) {
+	return isEvictable(tab) && tab.autoDiscardable !== false &&
+		now - getTabLastUsedAt(tab, state) >= DISCARD_GRACE_MS;
+}
+
+// Returns how many tabs were put to sleep
+async function enforceLoadedLimit(options, now = Date.now()) {
+	if (!(options.maxLoaded >= MIN_ALLOWED_TABS) || isLimitingDisabled(options)) return 0;
+
+	const [loaded, state] = await Promise.all([getLoadedTabs(options), SessionState.get()]);
+	let excess = loaded.length - options.maxLoaded;
+	if (excess <= 0) return 0;
+
+	const candidates = loaded
+		.filter((tab) => isDiscardable(tab, state, now))
+		.sort((a, b) => getTabLastUsedAt(a, state) - getTabLastUsedAt(b, state));
+	let discarded = 0;
+	for (const tab of candidates) {
+		if (discarded === excess) break;
+		try {
+			await chrome.tabs.discard(tab.id);
+			discarded++;
+		} catch (error) {
+			console.error("Failed to discard tab:", error);
+		}
+	}
+	return discarded;
+}
+
+// ============================================
+// MIGRATIONS
+// ============================================
+// Runs every pending migration on a copy and writes nothing unless all succeed,
+// so a failure leaves the previous options in place and is retried next update
+async function migrateStoredOptions() {
+	const items = await chrome.storage.sync.get(null);
+	let version = items.schemaVersion || 1;
+	let migrated = items;
+
+	try {
+		for (; version < OPTIONS_SCHEMA_VERSION; version++) {
+			migrated = MIGRATIONS[version - 1](structuredClone(migrated));
+		}
+
+		const removedKeys = Object.keys(items).filter((key) => !(key in migrated));
+		if (removedKeys.length > 0) {
+			await chrome.storage.sync.remove(removedKeys);
+		}
+		// Refreshing the stored defaults lets new options reach existing installs
+		await chrome.storage.sync.set({
+			...migrated,
+			defaultOptions: DEFAULT_OPTIONS,
+			schemaVersion: Math.max(version, OPTIONS_SCHEMA_VERSION)
+		});
+		await chrome.storage.local.remove("migrationError");
+		return true;
+	} catch (error) {
+		console.error(`Failed to migrate options to version ${version + 1}:`, error);
+		await reportMigrationFailure(version + 1, error);
+		return false;
+	}
+}
+
+async function reportMigrationFailure(version, error) {
+	try {
+		await chrome.storage.local.set({
+			migrationError: { version, message: String(error && error.message || error), timestamp: Date.now() }
+		});
+		await displayNotification("Your settings could not be upgraded, so the previous ones are still in use. Open the options for details.");
+	} catch (reportError) {
+		console.error("Failed to report migration failure:", reportError);
+	}
+}
+
+// ============================================
+// KEYBOARD COMMANDS
+// ============================================
+// Commands can wake the service worker cold, so each one reads everything it
+// needs from storage and reports back with a notification or the badge
+async function closeOldestTab(options) {
+	const [tabs, state] = await Promise.all([
+		tabQuery(options, { currentWindow: true }),
+		SessionState.get()
+	]);
+	const oldest = selectEvictionCandidate(tabs, "oldestCreated", state);
+	if (!oldest) {
+		await displayNotification("No tab in this window can be closed; pinned, playing and active tabs are kept.");
+		return;
+	}
+	await chrome.tabs.remove(oldest.id);
+	await displayNotification(`Closed "${oldest.title || oldest.url}".`);
+}
+
+async function closeDuplicateTabs(options) {
+	const [tabs, state] = await Promise.all([tabQuery(options), SessionState.get()]);
+	const redundant = findRedundantCopies(tabs, options, state);
+	if (redundant.length === 0) {
+		await displayNotification("No duplicate tabs to close.");
+		return;
+	}
+	await chrome.tabs.remove(redundant.map((tab) => tab.id));
+	await displayNotification(`Closed ${redundant.length} duplicate ${redundant.length === 1 ? "tab" : "tabs"}.`);
+}
+
+async function grantExtraTab() {
+	const passes = await SessionState.grantPasses();
+	await displayNotification(passes === 1
+		? "The next tab over the limit will be allowed."
+		: `The next ${passes} tabs over the limit will be allowed.`);
+}
+
+async function toggleEnforcement() {
+	const { enforcementEnabled } = await EnforcementState.get();
+	await EnforcementState.set({ enforcementEnabled: !enforcementEnabled });
+	await displayNotification(enforcementEnabled
+		? "Tab limits are off until you turn them on again."
+		: "Tab limits are on again.");
+}
+
+// Steps the limits of the active profile, or the incognito limits in the
+// incognito service worker; the storage change then refreshes the badge
+async function stepLimits(direction) {
+	const options = await getStoredOptions();
+	const keys = IS_INCOGNITO ? ["incognitoMaxTotal", "incognitoMaxWindow"] : ["maxTotal", "maxWindow"];
+
+	const values = {};
+	for (const key of keys) {
+		const { min, max } = OPTION_SCHEMA[key];
+		values[key] = Math.min(max, Math.max(min, options[key] + direction * LIMIT_STEP));
+	}
+	await storeOptions(values);
+
+	const [total, perWindow] = keys.map((key) => values[key]);
+	const overridden = !IS_INCOGNITO && findActiveSchedule(options, new Date());
+	await displayNotification(`Limits are now ${total} in total and ${perWindow} per window` +
+		(overridden ? ", but a schedule overrides them right now." : "."));
+}
+
+// ============================================
+// SNOOZE
+// ============================================
+// The popup starts and ends a snooze by storing snoozedUntil. Limits resume at
+// that time even if the alarm is late; the alarm only clears snoozedUntil, and
+// the storage change then reports the overage.
+function isSnoozed(options, now = Date.now()) {
+	return options.snoozedUntil > now;
+}
+
+async function scheduleSnoozeEnd(snoozedUntil) {
+	try {
+		await chrome.alarms.clear(SNOOZE_ALARM);
+		if (snoozedUntil > Date.now()) {
+			await chrome.alarms.create(SNOOZE_ALARM, { when: snoozedUntil });
+		}
+	} catch (error) {
+		console.error("Failed to schedule snooze end:", error);
+	}
+}
+
+async function endSnooze() {
+	await EnforcementState.set({ snoozedUntil: 0 });
+}
+
+// A snooze can run out while the browser is closed
+async function resumeSnooze() {
+	const { snoozedUntil } = await EnforcementState.get();
+	if (snoozedUntil > Date.now()) {
+		await scheduleSnoozeEnd(snoozedUntil);
+	} else if (snoozedUntil) {
+		await endSnooze();
+	}
+}
+
+async function notifySnoozeEnded(options) {
+	if (isLimitingDisabled(options)) return;
+
+	const overages = (await getUsage(options))
+		.map((usage) => ({ ...usage, over: Math.ceil(usage.count - usage.max) }))
+		.filter((usage) => usage.over > 0);
+	if (overages.length === 0) {
+		await displayNotification("The snooze is over and your tabs are within the limits.");
+		return;
+	}
+
+	const parts = overages.map(({ place, over }) =>
+		`${over} ${over === 1 ? "tab" : "tabs"} over the ${place === "window" ? "limit of this window" : "total limit"}`
+	);
+	await displayNotification(
+		`The snooze is over and you have ${parts.join(" and ")}. Click here to pick tabs to close.`,
+		SNOOZE_ENDED_NOTIFICATION
+	);
+}
+
+// The tab manager lists the least recently used tabs first, so the user can
+// pick which ones go rather than have a click on the notification close them
+async function showTabsOverLimit() {
+	await chrome.tabs.create({ url: TAB_MANAGER_URL });
+}
+
+// ============================================
+// ALERT ACTIONS
+// ============================================
+// A limit alert remembers the tab it is about under its notification ID, so
+// the buttons can open the page again after the tab was closed
+async function getOpenTab(tabId) {
+	try {
+		return await chrome.tabs.get(tabId);
+	} catch (error) {
+		return null;
+	}
+}
+
+async function focusTab(tab) {
+	await chrome.tabs.update(tab.id, { active: true });
+	await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+// The window may have been closed since the alert was shown
+async function openInWindow(url, windowId) {
+	try {
+		await chrome.tabs.create({ url, windowId });
+	} catch (error) {
+		await chrome.tabs.create({ url });
+	}
+}
+
+async function closeOldestTabIn(place, tab, options) {
+	const [pool, state] = await Promise.all([
+		getEvictionPool(tab, options, place),
+		SessionState.get()
+	]);
+	const oldest = selectEvictionCandidate(pool, "oldestCreated", state);
+	if (!oldest) return false;
+
+	await chrome.tabs.remove(oldest.id);
+	await TabArchive.add(oldest, options, place);
+	await UsageStats.recordTab("evicted");
+	return true;
+}
+
+// Tabs let through with a pass, moved to a new window or taken out of their
+// group are still open, so either button just brings them to the front
+async function runAlertAction({ tab, place }, buttonIndex) {
+	const openTab = await getOpenTab(tab.id);
+	if (openTab) {
+		await focusTab(openTab);
+		return;
+	}
+
+	if (buttonIndex === 0) {
+		const options = await getOptions();
+		if (!await closeOldestTabIn(place, tab, options)) {
+			await displayNotification("No other tab can be closed; pinned, playing and active tabs are kept.");
+			return;
+		}
+	} else {
+		await SessionState.incrementPasses();
+	}
+	await openInWindow(tab.url, tab.windowId);
+}
+
+async function showTabs({ tab }) {
+	await openInWindow(TAB_MANAGER_URL, tab.windowId);
+}
+
+// ============================================
+// DASHBOARD
+// ============================================
+// Counted here for the popup and the tab manager, so they show what enforcement sees
+function getEnforcementMode(options) {
+	if (options.enforcementEnabled === false) return "off";
+	if (isSnoozed(options)) return "snoozed";
+	if (IS_INCOGNITO && options.incognitoMode === "ignore") return "ignored";
+	return "on";
+}
+
+// Groups tabs by a key, leaving out tabs without one
+function groupTabsBy(tabs, getKey) {
+	const groups = {};
+	for (const tab of tabs) {
+		const key = getKey(tab);
+		if (key !== undefined && key !== null) (groups[key] = groups[key] || []).push(tab);
+	}
+	return groups;
+}
+
+// `windowId` is the popup's window, which is listed first even without tabs
+async function getDashboard(options, windowId) {
+	const [tabs, state, { profiles, activeProfile }] = await Promise.all([
+		tabQuery(options),
+		SessionState.get(),
+		getProfileState()
+	]);
+
+	const byWindow = groupTabsBy(tabs, (tab) => tab.windowId);
+	if (windowId !== undefined && !byWindow[windowId]) byWindow[windowId] = [];
+	const windows = Object.entries(byWindow)
+		.map(([id, windowTabs]) => ({
+			windowId: Number(id),
+			current: Number(id) === windowId,
+			count: countTabs(options, windowTabs),
+			max: resolveWindowMax(options, state.windowLimits, id),
+			custom: Number.isInteger(state.windowLimits[id])
+		}))
+		.sort((a, b) => b.current - a.current || a.windowId - b.windowId);
+
+	const domains = (Array.isArray(options.domainLimits) ? options.domainLimits : [])
+		.filter((rule) => rule.hostname && rule.max >= MIN_ALLOWED_TABS)
+		.map((rule) => ({
+			hostname: rule.hostname,
+			count: tabs.filter((tab) => hostnameMatches(getTabHostname(tab), rule)).length,
+			max: rule.max
+		}))
+		.filter((domain) => domain.count > 0);
+
+	const groups = [];
+	const byGroup = groupTabsBy(tabs, (tab) => tab.groupId === TAB_GROUP_ID_NONE ? null : tab.groupId);
+	for (const [groupId, groupTabs] of Object.entries(byGroup)) {
+		const { title, max } = await getGroupLimit(options, Number(groupId));
+		if (max >= MIN_ALLOWED_TABS) groups.push({ title, count: groupTabs.length, max });
+	}
+
+	const schedule = IS_INCOGNITO ? null : findActiveSchedule(options, new Date());
+	return {
+		mode: getEnforcementMode(options),
+		incognito: IS_INCOGNITO,
+		profile: activeProfile,
+		profiles: Object.keys(profiles),
+		schedule: schedule ? schedule.name || "Unnamed schedule" : "",
+		snoozedUntil: options.snoozedUntil,
+		passes: state.passes + state.grantedPasses,
+		total: { count: countTabs(options, tabs), max: options.maxTotal },
+		loaded: options.maxLoaded >= MIN_ALLOWED_TABS
+			? { count: tabs.filter((tab) => !tab.discarded).length, max: options.maxLoaded }
+			: null,
+		windows,
+		domains,
+		groups
+	};
+}
+
+// Every tab the limits count, with what the tab manager sorts and filters by
+async function getTabList(options) {
+	const [tabs, state] = await Promise.all([tabQuery(options), SessionState.get()]);
+	const getWeight = createTabWeigher(options);
+	return tabs.map((tab) => ({
+		id: tab.id,
+		windowId: tab.windowId,
+		index: tab.index,
+		title: tab.title || "",
+		url: tab.pendingUrl || tab.url || "",
+		favIconUrl: tab.favIconUrl || "",
+		hostname: getTabHostname(tab) || "",
+		createdAt: getTabCreatedAt(tab, state),
+		activatedAt: getTabActivatedAt(tab, state),
+		weight: getWeight(tab)
+	}));
+}
+
+// ============================================
+// LIMIT PAGE
+// ============================================
+// With showLimitPage a blocked tab is sent to limit.html instead of closed.
+// Like every extension page it never counts, so it takes no room itself.
+function getLimitPageUrl(tab, place) {
+	const params = new URLSearchParams({ url: tab.pendingUrl || tab.url || "", place });
+	return `${LIMIT_PAGE_URL}?${params}`;
+}
+
+// Counts as if the limit page in `windowId` were showing `url`; `place` is the
+// first limit that page would go over, or null once there is room for it
+async function getLimitStatus(options, url, windowId) {
+	const page = { url, windowId };
+	const [tabs, state] = await Promise.all([tabQuery(options), SessionState.get()]);
+	const weight = createTabWeigher(options)(page);
+	const rule = findDomainLimit(options, getTabHostname(page));
+
+	const total = { count: countTabs(options, tabs), max: options.maxTotal };
+	const windowUsage = {
+		count: countTabs(options, tabs.filter((tab) => tab.windowId === windowId)),
+		max: resolveWindowMax(options, state.windowLimits, windowId)
+	};
+	const domain = rule
+		? { hostname: rule.hostname, count: tabs.filter((tab) => hostnameMatches(getTabHostname(tab), rule)).length, max: rule.max }
+		: null;
+
+	let place = null;
+	if (!isLimitingDisabled(options) && !isAllowlistedTab(options, page)) {
+		if (windowUsage.count + weight > windowUsage.max) {
+			place = "window";
+		} else if (total.count + weight > total.max) {
+			place = "total";
+		} else if (domain && domain.count + 1 > domain.max) {
+			place = "domain";
+		}
+	}
+	return { place, total, window: windowUsage, domain, tabs: await getTabList(options) };
+}
+
+// ============================================
+// EVENT HANDLERS
+// ============================================
+async function handleInstalled(details) {
+	try {
+		if (details.reason === "install") {
+			await chrome.storage.sync.set({
+				defaultOptions: DEFAULT_OPTIONS,
+				schemaVersion: OPTIONS_SCHEMA_VERSION,
+				...toProfileItems(PROFILE_PRESETS)
+			});
+			console.log("Tab Limiter installed with default options");
+		} else if (details.reason === "update") {
+			console.log("Tab Limiter updated to version", chrome.runtime.getManifest().version);
+			await migrateStoredOptions();
 		}
 		await SessionState.initialize();
+		await restoreWindowLimits();
 		await refreshBadge();
 	} catch (error) {
 		console.error("Failed to handle install:", error);
@@ -275,6 +1873,7 @@ async function handleInstalled(details) {
 async function handleStartup() {
 	try {
 		await SessionState.initialize();
+		await restoreWindowLimits();
 		await refreshBadge();
 	} catch (error) {
 		console.error("Failed to handle startup:", error);
@@ -285,16 +1884,311 @@ async function handleUpdate() {
 	try {
 		await updateTabCount();
 		const options = await getOptions();
+		await enforceLoadedLimit(options);
 		await updateBadge(options);
+		await checkWarnings(options);
+		await saveWindowLimitSnapshots();
 	} catch (error) {
 		console.error("Failed to handle update:", error);
 	}
 }
 
+async function handleAlarm(alarm) {
+	try {
+		if (alarm.name === SCHEDULE_ALARM) {
+			const options = await getOptions();
+			await updateBadge(options);
+			await scheduleNextLimitChange(options);
+		} else if (alarm.name === STATS_ALARM) {
+			await sampleTabCount();
+		} else if (alarm.name === SNOOZE_ALARM) {
+			await endSnooze();
+		} else if (alarm.name === IDLE_ALARM) {
+			await proposeIdleSweep();
+		} else if (alarm.name === IDLE_SWEEP_ALARM) {
+			await runIdleSweep();
+		}
+	} catch (error) {
+		console.error("Failed to handle alarm:", error);
+	}
+}
+
+async function handleStorageChanged(changes, areaName) {
+	try {
+		if (areaName === "local" && changes.snoozedUntil) {
+			await handleSnoozeChanged(changes.snoozedUntil);
+		}
+		if (areaName !== "sync") return;
+
+		const options = await getOptions();
+		await updateBadge(options);
+		await scheduleIdleChecks(options);
+		if (changes.schedules || changes.activeProfile || Object.keys(changes).some(isProfileKey)) {
+			await scheduleNextLimitChange(options);
+		}
+
+		// A different profile may put the tabs that are already open over its limits
+		if (changes.activeProfile && !isLimitingDisabled(options)) {
+			const place = await detectTabLimitExceeded(options);
+			if (place) await displayAlert(options, place);
+		}
+	} catch (error) {
+		console.error("Failed to handle storage change:", error);
+	}
+}
+
+async function handleSnoozeChanged({ oldValue, newValue }) {
+	await scheduleSnoozeEnd(newValue);
+	const options = await getOptions();
+	await updateBadge(options);
+	if (oldValue && !isSnoozed(options)) {
+		await notifySnoozeEnded(options);
+	}
+}
+
+async function handleNotificationClicked(notificationId) {
+	try {
+		if (notificationId === SNOOZE_ENDED_NOTIFICATION) {
+			await chrome.notifications.clear(notificationId);
+			await showTabsOverLimit();
+			return;
+		}
+
+		const { alerts } = await SessionState.get();
+		if (alerts[notificationId]) await showTabs(alerts[notificationId]);
+	} catch (error) {
+		console.error("Failed to handle notification click:", error);
+	}
+}
+
+async function handleNotificationButtonClicked(notificationId, buttonIndex) {
+	try {
+		if (notificationId === IDLE_SWEEP_NOTIFICATION) {
+			await cancelIdleSweep();
+			return;
+		}
+
+		const alert = await SessionState.forgetAlert(notificationId);
+		if (!alert) return;
+
+		await chrome.notifications.clear(notificationId);
+		await runAlertAction(alert, buttonIndex);
+		await handleUpdate();
+	} catch (error) {
+		console.error("Failed to handle notification button:", error);
+	}
+}
+
+async function handleNotificationClosed(notificationId) {
+	try {
+		await SessionState.forgetAlert(notificationId);
+	} catch (error) {
+		console.error("Failed to handle notification closed:", error);
+	}
+}
+
+async function handleCommand(command) {
+	try {
+		const options = await getOptions();
+		switch (command) {
+			case "close-oldest-tab":
+				await closeOldestTab(options);
+				break;
+			case "close-duplicates":
+				await closeDuplicateTabs(options);
+				break;
+			case "grant-extra-tab":
+				await grantExtraTab();
+				break;
+			case "toggle-enforcement":
+				await toggleEnforcement();
+				break;
+			case "raise-limits":
+				await stepLimits(1);
+				break;
+			case "lower-limits":
+				await stepLimits(-1);
+				break;
+			default:
+				return;
+		}
+		await handleUpdate();
+	} catch (error) {
+		console.error("Failed to handle command:", error);
+	}
+}
+
+// The popup and the tab manager ask for counts and run the keyboard commands
+// through here; answering asynchronously needs the listener to return true
+function handleMessage(message, sender, sendResponse) {
+	respondToMessage(message).then(sendResponse);
+	return true;
+}
+
+async function respondToMessage(message) {
+	try {
+		switch (message && message.type) {
+			case "get-dashboard":
+				return await getDashboard(await getOptions(), message.windowId);
+			case "get-tabs": {
+				const options = await getOptions();
+				return { ...await getDashboard(options, message.windowId), tabs: await getTabList(options) };
+			}
+			case "get-limit-status":
+				return await getLimitStatus(await getOptions(), message.url, message.windowId);
+			case "run-command":
+				await handleCommand(message.command);
+				return { done: true };
+			case "set-window-limit": {
+				// Anything but a valid limit removes the window's own limit
+				const { max } = OPTION_SCHEMA.maxWindow;
+				const valid = Number.isInteger(message.max) && message.max >= MIN_ALLOWED_TABS && message.max <= max;
+				await setWindowLimit(message.windowId, valid ? message.max : null);
+				await handleUpdate();
+				return { done: true };
+			}
+			default:
+				return null;
+		}
+	} catch (error) {
+		console.error("Failed to handle message:", error);
+		return null;
+	}
+}
+
+async function handleWindowCreated(createdWindow) {
+	try {
+		if (createdWindow.type !== "normal") return;
+		// The browser restores a session's windows in one burst, at startup or
+		// on Ctrl+Shift+T; they were open before, so the limit leaves them alone
+		if (isWindowBurst()) return;
+		const options = await getOptions();
+		if (!(options.maxWindows >= MIN_ALLOWED_TABS) || isLimitingDisabled(options)) return;
+
+		// Window IDs grow, so windows restored after this one are not counted
+		// against it even if they already exist by now
+		const windows = (await getBrowserWindows()).filter((windowInfo) => windowInfo.id <= createdWindow.id);
+		if (windows.length <= options.maxWindows) return;
+
+		await UsageStats.recordLimitHit("windows");
+		const others = windows.filter((windowInfo) => windowInfo.id !== createdWindow.id);
+		const merged = options.exceedWindowAction === "merge" &&
+			await mergeWindow(options, createdWindow.id, others);
+		if (!merged) await closeWindow(options, createdWindow.id);
+
+		if (options.displayAlert) {
+			await displayNotification(merged
+				? `You can have at most ${options.maxWindows} windows open, so the tabs of the new window were moved to another window.`
+				: `You can have at most ${options.maxWindows} windows open, so the new window was closed.`);
+		}
+	} catch (error) {
+		console.error("Failed to handle window created:", error);
+	}
+}
+
+// A window closed on purpose takes its own limit and snapshot along. Once the
+// last window is gone the browser is quitting, so the snapshot stays for the
+// restart; restoreWindowLimits drops it if the window does not come back.
+async function handleWindowRemoved(windowId) {
+	try {
+		const { windowLimits } = await SessionState.get();
+		if (!(windowId in windowLimits)) return;
+		if ((await getBrowserWindows()).length === 0) return;
+
+		await setWindowLimit(windowId, null);
+	} catch (error) {
+		console.error("Failed to handle window removed:", error);
+	}
+}
+
+async function handleTabActivated(activeInfo) {
+	try {
+		await SessionState.recordTabActivated(activeInfo.tabId);
+	} catch (error) {
+		console.error("Failed to handle tab activated:", error);
+	}
+}
+
+async function handleTabRemoved(tabId) {
+	try {
+		await SessionState.forgetTab(tabId);
+		await handleUpdate();
+	} catch (error) {
+		console.error("Failed to handle tab removed:", error);
+	}
+}
+
+// Returns true if the tab may stay over a limit: it holds a pass from its
+// creation, or one of the remaining passes is used for it now
+async function usePass(tabId) {
+	const { passedTabs } = await SessionState.get();
+	if (passedTabs[tabId]) return true;
+	if (!await SessionState.takePass()) return false;
+	await SessionState.recordPassedTab(tabId);
+	return true;
+}
+
+async function handleTabUpdated(tabId, changeInfo, tab) {
+	try {
+		if (changeInfo.status === "complete") await SessionState.forgetPassedTab(tabId);
+		const previousUrl = changeInfo.url ? await SessionState.recordTabUrl(tabId, changeInfo.url) : undefined;
+		const joinedGroup = changeInfo.groupId !== undefined && changeInfo.groupId !== TAB_GROUP_ID_NONE;
+		const options = changeInfo.url || joinedGroup ? await getOptions() : null;
+		if (options && isLimitingDisabled(options)) {
+			await handleUpdate();
+			return;
+		}
+
+		if (changeInfo.url) {
+			if (isPageChange(previousUrl, changeInfo.url, options) && await handleDuplicateTab(tab, options)) {
+				await handleUpdate();
+				return;
+			}
+			const place = isSiteChange(previousUrl, changeInfo.url)
+				? await detectTooManyTabsOnDomain(options, tab)
+				: null;
+
+			if (place && !await usePass(tabId)) {
+				await displayAlert(options, place, tab);
+				await handleExceedTabs(tab, options, place);
+			}
+		}
+		if (joinedGroup) {
+			const place = await detectTooManyTabsInGroup(options, tab);
+
+			if (place && !await usePass(tabId)) {
+				await displayAlert(options, place, tab);
+				await handleExceedTabs(tab, options, place);
+			}
+		}
+		await handleUpdate();
+	} catch (error) {
+		console.error("Failed to handle tab updated:", error);
+	}
+}
+
 async function handleTabCreated(tab) {
 	try {
+		await SessionState.recordTabCreated(tab.id);
+		await SessionState.recordTabUrl(tab.id, tab.pendingUrl || tab.url || "");
 		const options = await getOptions();
-		const place = await detectTabLimitExceeded(options);
+
+		if (isLimitingDisabled(options)) {
+			await handleUpdate();
+			return;
+		}
+
+		if (await handleDuplicateTab(tab, options)) {
+			await handleUpdate();
+			return;
+		}
+
+		if (isAllowlistedTab(options, tab)) {
+			await handleUpdate();
+			return;
+		}
+
+		const place = await detectTabLimitExceeded(options, tab);
 
 		if (!place) {
 			await SessionState.resetPasses();
@@ -303,20 +2197,19 @@ async function handleTabCreated(tab) {
 		}
 
 		const amountOfTabsCreated = await updateTabCount();
-		const state = await SessionState.get();
 
-		if (state.passes > 0) {
-			await SessionState.decrementPasses();
+		if (await usePass(tab.id)) {
 			return;
 		}
 
-		await displayAlert(options, place);
+		await displayAlert(options, place, tab);
 
 		if (amountOfTabsCreated <= 1) {
 			await handleExceedTabs(tab, options, place);
 			await handleUpdate();
 		} else {
 			await SessionState.incrementPasses(amountOfTabsCreated - 1);
+			await SessionState.recordPassedTab(tab.id);
 		}
 	} catch (error) {
 		console.error("Failed to handle tab created:", error);
@@ -328,7 +2221,13 @@ async function handleTabCreated(tab) {
 // ============================================
 (async () => {
 	try {
-		await refreshBadge();
+		const options = await getOptions();
+		await updateBadge(options);
+		await scheduleNextLimitChange(options);
+		await resumeSnooze();
+		await scheduleIdleChecks(options);
+		await TabArchive.set(TabArchive.prune(await TabArchive.get(), options));
+		await ensureStatsAlarm();
 	} catch (error) {
 		console.error("Failed to initialize:", error);
 	}
@@ -0,0 +1,182 @@
+// ============================================
+// LIMIT PAGE FOR TAB LIMITER (MV3)
+// ============================================
+// A blocked tab is sent here when showLimitPage is on. Like every extension
+// page it never counts, so the blocked page only takes a slot once it opens
+
+// ============================================
+// CONSTANTS
+// ============================================
+// Tab events arrive in bursts, e.g. when a window is closed
+const RENDER_DELAY_MS = 100;
+
+// Pages that cannot be opened from here, or should not be
+const BLOCKED_PROTOCOLS = ["javascript:", "data:"];
+
+// ============================================
+// FORMATTING
+// ============================================
+const describePlace = (place, domain) => {
+	switch (place) {
+		case "window":
+			return "This window already has as many tabs as its limit allows.";
+		case "total":
+			return "You already have as many tabs open as your total limit allows.";
+		case "domain":
+			return domain
+				? `You already have as many tabs from ${domain.hostname} open as its limit allows.`
+				: "You already have as many tabs from this site open as its limit allows.";
+		default:
+			return "A tab limit was reached.";
+	}
+};
+
+const describeCounts = ({ total, window: windowUsage, domain }) => {
+	const parts = [`Total: ${total.count} of ${total.max}`, `this window: ${windowUsage.count} of ${windowUsage.max}`];
+	if (domain) parts.push(`${domain.hostname}: ${domain.count} of ${domain.max}`);
+	return parts.join(" · ");
+};
+
+const describeOpenHint = (status) => (status.place
+	? "Close a tab below and the page can be opened here."
+	: "There is room now; the page opens in this tab.");
+
+const canOpen = (url) => {
+	try {
+		return !BLOCKED_PROTOCOLS.includes(new URL(url).protocol);
+	} catch (error) {
+		return false;
+	}
+};
+
+// Least recently used first, as those are the likeliest to go
+const sortTabs = (tabs) => [...tabs].sort((a, b) => a.activatedAt - b.activatedAt);
+
+// ============================================
+// TABS
+// ============================================
+const params = new URLSearchParams(location.search);
+const blockedUrl = params.get("url") || "";
+const blockedPlace = params.get("place") || "";
+
+let currentTab = null;
+let limitStatus = null;
+let renderTimer = null;
+
+const fetchStatus = async () => {
+	try {
+		const response = await chrome.runtime.sendMessage({
+			type: "get-limit-status",
+			url: blockedUrl,
+			windowId: currentTab ? currentTab.windowId : undefined
+		});
+		if (response) limitStatus = response;
+	} catch (error) {
+		console.error("Failed to get limit status:", error);
+	}
+};
+
+const closeTab = async (tab) => {
+	try {
+		await chrome.tabs.remove(tab.id);
+	} catch (error) {
+		console.error("Failed to close tab:", error);
+	}
+	await refresh();
+};
+
+// Checked again first, since another tab may have taken the slot meanwhile
+const openBlockedPage = async () => {
+	await refresh();
+	if (!currentTab || !limitStatus || limitStatus.place || !canOpen(blockedUrl)) return;
+	try {
+		await chrome.tabs.update(currentTab.id, { url: blockedUrl });
+	} catch (error) {
+		console.error("Failed to open blocked page:", error);
+	}
+};
+
+// ============================================
+// RENDERING
+// ============================================
+const createEntryElement = (tab) => {
+	const item = document.createElement('li');
+
+	const icon = document.createElement('img');
+	icon.src = tab.favIconUrl || 'icons/48.png';
+	icon.alt = '';
+
+	const text = document.createElement('div');
+	text.className = 'entry';
+	const title = document.createElement('span');
+	title.textContent = tab.title || tab.url;
+	title.title = tab.url;
+	const details = document.createElement('span');
+	details.className = 'details';
+	details.textContent = [
+		tab.hostname || tab.url,
+		currentTab && tab.windowId === currentTab.windowId ? "this window" : "another window",
+		tab.weight !== 1 ? `counts as ${tab.weight}` : ""
+	].filter(Boolean).join(" · ");
+	text.append(title, details);
+
+	const close = document.createElement('button');
+	close.type = 'button';
+	close.textContent = 'Close';
+	close.addEventListener('click', () => closeTab(tab));
+
+	item.append(icon, text, close);
+	return item;
+};
+
+const render = () => {
+	document.getElementById('reason').textContent = describePlace(blockedPlace, limitStatus && limitStatus.domain);
+	document.getElementById('attemptedUrl').textContent = blockedUrl;
+	if (!limitStatus) return;
+
+	const openable = !limitStatus.place && canOpen(blockedUrl);
+	document.getElementById('counts').textContent = describeCounts(limitStatus);
+	document.getElementById('openNow').disabled = !openable;
+	document.getElementById('openHint').textContent = canOpen(blockedUrl)
+		? describeOpenHint(limitStatus)
+		: "This address cannot be opened from here.";
+
+	const tabs = sortTabs(limitStatus.tabs);
+	document.getElementById('entries').replaceChildren(...tabs.map(createEntryElement));
+	document.getElementById('empty').classList.toggle('hidden', tabs.length > 0);
+};
+
+const refresh = async () => {
+	await fetchStatus();
+	render();
+};
+
+const scheduleRefresh = () => {
+	clearTimeout(renderTimer);
+	renderTimer = setTimeout(refresh, RENDER_DELAY_MS);
+};
+
+// ============================================
+// EVENT LISTENERS
+// ============================================
+document.addEventListener('DOMContentLoaded', async () => {
+	try {
+		currentTab = await chrome.tabs.getCurrent();
+	} catch (error) {
+		console.error("Failed to get current tab:", error);
+	}
+	await refresh();
+
+	document.getElementById('openNow').addEventListener('click', openBlockedPage);
+
+	// A slot can free up anywhere: tabs closed elsewhere, limits raised or snoozed
+	chrome.tabs.onCreated.addListener(scheduleRefresh);
+	chrome.tabs.onRemoved.addListener(scheduleRefresh);
+	chrome.tabs.onAttached.addListener(scheduleRefresh);
+	chrome.tabs.onDetached.addListener(scheduleRefresh);
+	chrome.tabs.onActivated.addListener(scheduleRefresh);
+	chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+		if (changeInfo.url || changeInfo.title || changeInfo.pinned !== undefined) scheduleRefresh();
+	});
+	chrome.storage.onChanged.addListener(scheduleRefresh);
+});
@@ -0,0 +1,234 @@
+// ============================================
+// TAB MANAGER FOR TAB LIMITER (MV3)
+// ============================================
+// Tabs and counts come from the service worker, so the list holds exactly the
+// tabs the limits count and the budget uses the same weights
+
+// ============================================
+// CONSTANTS
+// ============================================
+// Tab events arrive in bursts, e.g. when a window is closed
+const RENDER_DELAY_MS = 100;
+
+// Least recently used and oldest first, as those are the likeliest to go
+const SORTERS = {
+	lastAccessed: (a, b) => a.activatedAt - b.activatedAt,
+	age: (a, b) => a.createdAt - b.createdAt,
+	domain: (a, b) => a.hostname.localeCompare(b.hostname) || a.title.localeCompare(b.title),
+	window: (a, b) => a.windowId - b.windowId || a.index - b.index
+};
+
+// ============================================
+// SEARCH
+// ============================================
+// The letters of a word have to appear in order, so "gthb iss" finds GitHub issues
+const fuzzyMatches = (text, word) => {
+	let position = 0;
+	for (const char of word) {
+		position = text.indexOf(char, position);
+		if (position === -1) return false;
+		position++;
+	}
+	return true;
+};
+
+const matchesSearch = (tab, query) => {
+	if (!query) return true;
+	const haystack = `${tab.title} ${tab.url}`.toLowerCase();
+	return query.toLowerCase().split(/\s+/).every((word) => fuzzyMatches(haystack, word));
+};
+
+const filterAndSort = (tabs, query, sort) =>
+	tabs.filter((tab) => matchesSearch(tab, query)).sort(SORTERS[sort] || SORTERS.lastAccessed);
+
+const getDomainTabIds = (tabs, hostname) =>
+	tabs.filter((tab) => tab.hostname === hostname).map((tab) => tab.id);
+
+// ============================================
+// FORMATTING
+// ============================================
+// Whole tabs of default weight that still fit, as on the badge
+const describeBudget = (count, max) => `${count} of ${max}, ${Math.max(0, Math.floor(max - count))} left`;
+
+const describeSummary = ({ total, windows }) => {
+	const current = windows.find((windowInfo) => windowInfo.current);
+	const parts = [`Total: ${describeBudget(total.count, total.max)}`];
+	if (current) parts.push(`this window: ${describeBudget(current.count, current.max)}`);
+	return parts.join(" · ");
+};
+
+// Windows are numbered in the order the service worker lists them, current first
+const getWindowLabels = (windows) => {
+	const labels = {};
+	windows.forEach((windowInfo, index) => {
+		labels[windowInfo.windowId] = windowInfo.current ? "this window" : `window ${index + 1}`;
+	});
+	return labels;
+};
+
+// ============================================
+// TABS
+// ============================================
+let currentWindowId;
+let tabList = { tabs: [], windows: [], total: { count: 0, max: 0 } };
+let renderTimer = null;
+const selected = new Set();
+
+const fetchTabs = async () => {
+	try {
+		const response = await chrome.runtime.sendMessage({ type: "get-tabs", windowId: currentWindowId });
+		if (response) tabList = response;
+	} catch (error) {
+		console.error("Failed to get tabs:", error);
+	}
+};
+
+const focusTab = async (tab) => {
+	try {
+		await chrome.tabs.update(tab.id, { active: true });
+		await chrome.windows.update(tab.windowId, { focused: true });
+	} catch (error) {
+		console.error("Failed to focus tab:", error);
+	}
+};
+
+const closeTabs = async (ids) => {
+	try {
+		await chrome.tabs.remove(ids);
+		ids.forEach((id) => selected.delete(id));
+	} catch (error) {
+		console.error("Failed to close tabs:", error);
+	}
+	await refresh();
+};
+
+// ============================================
+// RENDERING
+// ============================================
+const getVisibleTabs = () => filterAndSort(
+	tabList.tabs,
+	document.getElementById('search').value.trim(),
+	document.getElementById('sort').value
+);
+
+const updateSelectionControls = (visible) => {
+	const closeSelected = document.getElementById('closeSelected');
+	closeSelected.disabled = selected.size === 0;
+	closeSelected.textContent = selected.size > 0 ? `Close selected (${selected.size})` : "Close selected";
+	document.getElementById('selectAll').checked = visible.length > 0 && visible.every((tab) => selected.has(tab.id));
+};
+
+const createEntryElement = (tab, windowLabel) => {
+	const item = document.createElement('li');
+
+	const checkbox = document.createElement('input');
+	checkbox.type = 'checkbox';
+	checkbox.checked = selected.has(tab.id);
+	checkbox.setAttribute('aria-label', `Select ${tab.title || tab.url}`);
+	checkbox.addEventListener('change', () => {
+		if (checkbox.checked) selected.add(tab.id);
+		else selected.delete(tab.id);
+		updateSelectionControls(getVisibleTabs());
+	});
+
+	const icon = document.createElement('img');
+	icon.src = tab.favIconUrl || 'icons/48.png';
+	icon.alt = '';
+
+	const text = document.createElement('div');
+	text.className = 'entry';
+	const link = document.createElement('a');
+	link.href = tab.url;
+	link.textContent = tab.title || tab.url;
+	link.title = tab.url;
+	link.addEventListener('click', (event) => {
+		event.preventDefault();
+		focusTab(tab);
+	});
+	const details = document.createElement('span');
+	details.className = 'details';
+	details.textContent = [
+		tab.hostname || tab.url,
+		windowLabel,
+		tab.weight !== 1 ? `counts as ${tab.weight}` : ""
+	].filter(Boolean).join(" · ");
+	text.append(link, details);
+
+	const close = document.createElement('button');
+	close.type = 'button';
+	close.textContent = 'Close';
+	close.addEventListener('click', () => closeTabs([tab.id]));
+
+	item.append(checkbox, icon, text, close);
+
+	if (tab.hostname) {
+		const closeDomain = document.createElement('button');
+		closeDomain.type = 'button';
+		closeDomain.textContent = 'Close domain';
+		closeDomain.title = `Close all tabs from ${tab.hostname}`;
+		closeDomain.addEventListener('click', () => closeTabs(getDomainTabIds(tabList.tabs, tab.hostname)));
+		item.append(closeDomain);
+	}
+	return item;
+};
+
+const renderTabs = () => {
+	// Closed tabs cannot stay selected
+	const openIds = new Set(tabList.tabs.map((tab) => tab.id));
+	for (const id of selected) {
+		if (!openIds.has(id)) selected.delete(id);
+	}
+
+	const visible = getVisibleTabs();
+	const windowLabels = getWindowLabels(tabList.windows);
+	document.getElementById('summary').textContent = describeSummary(tabList);
+	document.getElementById('entries').replaceChildren(...visible.map((tab) =>
+		createEntryElement(tab, windowLabels[tab.windowId])
+	));
+	document.getElementById('empty').classList.toggle('hidden', visible.length > 0);
+	updateSelectionControls(visible);
+};
+
+const refresh = async () => {
+	await fetchTabs();
+	renderTabs();
+};
+
+const scheduleRefresh = () => {
+	clearTimeout(renderTimer);
+	renderTimer = setTimeout(refresh, RENDER_DELAY_MS);
+};
+
+// ============================================
+// EVENT LISTENERS
+// ============================================
+document.addEventListener('DOMContentLoaded', async () => {
+	try {
+		currentWindowId = (await chrome.windows.getCurrent()).id;
+	} catch (error) {
+		console.error("Failed to get current window:", error);
+	}
+	await refresh();
+
+	document.getElementById('search').addEventListener('input', renderTabs);
+	document.getElementById('sort').addEventListener('change', renderTabs);
+	document.getElementById('selectAll').addEventListener('change', (event) => {
+		for (const tab of getVisibleTabs()) {
+			if (event.target.checked) selected.add(tab.id);
+			else selected.delete(tab.id);
+		}
+		renderTabs();
+	});
+	document.getElementById('closeSelected').addEventListener('click', () => closeTabs([...selected]));
+
+	// Tabs closed or opened elsewhere update the list and the budget
+	chrome.tabs.onCreated.addListener(scheduleRefresh);
+	chrome.tabs.onRemoved.addListener(scheduleRefresh);
+	chrome.tabs.onAttached.addListener(scheduleRefresh);
+	chrome.tabs.onDetached.addListener(scheduleRefresh);
+	chrome.tabs.onActivated.addListener(scheduleRefresh);
+	chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+		if (changeInfo.url || changeInfo.title || changeInfo.pinned !== undefined) scheduleRefresh();
+	});
+	chrome.storage.onChanged.addListener(scheduleRefresh);
+});
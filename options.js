@@ -5,110 +5,1013 @@
 // ============================================
 // CONSTANTS
 // ============================================
-const DEFAULT_OPTIONS = {
-	maxTotal: 50,
-	maxWindow: 20,
-	exceedTabNewWindow: false,
-	displayAlert: true,
-	countPinnedTabs: false,
-	displayBadge: false,
-	alertMessage: "You decided not to open more than {maxPlace} tabs in {place}"
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+// Monday first, as most users read a week
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// ============================================
+// OPTIONS MANAGEMENT
+// ============================================
+let inputElements;
+
+const getOptions = async () => {
+	try {
+		const defaults = await chrome.storage.sync.get("defaultOptions");
+		const options = await chrome.storage.sync.get(defaults.defaultOptions || DEFAULT_OPTIONS);
+		return sanitizeOptions(resolveProfile(options, await getProfileState()), DEFAULT_OPTIONS);
+	} catch (error) {
+		console.error("Failed to get options:", error);
+		return DEFAULT_OPTIONS;
+	}
+};
+
+const displaySavedStatus = () => {
+	const status = document.getElementById('status');
+	status.className = 'notice';
+	status.textContent = 'Options saved.';
+	setTimeout(() => {
+		status.className += ' invisible';
+	}, 100);
+};
+
+const displayInvalidStatus = () => {
+	const status = document.getElementById('status');
+	status.className = 'error';
+	status.textContent = 'Fix the highlighted fields; they were not saved.';
+};
+
+// Sync storage rejects writes over its quotas of 8 KB per item and 100 KB in total
+const describeSaveError = (error) => {
+	const message = String(error && error.message || error);
+	return message.includes('QUOTA_BYTES')
+		? 'Sync storage is full, so this was not saved. Delete a profile or some rules and try again.'
+		: `This was not saved: ${message}`;
+};
+
+const displaySaveError = (error) => {
+	const status = document.getElementById('status');
+	status.className = 'error';
+	status.textContent = describeSaveError(error);
+};
+
+// Shows the first error below the field's label, or below fields without one
+const renderFieldError = (input, error) => {
+	const label = document.querySelector(`label[for="${input.id}"]`);
+	let message = document.getElementById(`${input.id}Error`);
+
+	input.classList.toggle('invalid', Boolean(error));
+	if (!error) {
+		if (message) message.remove();
+		return;
+	}
+	if (!message) {
+		message = document.createElement('p');
+		message.id = `${input.id}Error`;
+		message.className = 'fieldError';
+		(label || input).after(message);
+	}
+	message.textContent = error;
+};
+
+// Rows of the rule tables and schedule blocks have no ids, so each message
+// goes right after its field
+const renderRuleError = (input, error) => {
+	const next = input.nextElementSibling;
+	let message = next && next.classList.contains('fieldError') ? next : null;
+
+	input.classList.toggle('invalid', Boolean(error));
+	if (!error) {
+		if (message) message.remove();
+		return;
+	}
+	if (!message) {
+		message = document.createElement('p');
+		message.className = 'fieldError';
+		input.after(message);
+	}
+	message.textContent = error;
+};
+
+// The first error of each field of a list entry, named after the field's title.
+// `fields` maps the keys of the entry to their inputs.
+const validateRule = (rule, schema, fields) => {
+	const errors = {};
+	for (const key of Object.keys(fields)) {
+		const [error] = validateValue(rule[key], schema[key], fields[key].title);
+		if (error) errors[key] = error;
+	}
+	return errors;
+};
+
+// Shows the errors of a list entry and tells whether it can be stored
+const renderRuleErrors = (fields, errors) => {
+	for (const [key, input] of Object.entries(fields)) {
+		renderRuleError(input, errors[key]);
+	}
+	return Object.keys(errors).length === 0;
+};
+
+// Only valid fields are stored; invalid ones keep their previous value
+const saveOptions = async () => {
+	try {
+		const values = {};
+		let hasErrors = false;
+
+		for (let i = 0; i < inputElements.length; i++) {
+			const input = inputElements[i];
+			const rule = OPTION_SCHEMA[input.id];
+			const label = document.querySelector(`label[for="${input.id}"]`).textContent.trim();
+			const value = coerceValue(input.type === "checkbox" ? input.checked : input.value, rule);
+			const [error] = validateValue(value, rule, label);
+
+			renderFieldError(input, error);
+			if (error) {
+				hasErrors = true;
+			} else {
+				values[input.id] = value;
+			}
+		}
+
+		await storeOptions(values);
+		if (hasErrors) {
+			displayInvalidStatus();
+		} else {
+			displaySavedStatus();
+		}
+
+	} catch (error) {
+		console.error("Failed to save options:", error);
+		displaySaveError(error);
+	}
+};
+
+const restoreOptions = async () => {
+	try {
+		const options = await getOptions();
+
+		for (let i = 0; i < inputElements.length; i++) {
+			const input = inputElements[i];
+			const valueType = input.type === "checkbox" ? "checked" : "value";
+			input[valueType] = options[input.id];
+			renderFieldError(input, null);
+		}
+	} catch (error) {
+		console.error("Failed to restore options:", error);
+	}
 };
 
 // ============================================
-// TAB QUERY UTILITIES
+// DOMAIN LIMITS
 // ============================================
-const tabQuery = async (options, params = {}) => {
-	if (!options.countPinnedTabs) {
-		params.pinned = false;
+// Rows without a domain yet are skipped; null when any other row is invalid
+const readDomainLimits = () => {
+	const rows = document.querySelectorAll('#domainLimits tbody tr');
+	const domainLimits = [];
+	let valid = true;
+
+	for (let i = 0; i < rows.length; i++) {
+		const fields = { hostname: rows[i].querySelector('.hostname'), max: rows[i].querySelector('.max') };
+		const rule = {
+			hostname: normalizeHostname(fields.hostname.value),
+			max: coerceValue(fields.max.value, OPTION_SCHEMA.domainLimits.items.max),
+			includeSubdomains: rows[i].querySelector('.includeSubdomains').checked
+		};
+		if (!fields.hostname.value.trim()) {
+			renderRuleErrors(fields, {});
+			continue;
+		}
+
+		const errors = validateRule(rule, OPTION_SCHEMA.domainLimits.items, fields);
+		if (!rule.hostname) errors.hostname = `${fields.hostname.title} must be a domain such as github.com`;
+		if (renderRuleErrors(fields, errors)) {
+			domainLimits.push(rule);
+		} else {
+			valid = false;
+		}
 	}
-	return chrome.tabs.query(params);
+	return valid ? domainLimits : null;
 };
 
-const windowRemaining = async (options) => {
-	const tabs = await tabQuery(options, { currentWindow: true });
-	return options.maxWindow - tabs.length;
+const saveDomainLimits = async () => {
+	try {
+		const domainLimits = readDomainLimits();
+		if (!domainLimits) {
+			displayInvalidStatus();
+			return;
+		}
+		await storeOptions({ domainLimits });
+		displaySavedStatus();
+	} catch (error) {
+		console.error("Failed to save domain limits:", error);
+		displaySaveError(error);
+	}
 };
 
-const totalRemaining = async (options) => {
-	const tabs = await tabQuery(options);
-	return options.maxTotal - tabs.length;
+const addDomainLimitRow = (rule = { hostname: "", max: 3, includeSubdomains: true }) => {
+	const row = document.createElement('tr');
+
+	const hostname = document.createElement('input');
+	hostname.type = 'text';
+	hostname.className = 'hostname';
+	hostname.title = 'Domain';
+	hostname.placeholder = 'github.com';
+	hostname.value = rule.hostname;
+
+	const max = document.createElement('input');
+	max.type = 'number';
+	max.className = 'max';
+	max.title = 'Max. tabs';
+	max.min = 1;
+	max.max = 1337;
+	max.value = rule.max;
+
+	const includeSubdomains = document.createElement('input');
+	includeSubdomains.type = 'checkbox';
+	includeSubdomains.className = 'includeSubdomains';
+	includeSubdomains.checked = Boolean(rule.includeSubdomains);
+
+	const remove = document.createElement('button');
+	remove.type = 'button';
+	remove.textContent = '✕';
+	remove.title = 'Remove';
+	remove.addEventListener('click', () => {
+		row.remove();
+		saveDomainLimits();
+	});
+
+	for (const element of [hostname, max, includeSubdomains, remove]) {
+		const cell = document.createElement('td');
+		cell.appendChild(element);
+		row.appendChild(cell);
+	}
+
+	hostname.addEventListener('change', saveDomainLimits);
+	max.addEventListener('change', saveDomainLimits);
+	includeSubdomains.addEventListener('change', saveDomainLimits);
+
+	document.querySelector('#domainLimits tbody').appendChild(row);
+	return row;
+};
+
+const restoreDomainLimits = (options) => {
+	const domainLimits = Array.isArray(options.domainLimits) ? options.domainLimits : [];
+	document.querySelector('#domainLimits tbody').textContent = '';
+	domainLimits.forEach((rule) => addDomainLimitRow(rule));
 };
 
 // ============================================
-// BADGE MANAGEMENT
+// GROUP LIMITS
 // ============================================
-const updateBadge = async (options) => {
+// Rows without a title yet are skipped; null when any other row is invalid
+const readGroupLimits = () => {
+	const rows = document.querySelectorAll('#groupLimits tbody tr');
+	const groupLimits = [];
+	let valid = true;
+
+	for (let i = 0; i < rows.length; i++) {
+		const fields = { title: rows[i].querySelector('.title'), max: rows[i].querySelector('.max') };
+		const rule = {
+			title: fields.title.value.trim(),
+			max: coerceValue(fields.max.value, OPTION_SCHEMA.groupLimits.items.max)
+		};
+		if (!rule.title) {
+			renderRuleErrors(fields, {});
+			continue;
+		}
+
+		if (renderRuleErrors(fields, validateRule(rule, OPTION_SCHEMA.groupLimits.items, fields))) {
+			groupLimits.push(rule);
+		} else {
+			valid = false;
+		}
+	}
+	return valid ? groupLimits : null;
+};
+
+const saveGroupLimits = async () => {
 	try {
-		if (!options.displayBadge) {
-			await chrome.action.setBadgeText({ text: "" });
+		const groupLimits = readGroupLimits();
+		if (!groupLimits) {
+			displayInvalidStatus();
 			return;
 		}
+		await storeOptions({ groupLimits });
+		displaySavedStatus();
+	} catch (error) {
+		console.error("Failed to save group limits:", error);
+		displaySaveError(error);
+	}
+};
+
+const addGroupLimitRow = (rule = { title: "", max: 8 }) => {
+	const row = document.createElement('tr');
+
+	const title = document.createElement('input');
+	title.type = 'text';
+	title.className = 'title';
+	title.title = 'Group title';
+	title.placeholder = 'Research';
+	title.value = rule.title;
+
+	const max = document.createElement('input');
+	max.type = 'number';
+	max.className = 'max';
+	max.title = 'Max. tabs';
+	max.min = 1;
+	max.max = 1337;
+	max.value = rule.max;
 
-		const remaining = await Promise.all([
-			windowRemaining(options),
-			totalRemaining(options)
+	const remove = document.createElement('button');
+	remove.type = 'button';
+	remove.textContent = '✕';
+	remove.title = 'Remove';
+	remove.addEventListener('click', () => {
+		row.remove();
+		saveGroupLimits();
+	});
+
+	for (const element of [title, max, remove]) {
+		const cell = document.createElement('td');
+		cell.appendChild(element);
+		row.appendChild(cell);
+	}
+
+	title.addEventListener('change', saveGroupLimits);
+	max.addEventListener('change', saveGroupLimits);
+
+	document.querySelector('#groupLimits tbody').appendChild(row);
+	return row;
+};
+
+const restoreGroupLimits = (options) => {
+	const groupLimits = Array.isArray(options.groupLimits) ? options.groupLimits : [];
+	document.querySelector('#groupLimits tbody').textContent = '';
+	groupLimits.forEach((rule) => addGroupLimitRow(rule));
+};
+
+// ============================================
+// WINDOW LIMITS
+// ============================================
+// Set from the popup and kept by the service worker in session storage, so
+// they can only be cleared here
+const describeWindow = (windowInfo) => {
+	const tabs = windowInfo.tabs || [];
+	const active = tabs.find((tab) => tab.active) || tabs[0];
+	const count = `${tabs.length} ${tabs.length === 1 ? "tab" : "tabs"}`;
+	return active ? `${active.title || active.url} (${count})` : count;
+};
+
+const clearWindowLimit = async (windowId) => {
+	try {
+		await chrome.runtime.sendMessage({ type: "set-window-limit", windowId, max: null });
+		await renderWindowLimits();
+	} catch (error) {
+		console.error("Failed to clear window limit:", error);
+	}
+};
+
+const renderWindowLimits = async () => {
+	try {
+		const [{ windowLimits }, windows] = await Promise.all([
+			chrome.storage.session.get({ windowLimits: {} }),
+			chrome.windows.getAll({ populate: true })
 		]);
-		await chrome.action.setBadgeText({
-			text: Math.min(...remaining).toString()
-		});
+		const rows = windows
+			.filter((windowInfo) => Number.isInteger(windowLimits[windowInfo.id]))
+			.map((windowInfo) => {
+				const row = document.createElement('tr');
+
+				const label = document.createElement('td');
+				label.textContent = describeWindow(windowInfo);
+				const max = document.createElement('td');
+				max.textContent = windowLimits[windowInfo.id];
+
+				const clear = document.createElement('button');
+				clear.type = 'button';
+				clear.textContent = '✕';
+				clear.title = 'Use the default limit';
+				clear.addEventListener('click', () => clearWindowLimit(windowInfo.id));
+				const actions = document.createElement('td');
+				actions.appendChild(clear);
+
+				row.append(label, max, actions);
+				return row;
+			});
+		document.querySelector('#windowLimits tbody').replaceChildren(...rows);
+		document.getElementById('windowLimits').classList.toggle('hidden', rows.length === 0);
+		document.getElementById('noWindowLimits').classList.toggle('hidden', rows.length > 0);
 	} catch (error) {
-		console.error("Failed to update badge:", error);
+		console.error("Failed to show window limits:", error);
 	}
 };
 
 // ============================================
-// OPTIONS MANAGEMENT
+// TAB WEIGHTS
 // ============================================
-let inputElements;
+// Rows without a pattern yet are skipped; null when any other row is invalid
+const readTabWeights = () => {
+	const rows = document.querySelectorAll('#tabWeights tbody tr');
+	const tabWeights = [];
+	let valid = true;
 
-const getOptions = async () => {
+	for (let i = 0; i < rows.length; i++) {
+		const fields = { pattern: rows[i].querySelector('.pattern'), weight: rows[i].querySelector('.weight') };
+		const rule = {
+			pattern: fields.pattern.value.trim(),
+			weight: coerceValue(fields.weight.value, OPTION_SCHEMA.tabWeights.items.weight)
+		};
+		if (!rule.pattern) {
+			renderRuleErrors(fields, {});
+			continue;
+		}
+
+		if (renderRuleErrors(fields, validateRule(rule, OPTION_SCHEMA.tabWeights.items, fields))) {
+			tabWeights.push(rule);
+		} else {
+			valid = false;
+		}
+	}
+	return valid ? tabWeights : null;
+};
+
+const saveTabWeights = async () => {
 	try {
-		const defaults = await chrome.storage.sync.get("defaultOptions");
-		const options = await chrome.storage.sync.get(defaults.defaultOptions || DEFAULT_OPTIONS);
-		return options;
+		const tabWeights = readTabWeights();
+		if (!tabWeights) {
+			displayInvalidStatus();
+			return;
+		}
+		await storeOptions({ tabWeights });
+		displaySavedStatus();
 	} catch (error) {
-		console.error("Failed to get options:", error);
-		return DEFAULT_OPTIONS;
+		console.error("Failed to save tab weights:", error);
+		displaySaveError(error);
 	}
 };
 
-const saveOptions = async () => {
+const addTabWeightRow = (rule = { pattern: "", weight: 2 }) => {
+	const row = document.createElement('tr');
+
+	const pattern = document.createElement('input');
+	pattern.type = 'text';
+	pattern.className = 'pattern';
+	pattern.title = 'Pattern';
+	pattern.placeholder = '*://docs.example.com/*';
+	pattern.value = rule.pattern;
+
+	const weight = document.createElement('input');
+	weight.type = 'number';
+	weight.className = 'weight';
+	weight.title = 'Weight';
+	weight.min = 0;
+	weight.max = 100;
+	weight.step = 0.5;
+	weight.value = rule.weight;
+
+	const remove = document.createElement('button');
+	remove.type = 'button';
+	remove.textContent = '✕';
+	remove.title = 'Remove';
+	remove.addEventListener('click', () => {
+		row.remove();
+		saveTabWeights();
+	});
+
+	for (const element of [pattern, weight, remove]) {
+		const cell = document.createElement('td');
+		cell.appendChild(element);
+		row.appendChild(cell);
+	}
+
+	pattern.addEventListener('change', saveTabWeights);
+	weight.addEventListener('change', saveTabWeights);
+
+	document.querySelector('#tabWeights tbody').appendChild(row);
+	return row;
+};
+
+const restoreTabWeights = (options) => {
+	document.querySelector('#tabWeights tbody').textContent = '';
+	options.tabWeights.forEach((rule) => addTabWeightRow(rule));
+};
+
+// ============================================
+// ALLOWLIST EDITOR
+// ============================================
+// One pattern per line; blank lines are ignored
+const readAllowlist = () => document.getElementById('allowlist').value
+	.split('\n')
+	.map((line) => line.trim())
+	.filter(Boolean);
+
+const saveAllowlist = async () => {
 	try {
-		const values = {};
+		const input = document.getElementById('allowlist');
+		const allowlist = readAllowlist();
+		const [error] = validateValue(allowlist, OPTION_SCHEMA.allowlist, 'Allowlist');
 
-		for (let i = 0; i < inputElements.length; i++) {
-			const input = inputElements[i];
-			const value = input.type === "checkbox" ? input.checked : input.value;
-			values[input.id] = value;
+		renderFieldError(input, error);
+		if (error) {
+			displayInvalidStatus();
+			return;
 		}
+		await storeOptions({ allowlist });
+		displaySavedStatus();
+	} catch (error) {
+		console.error("Failed to save allowlist:", error);
+		displaySaveError(error);
+	}
+};
+
+const restoreAllowlist = (options) => {
+	const input = document.getElementById('allowlist');
+	input.value = options.allowlist.join('\n');
+	renderFieldError(input, null);
+};
 
-		await chrome.storage.sync.set(values);
+// ============================================
+// INACTIVE TAB EXCEPTIONS
+// ============================================
+// One domain per line, normalized like the per-domain limits
+const readIdleExceptions = () => document.getElementById('idleExceptions').value
+	.split('\n')
+	.map(normalizeHostname)
+	.filter(Boolean);
 
-		const status = document.getElementById('status');
-		status.className = 'notice';
-		status.textContent = 'Options saved.';
-		setTimeout(() => {
-			status.className += ' invisible';
-		}, 100);
+const saveIdleExceptions = async () => {
+	try {
+		const input = document.getElementById('idleExceptions');
+		const idleExceptions = readIdleExceptions();
+		const [error] = validateValue(idleExceptions, OPTION_SCHEMA.idleExceptions, 'Inactive tab exceptions');
 
-		await updateBadge(values);
+		renderFieldError(input, error);
+		if (error) {
+			displayInvalidStatus();
+			return;
+		}
+		await storeOptions({ idleExceptions });
+		displaySavedStatus();
 	} catch (error) {
-		console.error("Failed to save options:", error);
+		console.error("Failed to save inactive tab exceptions:", error);
+		displaySaveError(error);
 	}
 };
 
-const restoreOptions = async () => {
+const restoreIdleExceptions = (options) => {
+	const input = document.getElementById('idleExceptions');
+	input.value = (options.idleExceptions || []).join('\n');
+	renderFieldError(input, null);
+};
+
+// ============================================
+// SCHEDULE EDITOR
+// ============================================
+// An empty limit keeps the regular one while the schedule is active
+const parseLimit = (value, rule) => (value.trim() ? coerceValue(value, rule) : null);
+
+// Null when any schedule is invalid
+const readSchedules = () => {
+	const blocks = document.querySelectorAll('#schedules .schedule');
+	const schema = OPTION_SCHEMA.schedules.items;
+	const schedules = [];
+	let valid = true;
+
+	for (let i = 0; i < blocks.length; i++) {
+		const block = blocks[i];
+		const dayInputs = block.querySelectorAll('.day');
+		let days = 0;
+		for (let j = 0; j < dayInputs.length; j++) {
+			if (dayInputs[j].checked) days |= 1 << Number(dayInputs[j].value);
+		}
+
+		const fields = {
+			name: block.querySelector('.name'),
+			start: block.querySelector('.start'),
+			end: block.querySelector('.end'),
+			maxTotal: block.querySelector('.maxTotal'),
+			maxWindow: block.querySelector('.maxWindow')
+		};
+		const schedule = {
+			name: fields.name.value.trim(),
+			days,
+			start: fields.start.value,
+			end: fields.end.value,
+			maxTotal: parseLimit(fields.maxTotal.value, schema.maxTotal),
+			maxWindow: parseLimit(fields.maxWindow.value, schema.maxWindow)
+		};
+
+		if (renderRuleErrors(fields, validateRule(schedule, schema, fields))) {
+			schedules.push(schedule);
+		} else {
+			valid = false;
+		}
+	}
+	return valid ? schedules : null;
+};
+
+const formatScheduleLimits = (options) =>
+	`max. ${options.maxTotal} total, ${options.maxWindow} per window`;
+
+const renderScheduleStatus = async () => {
 	try {
 		const options = await getOptions();
+		const now = new Date();
+		const active = findActiveSchedule(options, now);
+		const next = getNextScheduleChange(options, now);
+		const status = document.getElementById('scheduleStatus');
 
-		for (let i = 0; i < inputElements.length; i++) {
-			const input = inputElements[i];
-			const valueType = input.type === "checkbox" ? "checked" : "value";
-			input[valueType] = options[input.id];
+		let text = active
+			? `Active now: ${active.name || "Unnamed schedule"} (${formatScheduleLimits(applySchedule(options, now))}).`
+			: `No schedule active, using the limits above.`;
+		if (next) {
+			const nextSchedule = findActiveSchedule(options, next);
+			const when = next.toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+			text += ` Next change ${when}: ${nextSchedule ? nextSchedule.name || "Unnamed schedule" : "default limits"}.`;
 		}
+		status.textContent = text;
 	} catch (error) {
-		console.error("Failed to restore options:", error);
+		console.error("Failed to render schedule status:", error);
+	}
+};
+
+const saveSchedules = async () => {
+	try {
+		const schedules = readSchedules();
+		if (!schedules) {
+			displayInvalidStatus();
+			return;
+		}
+		await storeOptions({ schedules });
+		displaySavedStatus();
+		await renderScheduleStatus();
+	} catch (error) {
+		console.error("Failed to save schedules:", error);
+		displaySaveError(error);
+	}
+};
+
+const createInput = (type, className, value) => {
+	const input = document.createElement('input');
+	input.type = type;
+	input.className = className;
+	if (value !== undefined && value !== null) input.value = value;
+	return input;
+};
+
+const addScheduleBlock = (schedule = { name: "", days: 62, start: "09:00", end: "17:00", maxTotal: 20, maxWindow: 10 }) => {
+	const block = document.createElement('div');
+	block.className = 'schedule';
+
+	const name = createInput('text', 'name', schedule.name);
+	name.title = 'Name';
+	name.placeholder = 'Working hours';
+
+	const days = document.createElement('div');
+	days.className = 'days';
+	for (const day of WEEKDAY_ORDER) {
+		const label = document.createElement('label');
+		const input = createInput('checkbox', 'day', day);
+		input.checked = isDayEnabled(schedule, day);
+		label.append(input, WEEKDAYS[day]);
+		days.appendChild(label);
+	}
+
+	const times = document.createElement('div');
+	times.className = 'times';
+	const start = createInput('time', 'start', schedule.start);
+	start.title = 'Start';
+	const end = createInput('time', 'end', schedule.end);
+	end.title = 'End';
+	times.append(start, '–', end);
+
+	const limits = document.createElement('div');
+	limits.className = 'limits';
+	const maxTotal = createInput('number', 'maxTotal', schedule.maxTotal);
+	maxTotal.title = 'Max. total tabs';
+	maxTotal.placeholder = 'total';
+	const maxWindow = createInput('number', 'maxWindow', schedule.maxWindow);
+	maxWindow.title = 'Max. tabs in one window';
+	maxWindow.placeholder = 'window';
+	for (const input of [maxTotal, maxWindow]) {
+		input.min = 1;
+		input.max = 1337;
+	}
+	limits.append(maxTotal, maxWindow);
+
+	const remove = document.createElement('button');
+	remove.type = 'button';
+	remove.textContent = 'Remove schedule';
+	remove.addEventListener('click', () => {
+		block.remove();
+		saveSchedules();
+	});
+
+	block.append(name, days, times, limits, remove);
+	block.addEventListener('change', saveSchedules);
+
+	document.getElementById('schedules').appendChild(block);
+	return block;
+};
+
+const restoreSchedules = (options) => {
+	const schedules = Array.isArray(options.schedules) ? options.schedules : [];
+	document.getElementById('schedules').textContent = '';
+	schedules.forEach((schedule) => addScheduleBlock(schedule));
+};
+
+// ============================================
+// PROFILES
+// ============================================
+const pickOptions = (options) => {
+	const picked = {};
+	for (const key of Object.keys(DEFAULT_OPTIONS)) {
+		picked[key] = options[key];
+	}
+	return picked;
+};
+
+const renderProfiles = async () => {
+	try {
+		const { profiles, activeProfile } = await getProfileState();
+		const container = document.getElementById('profileButtons');
+		container.textContent = '';
+
+		for (const name of ["", ...Object.keys(profiles)]) {
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.textContent = name || 'Default';
+			button.classList.toggle('active', name === activeProfile || (!profiles[activeProfile] && !name));
+			button.addEventListener('click', () => switchProfile(name));
+			container.appendChild(button);
+		}
+
+		document.getElementById('deleteProfile').disabled = !profiles[activeProfile];
+	} catch (error) {
+		console.error("Failed to render profiles:", error);
+	}
+};
+
+const restoreAll = async () => {
+	await restoreOptions();
+	const options = await getOptions();
+	restoreDomainLimits(options);
+	restoreGroupLimits(options);
+	restoreAllowlist(options);
+	restoreIdleExceptions(options);
+	restoreTabWeights(options);
+	restoreSchedules(options);
+	await renderScheduleStatus();
+	await renderProfiles();
+};
+
+// The service worker picks up the change, updates the badge and re-checks open tabs
+const switchProfile = async (name) => {
+	try {
+		await chrome.storage.sync.set({ activeProfile: name });
+		await restoreAll();
+	} catch (error) {
+		console.error("Failed to switch profile:", error);
+	}
+};
+
+const saveProfileAs = async () => {
+	try {
+		const input = document.getElementById('newProfileName');
+		const name = input.value.trim();
+		if (!name) return;
+
+		await chrome.storage.sync.set({ [getProfileKey(name)]: pickOptions(await getOptions()), activeProfile: name });
+
+		input.value = '';
+		await renderProfiles();
+		displaySavedStatus();
+	} catch (error) {
+		console.error("Failed to save profile:", error);
+		displaySaveError(error);
+	}
+};
+
+const deleteActiveProfile = async () => {
+	try {
+		const { profiles, activeProfile } = await getProfileState();
+		if (!profiles[activeProfile]) return;
+
+		await chrome.storage.sync.remove(getProfileKey(activeProfile));
+		await chrome.storage.sync.set({ activeProfile: "" });
+		await restoreAll();
+	} catch (error) {
+		console.error("Failed to delete profile:", error);
+	}
+};
+
+// ============================================
+// IMPORT / EXPORT
+// ============================================
+let pendingImport = null;
+
+// Raw stored values, not resolved through the active profile
+const getStoredSettings = async () => {
+	const defaults = await chrome.storage.sync.get("defaultOptions");
+	const options = await chrome.storage.sync.get(defaults.defaultOptions || DEFAULT_OPTIONS);
+	const { profiles, activeProfile } = await getProfileState();
+
+	const storedProfiles = {};
+	for (const [name, profile] of Object.entries(profiles)) {
+		storedProfiles[name] = coerceOptions(pickOptions({ ...DEFAULT_OPTIONS, ...profile }));
+	}
+	return {
+		options: coerceOptions(pickOptions(options)),
+		profiles: storedProfiles,
+		activeProfile
+	};
+};
+
+const download = (filename, type, content) => {
+	const url = URL.createObjectURL(new Blob([content], { type }));
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const exportSettings = async () => {
+	try {
+		const settings = {
+			format: SETTINGS_FORMAT,
+			version: SETTINGS_VERSION,
+			exportedAt: new Date().toISOString(),
+			...await getStoredSettings()
+		};
+		download('tab-limiter-settings.json', 'application/json', JSON.stringify(settings, null, "\t"));
+	} catch (error) {
+		console.error("Failed to export settings:", error);
+	}
+};
+
+const formatValue = (value) => {
+	const text = value === undefined ? "(not set)" : JSON.stringify(value);
+	return text.length > 60 ? text.slice(0, 57) + "..." : text;
+};
+
+const diffObjects = (before, after, path) => {
+	const changes = [];
+	for (const key of Object.keys(after)) {
+		if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+			changes.push({ path: `${path}${key}`, before: before[key], after: after[key] });
+		}
+	}
+	return changes;
+};
+
+// Imported profiles replace the stored ones, so missing profiles are removed
+const diffSettings = (current, imported) => {
+	const changes = [];
+	if (imported.options) {
+		changes.push(...diffObjects(current.options, imported.options, ""));
+	}
+	if (imported.profiles) {
+		for (const name of Object.keys(current.profiles)) {
+			if (!(name in imported.profiles)) {
+				changes.push({ path: `profile "${name}"`, before: "exists", after: undefined });
+			}
+		}
+		for (const [name, profile] of Object.entries(imported.profiles)) {
+			if (name in current.profiles) {
+				changes.push(...diffObjects(current.profiles[name], profile, `profile "${name}": `));
+			} else {
+				changes.push({ path: `profile "${name}"`, before: undefined, after: "new" });
+			}
+		}
+	}
+	if ("activeProfile" in imported && imported.activeProfile !== current.activeProfile) {
+		changes.push({ path: "activeProfile", before: current.activeProfile, after: imported.activeProfile });
+	}
+	return changes;
+};
+
+const renderImportResult = (title, lines, canApply) => {
+	const result = document.getElementById('importResult');
+	result.textContent = '';
+	result.className = canApply ? 'importPreview' : 'importErrors';
+
+	const heading = document.createElement('p');
+	heading.textContent = title;
+	const list = document.createElement('ul');
+	for (const line of lines) {
+		const item = document.createElement('li');
+		item.textContent = line;
+		list.appendChild(item);
+	}
+	result.append(heading, list);
+
+	if (canApply) {
+		const apply = document.createElement('button');
+		apply.type = 'button';
+		apply.textContent = 'Apply import';
+		apply.addEventListener('click', applyImport);
+		result.appendChild(apply);
+	}
+
+	const cancel = document.createElement('button');
+	cancel.type = 'button';
+	cancel.textContent = canApply ? 'Cancel' : 'Close';
+	cancel.addEventListener('click', () => {
+		pendingImport = null;
+		result.textContent = '';
+		result.className = '';
+	});
+	result.appendChild(cancel);
+};
+
+const importSettings = async (file) => {
+	pendingImport = null;
+
+	let settings;
+	try {
+		settings = JSON.parse(await file.text());
+	} catch (error) {
+		renderImportResult(`${file.name} is not valid JSON:`, [error.message], false);
+		return;
+	}
+
+	const errors = validateSettingsDocument(settings);
+	if (errors.length > 0) {
+		renderImportResult(`${file.name} was rejected:`, errors, false);
+		return;
+	}
+
+	const changes = diffSettings(await getStoredSettings(), settings);
+	if (changes.length === 0) {
+		renderImportResult(`${file.name} matches the current settings.`, [], false);
+		return;
+	}
+
+	pendingImport = settings;
+	renderImportResult(
+		`Importing ${file.name} will change:`,
+		changes.map(({ path, before, after }) => `${path}: ${formatValue(before)} → ${formatValue(after)}`),
+		true
+	);
+};
+
+// Profiles missing from the file are removed once the imported ones are stored
+const storeImportedSettings = async (settings) => {
+	const updates = { ...settings.options };
+	let removedProfiles = [];
+	if (settings.profiles) {
+		const { profiles } = await getProfileState();
+		removedProfiles = Object.keys(profiles).filter((name) => !(name in settings.profiles));
+		Object.assign(updates, toProfileItems(settings.profiles));
+	}
+	if ("activeProfile" in settings) updates.activeProfile = settings.activeProfile;
+
+	await chrome.storage.sync.set(updates);
+	await chrome.storage.sync.remove(removedProfiles.map(getProfileKey));
+};
+
+const applyImport = async () => {
+	if (!pendingImport) return;
+
+	try {
+		await storeImportedSettings(pendingImport);
+		pendingImport = null;
+
+		const result = document.getElementById('importResult');
+		result.textContent = '';
+		result.className = '';
+		displaySavedStatus();
+		await restoreAll();
+	} catch (error) {
+		console.error("Failed to import settings:", error);
+		displaySaveError(error);
+	}
+};
+
+// ============================================
+// MIGRATION ERRORS
+// ============================================
+// Recorded by the service worker when upgrading stored options fails
+const renderMigrationError = async () => {
+	try {
+		const { migrationError } = await chrome.storage.local.get('migrationError');
+		const banner = document.getElementById('migrationError');
+		banner.classList.toggle('hidden', !migrationError);
+		if (migrationError) {
+			banner.querySelector('.details').textContent =
+				`Upgrading to settings version ${migrationError.version} failed: ${migrationError.message}`;
+		}
+	} catch (error) {
+		console.error("Failed to show migration error:", error);
+	}
+};
+
+const dismissMigrationError = async () => {
+	try {
+		await chrome.storage.local.remove('migrationError');
+		await renderMigrationError();
+	} catch (error) {
+		console.error("Failed to dismiss migration error:", error);
 	}
 };
 
@@ -116,12 +1019,52 @@ const restoreOptions = async () => {
 // EVENT LISTENERS
 // ============================================
 document.addEventListener('DOMContentLoaded', async () => {
-	inputElements = document.querySelectorAll('#options input');
+	inputElements = document.querySelectorAll('#options input, #options select');
 
-	await restoreOptions();
+	await restoreAll();
+	await renderMigrationError();
+	await renderWindowLimits();
+	setInterval(renderScheduleStatus, 30 * 1000);
+
+	document.getElementById('dismissMigrationError').addEventListener('click', dismissMigrationError);
+
+	// Windows can get their own limit from the popup while this page is open
+	chrome.storage.onChanged.addListener((changes, areaName) => {
+		if (areaName === "session" && changes.windowLimits) renderWindowLimits();
+	});
+	chrome.windows.onRemoved.addListener(renderWindowLimits);
+
+	document.getElementById('exportSettings').addEventListener('click', exportSettings);
+	document.getElementById('importSettings').addEventListener('click', () => {
+		document.getElementById('importFile').click();
+	});
+	document.getElementById('importFile').addEventListener('change', async (event) => {
+		const [file] = event.target.files;
+		event.target.value = '';
+		if (file) await importSettings(file);
+	});
+
+	document.getElementById('saveProfile').addEventListener('click', saveProfileAs);
+	document.getElementById('deleteProfile').addEventListener('click', deleteActiveProfile);
+
+	document.getElementById('addDomainLimit').addEventListener('click', () => {
+		addDomainLimitRow().querySelector('.hostname').focus();
+	});
+	document.getElementById('addGroupLimit').addEventListener('click', () => {
+		addGroupLimitRow().querySelector('.title').focus();
+	});
+	document.getElementById('allowlist').addEventListener('change', saveAllowlist);
+	document.getElementById('idleExceptions').addEventListener('change', saveIdleExceptions);
+	document.getElementById('addTabWeight').addEventListener('click', () => {
+		addTabWeightRow().querySelector('.pattern').focus();
+	});
+	document.getElementById('addSchedule').addEventListener('click', async () => {
+		addScheduleBlock().querySelector('.name').focus();
+		await saveSchedules();
+	});
 
 	const onChangeInputs = document.querySelectorAll(
-		'#options [type="checkbox"], #options [type="number"]'
+		'#options [type="checkbox"], #options [type="number"], #options select'
 	);
 	const onKeyupInputs = document.querySelectorAll(
 		'#options [type="text"], #options [type="number"]'
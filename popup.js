@@ -0,0 +1,250 @@
+// ============================================
+// POPUP FOR TAB LIMITER (MV3)
+// ============================================
+// Counts come from the service worker, so they match what it enforces
+
+// ============================================
+// CONSTANTS
+// ============================================
+// Tab events arrive in bursts, e.g. when a window is restored
+const RENDER_DELAY_MS = 100;
+
+// ============================================
+// FORMATTING
+// ============================================
+const formatTime = (time) =>
+	new Date(time).toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+const describeMode = (dashboard) => {
+	switch (dashboard.mode) {
+		case "off":
+			return "Limits are off.";
+		case "snoozed":
+			return `Limits are snoozed until ${formatTime(dashboard.snoozedUntil)}; new tabs are counted but not blocked.`;
+		case "ignored":
+			return "Tabs in incognito windows are not limited.";
+		default: {
+			const details = [];
+			if (dashboard.incognito) details.push("incognito limits");
+			if (dashboard.profile) details.push(`profile ${dashboard.profile}`);
+			if (dashboard.schedule) details.push(`schedule ${dashboard.schedule}`);
+			return details.length > 0 ? `Limits are on (${details.join(", ")}).` : "Limits are on.";
+		}
+	}
+};
+
+const describePasses = (passes) =>
+	passes === 1 ? "The next tab over the limit will be allowed." : `The next ${passes} tabs over the limit will be allowed.`;
+
+const getFillPercent = (count, max) => (max > 0 ? Math.min(100, Math.round(count / max * 100)) : 0);
+
+// Windows are numbered in the order the service worker lists them, current first
+const getWindowLabel = (windowInfo, index) => {
+	const label = windowInfo.current ? "This window" : `Window ${index + 1}`;
+	return windowInfo.custom ? `${label} (own limit)` : label;
+};
+
+const getGroupLabel = (group) => (group.title ? `Group "${group.title}"` : "Unnamed group");
+
+// "" stands for the top-level options, which are used while no profile is active
+const getProfileButtons = (profiles, activeProfile) => ["", ...profiles].map((name) => ({
+	name,
+	label: name || "Default",
+	active: name === activeProfile || (!name && !profiles.includes(activeProfile))
+}));
+
+// ============================================
+// RENDERING
+// ============================================
+let currentWindowId;
+let renderTimer = null;
+
+const createMeter = (label, count, max) => {
+	const meter = document.createElement('div');
+	meter.className = 'meter';
+
+	const text = document.createElement('div');
+	text.className = 'meterLabel';
+	const name = document.createElement('span');
+	name.textContent = label;
+	const value = document.createElement('span');
+	value.textContent = `${count} / ${max}`;
+	text.append(name, value);
+
+	const bar = document.createElement('div');
+	bar.className = 'bar';
+	const fill = document.createElement('div');
+	fill.className = 'fill';
+	fill.classList.toggle('full', count >= max);
+	fill.style.width = `${getFillPercent(count, max)}%`;
+	bar.append(fill);
+
+	meter.append(text, bar);
+	return meter;
+};
+
+const createProfileButton = ({ name, label, active }) => {
+	const button = document.createElement('button');
+	button.type = 'button';
+	button.textContent = label;
+	button.classList.toggle('active', active);
+	button.addEventListener('click', () => switchProfile(name));
+	return button;
+};
+
+const renderDashboard = async () => {
+	try {
+		const dashboard = await chrome.runtime.sendMessage({ type: "get-dashboard", windowId: currentWindowId });
+		if (!dashboard) return;
+
+		const mode = document.getElementById('mode');
+		mode.textContent = describeMode(dashboard);
+		mode.className = dashboard.mode;
+
+		const passes = document.getElementById('passes');
+		passes.textContent = describePasses(dashboard.passes);
+		passes.classList.toggle('hidden', dashboard.passes === 0);
+
+		const profileButtons = document.getElementById('profileButtons');
+		profileButtons.replaceChildren(...getProfileButtons(dashboard.profiles, dashboard.profile).map(createProfileButton));
+		profileButtons.classList.toggle('hidden', dashboard.profiles.length === 0);
+
+		const current = dashboard.windows.find((windowInfo) => windowInfo.current);
+		document.getElementById('summary').replaceChildren(
+			createMeter("This window", current ? current.count : 0, current ? current.max : dashboard.total.max),
+			createMeter("All windows", dashboard.total.count, dashboard.total.max),
+			...(dashboard.loaded ? [createMeter("Loaded tabs", dashboard.loaded.count, dashboard.loaded.max)] : [])
+		);
+		document.getElementById('windows').replaceChildren(...dashboard.windows.map((windowInfo, index) =>
+			createMeter(getWindowLabel(windowInfo, index), windowInfo.count, windowInfo.max)
+		));
+
+		// Not while the user is typing a new limit
+		const windowLimit = document.getElementById('windowLimit');
+		if (current && document.activeElement !== windowLimit) windowLimit.value = current.max;
+		document.getElementById('clearWindowLimit').classList.toggle('hidden', !(current && current.custom));
+
+		const otherLimits = [
+			...dashboard.domains.map((domain) => createMeter(domain.hostname, domain.count, domain.max)),
+			...dashboard.groups.map((group) => createMeter(getGroupLabel(group), group.count, group.max))
+		];
+		document.getElementById('otherLimitMeters').replaceChildren(...otherLimits);
+		document.getElementById('otherLimits').classList.toggle('hidden', otherLimits.length === 0);
+
+		document.getElementById('toggleEnforcement').textContent =
+			dashboard.mode === "off" ? "Turn limits on" : "Turn limits off";
+		document.getElementById('endSnooze').classList.toggle('hidden', dashboard.mode !== "snoozed");
+	} catch (error) {
+		console.error("Failed to render dashboard:", error);
+	}
+};
+
+const scheduleRender = () => {
+	clearTimeout(renderTimer);
+	renderTimer = setTimeout(renderDashboard, RENDER_DELAY_MS);
+};
+
+// ============================================
+// QUICK ACTIONS
+// ============================================
+// The same actions as the keyboard commands, run by the service worker
+const runCommand = async (command) => {
+	try {
+		await chrome.runtime.sendMessage({ type: "run-command", command });
+		await renderDashboard();
+	} catch (error) {
+		console.error("Failed to run command:", error);
+	}
+};
+
+// ============================================
+// PROFILES
+// ============================================
+// The service worker picks up the change, updates the badge and re-checks open tabs
+const switchProfile = async (name) => {
+	try {
+		await chrome.storage.sync.set({ activeProfile: name });
+		await renderDashboard();
+	} catch (error) {
+		console.error("Failed to switch profile:", error);
+	}
+};
+
+// ============================================
+// WINDOW LIMIT
+// ============================================
+// Kept by the service worker until the window is closed; a max of null
+// goes back to the default per-window limit
+const setWindowLimit = async (max) => {
+	try {
+		await chrome.runtime.sendMessage({ type: "set-window-limit", windowId: currentWindowId, max });
+		await renderDashboard();
+	} catch (error) {
+		console.error("Failed to set window limit:", error);
+	}
+};
+
+const parseWindowLimit = (value) => {
+	const max = Number(value);
+	return Number.isInteger(max) && max >= 1 && max <= 1337 ? max : null;
+};
+
+// ============================================
+// SNOOZE
+// ============================================
+// The service worker ends the snooze at snoozedUntil and reports the overage
+const getSnoozeEnd = (preset, now = new Date()) => {
+	if (preset === "tomorrow") {
+		return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+	}
+	return now.getTime() + parseInt(preset, 10) * 60 * 1000;
+};
+
+const setSnooze = async (snoozedUntil) => {
+	try {
+		await chrome.storage.local.set({ snoozedUntil });
+	} catch (error) {
+		console.error("Failed to update snooze:", error);
+	}
+};
+
+// ============================================
+// EVENT LISTENERS
+// ============================================
+document.addEventListener('DOMContentLoaded', async () => {
+	try {
+		currentWindowId = (await chrome.windows.getCurrent()).id;
+	} catch (error) {
+		console.error("Failed to get current window:", error);
+	}
+	await renderDashboard();
+
+	for (const button of document.querySelectorAll('[data-command]')) {
+		button.addEventListener('click', () => runCommand(button.dataset.command));
+	}
+	for (const button of document.querySelectorAll('[data-snooze]')) {
+		button.addEventListener('click', () => setSnooze(getSnoozeEnd(button.dataset.snooze)));
+	}
+	document.getElementById('endSnooze').addEventListener('click', () => setSnooze(0));
+	document.getElementById('setWindowLimit').addEventListener('click', () => {
+		const max = parseWindowLimit(document.getElementById('windowLimit').value);
+		if (max !== null) setWindowLimit(max);
+	});
+	document.getElementById('clearWindowLimit').addEventListener('click', () => setWindowLimit(null));
+	document.getElementById('openOptions').addEventListener('click', (event) => {
+		event.preventDefault();
+		chrome.runtime.openOptionsPage();
+	});
+
+	// Live while open; tab updates only matter when they can change a count
+	chrome.tabs.onCreated.addListener(scheduleRender);
+	chrome.tabs.onRemoved.addListener(scheduleRender);
+	chrome.tabs.onAttached.addListener(scheduleRender);
+	chrome.tabs.onDetached.addListener(scheduleRender);
+	chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+		if (changeInfo.url || changeInfo.pinned !== undefined || changeInfo.groupId !== undefined) scheduleRender();
+	});
+	chrome.windows.onCreated.addListener(scheduleRender);
+	chrome.windows.onRemoved.addListener(scheduleRender);
+	chrome.storage.onChanged.addListener(scheduleRender);
+});
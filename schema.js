@@ -0,0 +1,547 @@
+// ============================================
+// OPTIONS SCHEMA FOR TAB LIMITER (MV3)
+// ============================================
+// Shared by the service worker and the extension pages; defines DEFAULT_OPTIONS,
+// describes every key in it and how stored values are validated, coerced and
+// sanitized, the versioned settings document used for import and export, how
+// profiles are stored, when schedules apply, and the migrations applied to
+// stored options on update.
+
+// ============================================
+// CONSTANTS
+// ============================================
+const SETTINGS_FORMAT = "tab-limiter-settings";
+const SETTINGS_VERSION = 1;
+const OPTIONS_SCHEMA_VERSION = 3;
+const MAX_TEMPLATE_LENGTH = 500;
+const MAX_RULES = 100;
+const MINUTES_PER_DAY = 24 * 60;
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const THRESHOLD_PATTERN = /^\s*(\d+(\.\d+)?%|\d+)?\s*$/;
+
+const OPTION_SCHEMA = {
+	maxTotal: { type: "integer", min: 1, max: 1337 },
+	maxWindow: { type: "integer", min: 1, max: 1337 },
+	exceedTabNewWindow: { type: "boolean" },
+	evictTabs: { type: "boolean" },
+	evictionStrategy: { type: "enum", values: ["leastRecentlyActive", "oldestCreated", "largestDomain"] },
+	detectDuplicates: { type: "boolean" },
+	duplicatePolicy: { type: "enum", values: ["focusExisting", "closeOlder", "warn"] },
+	duplicateIgnoreHash: { type: "boolean" },
+	duplicateIgnoreTrackingParams: { type: "boolean" },
+	duplicateIgnoreScheme: { type: "boolean" },
+	archiveBlockedTabs: { type: "boolean" },
+	archiveMaxEntries: { type: "integer", min: 1, max: 5000 },
+	archiveRetentionDays: { type: "integer", min: 1, max: 365 },
+	maxGroup: { type: "integer", min: 0, max: 1337 },
+	groupLimits: {
+		type: "array",
+		maxItems: MAX_RULES,
+		items: {
+			title: { type: "string", minLength: 1, maxLength: 100 },
+			max: { type: "integer", min: 1, max: 1337 }
+		}
+	},
+	displayAlert: { type: "boolean" },
+	countPinnedTabs: { type: "boolean" },
+	displayBadge: { type: "boolean" },
+	alertMessage: { type: "string", maxLength: MAX_TEMPLATE_LENGTH, template: true },
+	displayWarning: { type: "boolean" },
+	warnTotalAt: { type: "string", pattern: THRESHOLD_PATTERN, description: "a number or a percentage such as 80%" },
+	warnWindowAt: { type: "string", pattern: THRESHOLD_PATTERN, description: "a number or a percentage such as 80%" },
+	warningMessage: { type: "string", maxLength: MAX_TEMPLATE_LENGTH, template: true },
+	domainLimits: {
+		type: "array",
+		maxItems: MAX_RULES,
+		items: {
+			hostname: { type: "string", minLength: 1, maxLength: 253, hostname: true },
+			max: { type: "integer", min: 1, max: 1337 },
+			includeSubdomains: { type: "boolean", optional: true }
+		}
+	},
+	schedules: {
+		type: "array",
+		maxItems: MAX_RULES,
+		items: {
+			name: { type: "string", maxLength: 100 },
+			days: { type: "integer", min: 0, max: 127 },
+			start: { type: "string", pattern: TIME_PATTERN, description: "a time such as 09:00" },
+			end: { type: "string", pattern: TIME_PATTERN, description: "a time such as 17:00" },
+			maxTotal: { type: "integer", min: 1, max: 1337, nullable: true },
+			maxWindow: { type: "integer", min: 1, max: 1337, nullable: true }
+		}
+	},
+	allowlist: {
+		type: "array",
+		maxItems: MAX_RULES,
+		item: { type: "string", minLength: 1, maxLength: 2048 }
+	},
+	tabWeights: {
+		type: "array",
+		maxItems: MAX_RULES,
+		items: {
+			pattern: { type: "string", minLength: 1, maxLength: 2048 },
+			weight: { type: "number", min: 0, max: 100 }
+		}
+	},
+	incognitoMode: { type: "enum", values: ["separate", "ignore"] },
+	incognitoMaxTotal: { type: "integer", min: 1, max: 1337 },
+	incognitoMaxWindow: { type: "integer", min: 1, max: 1337 },
+	maxLoaded: { type: "integer", min: 0, max: 1337 },
+	maxWindows: { type: "integer", min: 0, max: 1337 },
+	exceedWindowAction: { type: "enum", values: ["merge", "close"] },
+	showLimitPage: { type: "boolean" },
+	idleCloseAfter: { type: "integer", min: 0, max: 1000 },
+	idleCloseUnit: { type: "enum", values: ["hours", "days"] },
+	idleCloseAction: { type: "enum", values: ["archive", "close"] },
+	idleClosePinned: { type: "boolean" },
+	idleCloseAudible: { type: "boolean" },
+	idleCloseGrouped: { type: "boolean" },
+	idleExceptions: {
+		type: "array",
+		maxItems: MAX_RULES,
+		item: { type: "string", minLength: 1, maxLength: 253, hostname: true }
+	}
+};
+
+// Used wherever a stored value is missing or invalid
+const DEFAULT_OPTIONS = {
+	maxTotal: 50,
+	maxWindow: 20,
+	exceedTabNewWindow: false,
+	evictTabs: false,
+	evictionStrategy: "leastRecentlyActive",
+	detectDuplicates: false,
+	duplicatePolicy: "focusExisting",
+	duplicateIgnoreHash: true,
+	duplicateIgnoreTrackingParams: true,
+	duplicateIgnoreScheme: false,
+	archiveBlockedTabs: true,
+	archiveMaxEntries: 200,
+	archiveRetentionDays: 30,
+	maxGroup: 0,
+	groupLimits: [],
+	displayAlert: true,
+	countPinnedTabs: false,
+	displayBadge: false,
+	alertMessage: "You decided not to open more than {maxPlace} tabs in {place}",
+	displayWarning: false,
+	warnTotalAt: "80%",
+	warnWindowAt: "80%",
+	warningMessage: "You have {count} of {maxPlace} tabs open in {place}",
+	domainLimits: [],
+	schedules: [],
+	allowlist: [],
+	tabWeights: [],
+	incognitoMode: "separate",
+	incognitoMaxTotal: 50,
+	incognitoMaxWindow: 20,
+	maxLoaded: 0,
+	maxWindows: 0,
+	exceedWindowAction: "merge",
+	idleCloseAfter: 0,
+	idleCloseUnit: "days",
+	idleCloseAction: "archive",
+	idleClosePinned: false,
+	idleCloseAudible: false,
+	idleCloseGrouped: false,
+	idleExceptions: [],
+	showLimitPage: false
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+// Each function returns a list of human-readable errors, empty when valid
+function validateValue(value, rule, path) {
+	if (value === null && rule.nullable) return [];
+
+	switch (rule.type) {
+		case "integer":
+			if (!Number.isInteger(value)) return [`${path} must be a whole number, got ${JSON.stringify(value)}`];
+			if (value < rule.min || value > rule.max) {
+				return [`${path} must be between ${rule.min} and ${rule.max}, got ${value}`];
+			}
+			return [];
+		case "number":
+			if (typeof value !== "number" || !Number.isFinite(value)) {
+				return [`${path} must be a number, got ${JSON.stringify(value)}`];
+			}
+			if (value < rule.min || value > rule.max) {
+				return [`${path} must be between ${rule.min} and ${rule.max}, got ${value}`];
+			}
+			return [];
+		case "boolean":
+			return typeof value === "boolean" ? [] : [`${path} must be true or false, got ${JSON.stringify(value)}`];
+		case "enum":
+			return rule.values.includes(value)
+				? []
+				: [`${path} must be one of ${rule.values.join(", ")}, got ${JSON.stringify(value)}`];
+		case "string":
+			if (typeof value !== "string") return [`${path} must be text, got ${JSON.stringify(value)}`];
+			if (rule.minLength && value.length < rule.minLength) return [`${path} must not be empty`];
+			if (rule.maxLength && value.length > rule.maxLength) {
+				return [`${path} must be at most ${rule.maxLength} characters long`];
+			}
+			if (rule.pattern && !rule.pattern.test(value)) {
+				return [`${path} must be ${rule.description}, got ${JSON.stringify(value)}`];
+			}
+			// Tab hostnames are compared as Chrome reports them, lowercase and bare
+			if (rule.hostname) {
+				const hostname = normalizeHostname(value);
+				if (!hostname) return [`${path} must be a domain such as github.com, got ${JSON.stringify(value)}`];
+				if (hostname !== value) return [`${path} must be written as ${JSON.stringify(hostname)}, got ${JSON.stringify(value)}`];
+			}
+			if (rule.template && !hasBalancedBraces(value)) {
+				return [`${path} has a { without a matching } or the other way round`];
+			}
+			return [];
+		case "array":
+			if (!Array.isArray(value)) return [`${path} must be a list`];
+			if (value.length > rule.maxItems) return [`${path} must have at most ${rule.maxItems} entries`];
+			return value.flatMap((item, index) => rule.item
+				? validateValue(item, rule.item, `${path}[${index}]`)
+				: validateListItem(item, rule.items, `${path}[${index}]`)
+			);
+		default:
+			return [`${path} has an unknown type`];
+	}
+}
+
+// Pasted URLs and mixed case become the hostname Chrome reports for a tab;
+// empty when there is no hostname to be had
+function normalizeHostname(value) {
+	const trimmed = value.trim().toLowerCase();
+	if (!trimmed) return "";
+	try {
+		return new URL(trimmed.includes("://") ? trimmed : "http://" + trimmed).hostname;
+	} catch (error) {
+		return "";
+	}
+}
+
+// Placeholders such as {maxPlace} must be closed and cannot be nested
+function hasBalancedBraces(text) {
+	let open = false;
+	for (const char of text) {
+		if (char === "{") {
+			if (open) return false;
+			open = true;
+		} else if (char === "}") {
+			if (!open) return false;
+			open = false;
+		}
+	}
+	return !open;
+}
+
+function isPlainObject(value) {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Unknown keys are errors; missing keys are not, so partial objects validate
+function validateObject(object, schema, path) {
+	if (!isPlainObject(object)) return [`${path} must be an object`];
+
+	const errors = [];
+	for (const key of Object.keys(object)) {
+		if (!(key in schema)) {
+			errors.push(`${path}.${key} is not a known option`);
+			continue;
+		}
+		errors.push(...validateValue(object[key], schema[key], `${path}.${key}`));
+	}
+	return errors;
+}
+
+// Unlike options, list entries are only usable with all their required fields
+function validateListItem(item, schema, path) {
+	const errors = validateObject(item, schema, path);
+	if (!isPlainObject(item)) return errors;
+
+	for (const [key, rule] of Object.entries(schema)) {
+		if (!(key in item) && !rule.optional) errors.push(`${path}.${key} is missing`);
+	}
+	return errors;
+}
+
+function validateOptions(options, path = "options") {
+	return validateObject(options, OPTION_SCHEMA, path);
+}
+
+function validateSettingsDocument(settings) {
+	if (!isPlainObject(settings)) return ["The file does not contain a settings object"];
+	if (settings.format !== SETTINGS_FORMAT) {
+		return [`The file is not a Tab Limiter settings export (format must be "${SETTINGS_FORMAT}")`];
+	}
+	if (!Number.isInteger(settings.version) || settings.version < 1 || settings.version > SETTINGS_VERSION) {
+		return [`Settings version ${JSON.stringify(settings.version)} is not supported; this version of Tab Limiter reads version ${SETTINGS_VERSION}`];
+	}
+
+	const errors = [];
+	const knownKeys = ["format", "version", "exportedAt", "options", "profiles", "activeProfile"];
+	for (const key of Object.keys(settings)) {
+		if (!knownKeys.includes(key)) errors.push(`${key} is not a known settings section`);
+	}
+
+	if ("options" in settings) {
+		errors.push(...validateOptions(settings.options));
+	}
+	if ("profiles" in settings) {
+		if (!isPlainObject(settings.profiles)) {
+			errors.push("profiles must be an object");
+		} else {
+			for (const [name, profile] of Object.entries(settings.profiles)) {
+				errors.push(...validateOptions(profile, `profiles.${name}`));
+			}
+		}
+	}
+	if ("activeProfile" in settings) {
+		const profiles = isPlainObject(settings.profiles) ? settings.profiles : {};
+		if (typeof settings.activeProfile !== "string") {
+			errors.push("activeProfile must be text");
+		} else if (settings.activeProfile && !(settings.activeProfile in profiles)) {
+			errors.push(`activeProfile "${settings.activeProfile}" is not one of the exported profiles`);
+		}
+	}
+	return errors;
+}
+
+// ============================================
+// COERCION
+// ============================================
+// Input fields and older versions store numbers and flags as text, and
+// hand-edited domains may be pasted URLs or mixed case
+function coerceValue(value, rule) {
+	if (rule.type === "integer" && typeof value === "string" && /^\s*-?\d+\s*$/.test(value)) {
+		return parseInt(value, 10);
+	}
+	if (rule.type === "number" && typeof value === "string" && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+		return parseFloat(value);
+	}
+	if (rule.type === "boolean" && (value === "true" || value === "false")) {
+		return value === "true";
+	}
+	if (rule.type === "array" && rule.items && Array.isArray(value)) {
+		return value.map((item) => isPlainObject(item) ? coerceObject(item, rule.items) : item);
+	}
+	if (rule.type === "array" && rule.item && Array.isArray(value)) {
+		return value.map((item) => coerceValue(item, rule.item));
+	}
+	if (rule.hostname && typeof value === "string") {
+		return normalizeHostname(value) || value;
+	}
+	return value;
+}
+
+function coerceObject(object, schema) {
+	const coerced = {};
+	for (const [key, value] of Object.entries(object)) {
+		coerced[key] = key in schema ? coerceValue(value, schema[key]) : value;
+	}
+	return coerced;
+}
+
+function coerceOptions(options) {
+	return coerceObject(options, OPTION_SCHEMA);
+}
+
+// ============================================
+// SANITIZING
+// ============================================
+// Whatever is in storage, the result holds a valid value for every option in
+// `defaults`: invalid values fall back to the default and invalid list
+// entries are dropped, so a bad edit cannot switch enforcement off
+function sanitizeOptions(options, defaults) {
+	const sanitized = { ...options };
+	for (const key of Object.keys(defaults)) {
+		const rule = OPTION_SCHEMA[key];
+		if (!rule) continue;
+
+		const value = coerceValue(options[key], rule);
+		if (rule.type === "array" && Array.isArray(value)) {
+			sanitized[key] = value
+				.filter((item) => (rule.item
+					? validateValue(item, rule.item, key)
+					: validateListItem(item, rule.items, key)).length === 0)
+				.slice(0, rule.maxItems);
+		} else {
+			sanitized[key] = validateValue(value, rule, key).length === 0 ? value : defaults[key];
+		}
+	}
+	return sanitized;
+}
+
+// ============================================
+// PROFILES
+// ============================================
+// Each profile is a sync item of its own: sync storage allows 8 KB per item,
+// which a single item holding every profile soon outgrows
+const PROFILE_KEY_PREFIX = "profile:";
+
+// Written on install; like every profile each holds all DEFAULT_OPTIONS keys
+const PROFILE_PRESETS = {
+	Focus: { ...DEFAULT_OPTIONS, maxTotal: 10, maxWindow: 5 },
+	Research: { ...DEFAULT_OPTIONS, maxTotal: 100, maxWindow: 40 },
+	Unlimited: { ...DEFAULT_OPTIONS, maxTotal: 1337, maxWindow: 1337 }
+};
+
+function getProfileKey(name) {
+	return PROFILE_KEY_PREFIX + name;
+}
+
+function isProfileKey(key) {
+	return key.startsWith(PROFILE_KEY_PREFIX);
+}
+
+// The profiles among everything in sync storage, by name
+function pickProfiles(items) {
+	const profiles = {};
+	for (const [key, value] of Object.entries(items)) {
+		if (isProfileKey(key) && isPlainObject(value)) {
+			profiles[key.slice(PROFILE_KEY_PREFIX.length)] = value;
+		}
+	}
+	return profiles;
+}
+
+// The sync items that store the given profiles
+function toProfileItems(profiles) {
+	const items = {};
+	for (const [name, profile] of Object.entries(profiles)) {
+		items[getProfileKey(name)] = profile;
+	}
+	return items;
+}
+
+// Every stored profile by name, and the name of the active one
+async function getProfileState() {
+	const items = await chrome.storage.sync.get(null);
+	return { profiles: pickProfiles(items), activeProfile: items.activeProfile || "" };
+}
+
+// A profile holds a full set of DEFAULT_OPTIONS keys and, while it is active,
+// replaces the top-level options; a key it lacks falls back to its default.
+function resolveProfile(options, { profiles, activeProfile }) {
+	const profile = activeProfile && profiles[activeProfile];
+	if (!isPlainObject(profile)) return options;
+
+	const resolved = {};
+	for (const key of Object.keys(DEFAULT_OPTIONS)) {
+		resolved[key] = key in profile ? profile[key] : DEFAULT_OPTIONS[key];
+	}
+	return resolved;
+}
+
+// Edits go to the active profile, or to the top-level options when none is active
+async function storeOptions(values) {
+	const { profiles, activeProfile } = await getProfileState();
+	if (activeProfile && profiles[activeProfile]) {
+		await chrome.storage.sync.set({ [getProfileKey(activeProfile)]: { ...profiles[activeProfile], ...values } });
+	} else {
+		await chrome.storage.sync.set(values);
+	}
+}
+
+// ============================================
+// SCHEDULES
+// ============================================
+// A schedule overrides maxTotal/maxWindow between `start` and `end` ("HH:MM")
+// on the weekdays set in `days`, a bitmask indexed by Date#getDay().
+// Ranges ending before they start run overnight and belong to their start day;
+// equal start and end times cover the whole day.
+function parseTime(value) {
+	const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+	if (!match) return null;
+	const minutes = Number(match[1]) * 60 + Number(match[2]);
+	return minutes < MINUTES_PER_DAY ? minutes : null;
+}
+
+function isDayEnabled(schedule, day) {
+	return (schedule.days & (1 << day)) !== 0;
+}
+
+function isScheduleActive(schedule, date) {
+	const start = parseTime(schedule.start);
+	const end = parseTime(schedule.end);
+	if (start === null || end === null) return false;
+
+	const day = date.getDay();
+	const minutes = date.getHours() * 60 + date.getMinutes();
+
+	if (start === end) return isDayEnabled(schedule, day);
+	if (start < end) return isDayEnabled(schedule, day) && minutes >= start && minutes < end;
+
+	const previousDay = (day + 6) % 7;
+	return (isDayEnabled(schedule, day) && minutes >= start) ||
+		(isDayEnabled(schedule, previousDay) && minutes < end);
+}
+
+function findActiveSchedule(options, date) {
+	if (!Array.isArray(options.schedules)) return null;
+	return options.schedules.find((schedule) => isScheduleActive(schedule, date)) || null;
+}
+
+function getNextScheduleChange(options, date) {
+	if (!Array.isArray(options.schedules) || options.schedules.length === 0) return null;
+
+	const current = findActiveSchedule(options, date);
+	const candidates = [];
+
+	// Every change happens at some schedule's start or end, so checking those
+	// times over the coming week finds the next one
+	for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+		for (const schedule of options.schedules) {
+			for (const time of [schedule.start, schedule.end]) {
+				const minutes = parseTime(time);
+				if (minutes === null) continue;
+				const candidate = new Date(date);
+				candidate.setDate(date.getDate() + dayOffset);
+				candidate.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+				if (candidate > date) candidates.push(candidate);
+			}
+		}
+	}
+
+	candidates.sort((a, b) => a - b);
+	return candidates.find((candidate) => findActiveSchedule(options, candidate) !== current) || null;
+}
+
+function applySchedule(options, date = new Date()) {
+	const schedule = findActiveSchedule(options, date);
+	if (!schedule) return options;
+
+	return {
+		...options,
+		maxTotal: Number.isInteger(schedule.maxTotal) ? schedule.maxTotal : options.maxTotal,
+		maxWindow: Number.isInteger(schedule.maxWindow) ? schedule.maxWindow : options.maxWindow
+	};
+}
+
+// ============================================
+// MIGRATIONS
+// ============================================
+// Stored options without a schemaVersion predate versioning and count as
+// version 1. MIGRATIONS[n] upgrades everything in sync storage from version
+// n + 1 to n + 2 and returns the new contents; keys it leaves out are removed,
+// so a rename is a copy followed by a delete.
+const MIGRATIONS = [
+	// 2: number inputs used to be stored as the raw text of the field
+	(items) => {
+		const migrated = coerceOptions(items);
+		if (isPlainObject(items.profiles)) {
+			migrated.profiles = {};
+			for (const [name, profile] of Object.entries(items.profiles)) {
+				migrated.profiles[name] = isPlainObject(profile) ? coerceOptions(profile) : profile;
+			}
+		}
+		return migrated;
+	},
+	// 3: profiles move out of the single `profiles` item into one item each.
+	// Without that item the user never saved a profile and saw the presets.
+	(items) => {
+		const { profiles, ...migrated } = items;
+		return { ...migrated, ...toProfileItems(isPlainObject(profiles) ? profiles : PROFILE_PRESETS) };
+	}
+];
@@ -0,0 +1,205 @@
+// ============================================
+// STATISTICS PAGE FOR TAB LIMITER (MV3)
+// ============================================
+
+// ============================================
+// CONSTANTS
+// ============================================
+const STATS_DEFAULTS = {
+	stats: {}
+};
+
+const LIMIT_PLACES = ["window", "total", "domain", "group", "windows"];
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const CHART_AXIS_HEIGHT = 14;
+const TOP_DOMAIN_COUNT = 10;
+
+// ============================================
+// AGGREGATION
+// ============================================
+const getStats = async () => {
+	try {
+		const { stats } = await chrome.storage.local.get(STATS_DEFAULTS);
+		return stats;
+	} catch (error) {
+		console.error("Failed to get stats:", error);
+		return {};
+	}
+};
+
+const sumValues = (object) => Object.values(object || {}).reduce((sum, value) => sum + value, 0);
+
+// One row per recorded day, oldest first
+const summarizeDays = (stats) => Object.keys(stats).sort().map((date) => {
+	const day = stats[date];
+	const row = {
+		date,
+		averageTabs: day.samples > 0 ? Math.round(day.tabSum / day.samples * 10) / 10 : 0,
+		peakTabs: day.peakTabs || 0,
+		limitHits: sumValues(day.limitHits),
+		blocked: day.blocked || 0,
+		evicted: day.evicted || 0,
+		moved: day.moved || 0
+	};
+	for (const place of LIMIT_PLACES) {
+		row[`${place}Hits`] = (day.limitHits && day.limitHits[place]) || 0;
+	}
+	return row;
+});
+
+const getTopDomains = (stats, count = TOP_DOMAIN_COUNT) => {
+	const totals = {};
+	for (const day of Object.values(stats)) {
+		for (const [domain, hits] of Object.entries(day.domains || {})) {
+			totals[domain] = (totals[domain] || 0) + hits;
+		}
+	}
+	return Object.entries(totals)
+		.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+		.slice(0, count);
+};
+
+// ============================================
+// EXPORT
+// ============================================
+const CSV_COLUMNS = [
+	"date", "averageTabs", "peakTabs", "limitHits",
+	...LIMIT_PLACES.map((place) => `${place}Hits`),
+	"blocked", "evicted", "moved", "topDomains"
+];
+
+const escapeCsv = (value) => {
+	const text = String(value);
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (stats) => {
+	const lines = [CSV_COLUMNS.join(",")];
+	for (const row of summarizeDays(stats)) {
+		const topDomains = getTopDomains({ [row.date]: stats[row.date] })
+			.map(([domain, hits]) => `${domain}:${hits}`)
+			.join(" ");
+		const values = { ...row, topDomains };
+		lines.push(CSV_COLUMNS.map((column) => escapeCsv(values[column])).join(","));
+	}
+	return lines.join("\n") + "\n";
+};
+
+const toJson = (stats) => JSON.stringify({
+	exportedAt: new Date().toISOString(),
+	days: stats
+}, null, "\t");
+
+const download = (filename, type, content) => {
+	const url = URL.createObjectURL(new Blob([content], { type }));
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// ============================================
+// CHARTS
+// ============================================
+const createSvgElement = (name, attributes) => {
+	const element = document.createElementNS(SVG_NAMESPACE, name);
+	for (const [key, value] of Object.entries(attributes)) {
+		element.setAttribute(key, value);
+	}
+	return element;
+};
+
+// series: [{ key, className, label }] read from each row
+const renderBarChart = (container, rows, series) => {
+	const svg = createSvgElement('svg', {
+		viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT + CHART_AXIS_HEIGHT}`,
+		role: 'img'
+	});
+	const max = Math.max(1, ...rows.flatMap((row) => series.map(({ key }) => row[key])));
+	const groupWidth = CHART_WIDTH / Math.max(rows.length, 1);
+	const barWidth = groupWidth / (series.length + 1);
+
+	rows.forEach((row, index) => {
+		series.forEach(({ key, className, label }, seriesIndex) => {
+			const height = row[key] / max * CHART_HEIGHT;
+			const bar = createSvgElement('rect', {
+				class: className,
+				x: index * groupWidth + (seriesIndex + 0.5) * barWidth,
+				y: CHART_HEIGHT - height,
+				width: barWidth,
+				height
+			});
+			const title = createSvgElement('title', {});
+			title.textContent = `${row.date}: ${row[key]} ${label}`;
+			bar.appendChild(title);
+			svg.appendChild(bar);
+		});
+	});
+
+	if (rows.length > 0) {
+		const axisY = CHART_HEIGHT + CHART_AXIS_HEIGHT - 2;
+		const first = createSvgElement('text', { class: 'axis', x: 0, y: axisY });
+		first.textContent = rows[0].date;
+		const last = createSvgElement('text', { class: 'axis', x: CHART_WIDTH, y: axisY, 'text-anchor': 'end' });
+		last.textContent = rows[rows.length - 1].date;
+		const peak = createSvgElement('text', { class: 'axis', x: CHART_WIDTH / 2, y: axisY, 'text-anchor': 'middle' });
+		peak.textContent = `max. ${max}`;
+		svg.append(first, last, peak);
+	}
+
+	container.textContent = '';
+	container.appendChild(svg);
+};
+
+const renderTopDomains = (stats) => {
+	const domains = getTopDomains(stats);
+	const list = document.getElementById('topDomains');
+	list.textContent = '';
+
+	const max = domains.length > 0 ? domains[0][1] : 1;
+	for (const [domain, hits] of domains) {
+		const item = document.createElement('li');
+		item.textContent = `${domain} (${hits})`;
+		const bar = document.createElement('span');
+		bar.className = 'bar';
+		bar.style.width = `${hits / max * 100}%`;
+		item.appendChild(bar);
+		list.appendChild(item);
+	}
+	document.getElementById('noDomains').classList.toggle('hidden', domains.length > 0);
+};
+
+const renderStats = async () => {
+	const stats = await getStats();
+	const rows = summarizeDays(stats);
+
+	renderBarChart(document.getElementById('tabCountChart'), rows, [
+		{ key: "peakTabs", className: "peak", label: "tabs at peak" },
+		{ key: "averageTabs", className: "average", label: "tabs on average" }
+	]);
+	renderBarChart(document.getElementById('limitHitChart'), rows, [
+		{ key: "limitHits", className: "hits", label: "limit hits" }
+	]);
+	renderTopDomains(stats);
+};
+
+// ============================================
+// EVENT LISTENERS
+// ============================================
+document.addEventListener('DOMContentLoaded', async () => {
+	await renderStats();
+
+	document.getElementById('exportCsv').addEventListener('click', async () => {
+		download('tab-limiter-stats.csv', 'text/csv', toCsv(await getStats()));
+	});
+	document.getElementById('exportJson').addEventListener('click', async () => {
+		download('tab-limiter-stats.json', 'application/json', toJson(await getStats()));
+	});
+
+	chrome.storage.onChanged.addListener((changes, areaName) => {
+		if (areaName === "local" && changes.stats) renderStats();
+	});
+});
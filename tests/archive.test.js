@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Tab Limiter Archive Page
+ *
+ * Tests cover:
+ * - Search over archived titles and URLs
+ * - Limit descriptions
+ * - Deleting and restoring entries
+ */
+
+// Mock Chrome APIs
+const mockChrome = {
+	storage: {
+		local: {
+			data: {},
+			get: jest.fn(async (defaults) => ({ ...defaults, ...mockChrome.storage.local.data })),
+			set: jest.fn(async (updates) => {
+				Object.assign(mockChrome.storage.local.data, updates);
+			})
+		}
+	},
+	tabs: {
+		create: jest.fn(async () => ({ id: 1 }))
+	}
+};
+
+global.chrome = mockChrome;
+
+// Constants
+const ARCHIVE_DEFAULTS = {
+	archive: []
+};
+
+// Archive page functions for testing
+const getArchive = async () => {
+	try {
+		const { archive } = await chrome.storage.local.get(ARCHIVE_DEFAULTS);
+		return archive;
+	} catch (error) {
+		return [];
+	}
+};
+
+const removeEntries = async (ids) => {
+	try {
+		const archive = await getArchive();
+		await chrome.storage.local.set({
+			archive: archive.filter((entry) => !ids.includes(entry.id))
+		});
+	} catch (error) {
+		console.error("Failed to remove archive entries:", error);
+	}
+};
+
+const restoreEntry = async (entry) => {
+	try {
+		await removeEntries([entry.id]);
+		await chrome.tabs.create({ url: entry.url, active: false });
+	} catch (error) {
+		console.error("Failed to restore archive entry:", error);
+	}
+};
+
+const describeLimit = (entry) => {
+	switch (entry.place) {
+		case "window":
+			return "window limit";
+		case "total":
+			return "total limit";
+		case "domain":
+			return `${entry.domain || "domain"} limit`;
+		case "idle":
+			return "inactive";
+		default:
+			return `${entry.place} limit`;
+	}
+};
+
+const matchesSearch = (entry, query) => {
+	if (!query) return true;
+	const haystack = `${entry.title} ${entry.url}`.toLowerCase();
+	return query.toLowerCase().split(/\s+/).every((word) => haystack.includes(word));
+};
+
+const entries = [
+	{ id: "1", url: "https://github.com/ziyaaktas/tab-limiter", title: "Tab Limiter", place: "domain", domain: "github.com" },
+	{ id: "2", url: "https://example.com/docs", title: "Example Docs", place: "total" }
+];
+
+// Reset mocks before each test
+beforeEach(() => {
+	jest.clearAllMocks();
+	mockChrome.storage.local.data = { archive: [...entries] };
+});
+
+describe('matchesSearch', () => {
+	it('should match everything for an empty query', () => {
+		expect(entries.filter((entry) => matchesSearch(entry, ''))).toHaveLength(2);
+	});
+
+	it('should match words in title or URL, case-insensitively', () => {
+		expect(matchesSearch(entries[0], 'GITHUB limiter')).toBe(true);
+		expect(matchesSearch(entries[1], 'example docs')).toBe(true);
+		expect(matchesSearch(entries[1], 'github')).toBe(false);
+	});
+});
+
+describe('describeLimit', () => {
+	it('should name the domain for domain limits', () => {
+		expect(describeLimit(entries[0])).toBe('github.com limit');
+		expect(describeLimit(entries[1])).toBe('total limit');
+	});
+
+	it('should describe tabs closed for being inactive', () => {
+		expect(describeLimit({ place: "idle" })).toBe('inactive');
+	});
+});
+
+describe('Archive entries', () => {
+	it('should delete entries by ID', async () => {
+		await removeEntries(['1']);
+		expect(mockChrome.storage.local.data.archive.map((entry) => entry.id)).toEqual(['2']);
+	});
+
+	it('should reopen the URL and drop the entry on restore', async () => {
+		await restoreEntry(entries[1]);
+		expect(mockChrome.tabs.create).toHaveBeenCalledWith({ url: 'https://example.com/docs', active: false });
+		expect(mockChrome.storage.local.data.archive.map((entry) => entry.id)).toEqual(['1']);
+	});
+});
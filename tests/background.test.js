@@ -11,6 +11,9 @@
  * - Tab exceed handling
  */
 
+const fs = require('fs');
+const path = require('path');
+
 // Mock Chrome APIs
 const mockChrome = {
 	storage: {
@@ -21,6 +24,13 @@ const mockChrome = {
 				Object.assign(mockChrome.storage.session.data, updates);
 			})
 		},
+		local: {
+			data: {},
+			get: jest.fn(async (defaults) => ({ ...defaults, ...mockChrome.storage.local.data })),
+			set: jest.fn(async (updates) => {
+				Object.assign(mockChrome.storage.local.data, updates);
+			})
+		},
 		sync: {
 			data: {},
 			get: jest.fn(async (defaults) => {
@@ -36,49 +46,181 @@ const mockChrome = {
 	},
 	tabs: {
 		query: jest.fn(async () => []),
+		get: jest.fn(async (tabId) => { throw new Error(`No tab with id: ${tabId}.`); }),
+		create: jest.fn(async () => ({ id: 999 })),
 		remove: jest.fn(async () => {}),
+		update: jest.fn(async () => ({})),
+		discard: jest.fn(async (tabId) => ({ id: tabId, discarded: true })),
+		move: jest.fn(async () => []),
+		ungroup: jest.fn(async () => {}),
 		onCreated: { addListener: jest.fn() },
 		onRemoved: { addListener: jest.fn() },
 		onUpdated: { addListener: jest.fn() }
 	},
+	tabGroups: {
+		get: jest.fn(async (groupId) => ({ id: groupId, title: "" }))
+	},
 	windows: {
 		create: jest.fn(async () => ({ id: 1 })),
+		update: jest.fn(async () => ({})),
+		getAll: jest.fn(async () => []),
+		remove: jest.fn(async () => {}),
 		onFocusChanged: { addListener: jest.fn() }
 	},
 	action: {
-		setBadgeText: jest.fn(async () => {})
+		setBadgeText: jest.fn(async () => {}),
+		setBadgeBackgroundColor: jest.fn(async () => {})
 	},
 	notifications: {
-		create: jest.fn(async () => 'notification-id')
+		create: jest.fn(async () => 'notification-id'),
+		clear: jest.fn(async () => true)
+	},
+	alarms: {
+		get: jest.fn(async () => undefined),
+		create: jest.fn(async () => {}),
+		clear: jest.fn(async () => true)
 	},
 	runtime: {
 		onInstalled: { addListener: jest.fn() },
 		onStartup: { addListener: jest.fn() },
-		getManifest: jest.fn(() => ({ version: '0.4.0' }))
+		getManifest: jest.fn(() => ({ version: '0.4.0' })),
+		getURL: jest.fn((path) => `chrome-extension://tab-limiter/${path}`)
 	}
 };
 
 global.chrome = mockChrome;
 
+// Stored options are cleaned by the shared schema.js, as importScripts does in background.js
+const { sanitizeOptions } = new Function(`${fs.readFileSync(path.join(__dirname, '..', 'schema.js'), 'utf8')}
+	return { sanitizeOptions };`)();
+
 // Constants matching background.js
 const MIN_ALLOWED_TABS = 1;
 const INITIAL_TAB_COUNT = -1;
+const TAB_GROUP_ID_NONE = -1;
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const DISCARD_GRACE_MS = 5 * 60 * 1000;
+const WINDOW_BURST_MS = 1000;
+const IDLE_ALARM = "idle";
+const IDLE_SWEEP_ALARM = "idle-sweep";
+const IDLE_CHECK_MINUTES = 30;
+const IDLE_SWEEP_DELAY_MINUTES = 1;
+const IDLE_SWEEP_LIST_LENGTH = 10;
+const IDLE_UNIT_MS = { hours: 60 * 60 * 1000, days: DAY_IN_MS };
+const STATS_RETENTION_DAYS = 90;
+const BADGE_COLOR = "#666666";
+const BADGE_WARNING_COLOR = "#F29900";
+const BADGE_SNOOZE_COLOR = "#1A73E8";
+const SNOOZE_ALARM = "snooze";
+const SNOOZE_ENDED_NOTIFICATION = "tab-limiter-snooze-ended";
+const IDLE_SWEEP_NOTIFICATION = "tab-limiter-idle-sweep";
+const IDLE_SWEEP_BUTTONS = [{ title: "Cancel and keep these tabs" }];
+const ALERT_BUTTONS = [
+	{ title: "Close oldest tab and open this one" },
+	{ title: "Open anyway (use a pass)" }
+];
+// Toggled by tests to simulate the incognito copy of the service worker
+let IS_INCOGNITO = false;
+const EXTENSION_PAGE_URL = chrome.runtime.getURL("");
+const TAB_MANAGER_URL = chrome.runtime.getURL("manager.html");
+const LIMIT_PAGE_URL = chrome.runtime.getURL("limit.html");
+const TRACKING_PARAM_PATTERN = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|yclid|_hsenc|_hsmi)$/i;
 
 const DEFAULT_OPTIONS = {
 	maxTotal: 50,
 	maxWindow: 20,
 	exceedTabNewWindow: false,
+	evictTabs: false,
+	evictionStrategy: "leastRecentlyActive",
+	detectDuplicates: false,
+	duplicatePolicy: "focusExisting",
+	duplicateIgnoreHash: true,
+	duplicateIgnoreTrackingParams: true,
+	duplicateIgnoreScheme: false,
+	archiveBlockedTabs: true,
+	archiveMaxEntries: 200,
+	archiveRetentionDays: 30,
+	maxGroup: 0,
+	groupLimits: [],
 	displayAlert: true,
 	countPinnedTabs: false,
 	displayBadge: false,
-	alertMessage: "You decided not to open more than {maxPlace} tabs in {place}"
+	alertMessage: "You decided not to open more than {maxPlace} tabs in {place}",
+	displayWarning: false,
+	warnTotalAt: "80%",
+	warnWindowAt: "80%",
+	warningMessage: "You have {count} of {maxPlace} tabs open in {place}",
+	domainLimits: [],
+	schedules: [],
+	allowlist: [],
+	tabWeights: [],
+	incognitoMode: "separate",
+	incognitoMaxTotal: 50,
+	incognitoMaxWindow: 20,
+	maxLoaded: 0,
+	maxWindows: 0,
+	exceedWindowAction: "merge",
+	idleCloseAfter: 0,
+	idleCloseUnit: "days",
+	idleCloseAction: "archive",
+	idleClosePinned: false,
+	idleCloseAudible: false,
+	idleCloseGrouped: false,
+	idleExceptions: [],
+	showLimitPage: false
+};
+
+const LIMIT_STEP = 5;
+
+// Schema subset (mirrors schema.js) for testing
+const OPTION_SCHEMA = {
+	maxTotal: { type: "integer", min: 1, max: 1337 },
+	maxWindow: { type: "integer", min: 1, max: 1337 },
+	incognitoMaxTotal: { type: "integer", min: 1, max: 1337 },
+	incognitoMaxWindow: { type: "integer", min: 1, max: 1337 }
+};
+
+function isPlainObject(value) {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+const PROFILE_KEY_PREFIX = "profile:";
+
+function getProfileKey(name) {
+	return PROFILE_KEY_PREFIX + name;
+}
+
+function pickProfiles(items) {
+	const profiles = {};
+	for (const [key, value] of Object.entries(items)) {
+		if (key.startsWith(PROFILE_KEY_PREFIX) && isPlainObject(value)) {
+			profiles[key.slice(PROFILE_KEY_PREFIX.length)] = value;
+		}
+	}
+	return profiles;
+}
+
+const ENFORCEMENT_STATE_DEFAULTS = {
+	enforcementEnabled: true,
+	snoozedUntil: 0
 };
 
 const SESSION_STATE_DEFAULTS = {
 	tabCount: INITIAL_TAB_COUNT,
 	previousTabCount: INITIAL_TAB_COUNT,
 	amountOfTabsCreated: INITIAL_TAB_COUNT,
-	passes: 0
+	passes: 0,
+	grantedPasses: 0,
+	tabActivatedAt: {},
+	tabCreatedAt: {},
+	tabUrls: {},
+	passedTabs: {},
+	warnedPlaces: {},
+	alerts: {},
+	windowLimits: {},
+	windowLimitsRestored: false,
+	idleSweep: []
 };
 
 // SessionState implementation for testing
@@ -119,418 +261,3780 @@ const SessionState = {
 
 	async resetPasses() {
 		await this.set({ passes: 0 });
+	},
+
+	async grantPasses(amount = 1) {
+		const { passes, grantedPasses } = await this.get();
+		await this.set({ grantedPasses: grantedPasses + amount });
+		return passes + grantedPasses + amount;
+	},
+
+	async takePass() {
+		const { passes, grantedPasses } = await this.get();
+		if (passes > 0) {
+			await this.decrementPasses();
+			return true;
+		}
+		if (grantedPasses > 0) {
+			await this.set({ grantedPasses: grantedPasses - 1 });
+			return true;
+		}
+		return false;
+	},
+
+	async recordTabActivated(tabId, time = Date.now()) {
+		const { tabActivatedAt } = await this.get();
+		await this.set({ tabActivatedAt: { ...tabActivatedAt, [tabId]: time } });
+	},
+
+	async recordTabCreated(tabId, time = Date.now()) {
+		const { tabCreatedAt } = await this.get();
+		await this.set({ tabCreatedAt: { ...tabCreatedAt, [tabId]: time } });
+	},
+
+	async recordPassedTab(tabId) {
+		const { passedTabs } = await this.get();
+		await this.set({ passedTabs: { ...passedTabs, [tabId]: true } });
+	},
+
+	async forgetPassedTab(tabId) {
+		const { passedTabs } = await this.get();
+		if (!passedTabs[tabId]) return;
+		const remaining = { ...passedTabs };
+		delete remaining[tabId];
+		await this.set({ passedTabs: remaining });
+	},
+
+	async recordTabUrl(tabId, url) {
+		const { tabUrls } = await this.get();
+		await this.set({ tabUrls: { ...tabUrls, [tabId]: url } });
+		return tabUrls[tabId];
+	},
+
+	async forgetTab(tabId) {
+		const { tabActivatedAt, tabCreatedAt, tabUrls, passedTabs } = await this.get();
+		const activated = { ...tabActivatedAt };
+		const created = { ...tabCreatedAt };
+		const urls = { ...tabUrls };
+		const passed = { ...passedTabs };
+		delete activated[tabId];
+		delete created[tabId];
+		delete urls[tabId];
+		delete passed[tabId];
+		await this.set({ tabActivatedAt: activated, tabCreatedAt: created, tabUrls: urls, passedTabs: passed });
+	},
+
+	async rememberAlert(notificationId, alert) {
+		const { alerts } = await this.get();
+		await this.set({ alerts: { ...alerts, [notificationId]: alert } });
+	},
+
+	async forgetAlert(notificationId) {
+		const { alerts } = await this.get();
+		if (!(notificationId in alerts)) return null;
+
+		const remaining = { ...alerts };
+		delete remaining[notificationId];
+		await this.set({ alerts: remaining });
+		return alerts[notificationId];
+	},
+
+	async setWindowLimit(windowId, max) {
+		const { windowLimits } = await this.get();
+		const updated = { ...windowLimits };
+		if (max === null) {
+			delete updated[windowId];
+		} else {
+			updated[windowId] = max;
+		}
+		await this.set({ windowLimits: updated });
+	}
+};
+
+// Tab archive for testing
+const ARCHIVE_DEFAULTS = {
+	archive: []
+};
+
+const TabArchive = {
+	async get() {
+		try {
+			const { archive } = await chrome.storage.local.get(ARCHIVE_DEFAULTS);
+			return archive;
+		} catch (error) {
+			return [];
+		}
+	},
+
+	async set(archive) {
+		try {
+			await chrome.storage.local.set({ archive });
+		} catch (error) {
+			console.error("Failed to update archive:", error);
+		}
+	},
+
+	prune(archive, options, now = Date.now()) {
+		const retentionDays = Number(options.archiveRetentionDays);
+		const maxEntries = Number(options.archiveMaxEntries);
+		let pruned = archive;
+		if (retentionDays > 0) {
+			pruned = pruned.filter((entry) => now - entry.timestamp < retentionDays * DAY_IN_MS);
+		}
+		if (maxEntries > 0) {
+			pruned = pruned.slice(0, maxEntries);
+		}
+		return pruned;
+	},
+
+	async add(tab, options, place) {
+		if (!options.archiveBlockedTabs || tab.incognito) return;
+
+		const url = tab.pendingUrl || tab.url;
+		if (!url || url === "chrome://newtab/") return;
+
+		const now = Date.now();
+		const entry = {
+			id: `${now}-${tab.id}`,
+			url,
+			title: tab.title || url,
+			favIconUrl: tab.favIconUrl || "",
+			timestamp: now,
+			place,
+			domain: place === "domain" ? getTabHostname(tab) : null
+		};
+		const archive = await this.get();
+		await this.set(this.prune([entry, ...archive], options, now));
+	}
+};
+
+// Usage statistics for testing
+const STATS_DEFAULTS = {
+	stats: {}
+};
+
+function createEmptyStatsDay() {
+	return {
+		samples: 0,
+		tabSum: 0,
+		peakTabs: 0,
+		limitHits: {},
+		domains: {},
+		blocked: 0,
+		evicted: 0,
+		moved: 0
+	};
+}
+
+function getDayKey(date) {
+	const pad = (number) => String(number).padStart(2, "0");
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const UsageStats = {
+	async get() {
+		try {
+			const { stats } = await chrome.storage.local.get(STATS_DEFAULTS);
+			return stats;
+		} catch (error) {
+			return {};
+		}
+	},
+
+	async set(stats) {
+		try {
+			await chrome.storage.local.set({ stats });
+		} catch (error) {
+			console.error("Failed to update stats:", error);
+		}
+	},
+
+	prune(stats, now = new Date()) {
+		const oldest = new Date(now);
+		oldest.setDate(now.getDate() - STATS_RETENTION_DAYS);
+		const oldestKey = getDayKey(oldest);
+
+		const pruned = {};
+		for (const key of Object.keys(stats)) {
+			if (key > oldestKey) pruned[key] = stats[key];
+		}
+		return pruned;
+	},
+
+	async update(mutate, now = new Date()) {
+		if (IS_INCOGNITO) return;
+		const stats = { ...await this.get() };
+		const key = getDayKey(now);
+		const day = { ...createEmptyStatsDay(), ...stats[key] };
+		mutate(day);
+		stats[key] = day;
+		await this.set(this.prune(stats, now));
+	},
+
+	async recordSample(tabCount) {
+		await this.update((day) => {
+			day.samples += 1;
+			day.tabSum += tabCount;
+			day.peakTabs = Math.max(day.peakTabs, tabCount);
+		});
+	},
+
+	async recordLimitHit(place, domain) {
+		await this.update((day) => {
+			day.limitHits = { ...day.limitHits, [place]: (day.limitHits[place] || 0) + 1 };
+			if (domain) {
+				day.domains = { ...day.domains, [domain]: (day.domains[domain] || 0) + 1 };
+			}
+		});
+	},
+
+	async recordTab(action) {
+		await this.update((day) => {
+			day[action] += 1;
+		});
+	}
+};
+
+// Enforcement state for testing
+const EnforcementState = {
+	async get() {
+		return await chrome.storage.local.get(ENFORCEMENT_STATE_DEFAULTS);
+	},
+
+	async set(updates) {
+		await chrome.storage.local.set(updates);
 	}
 };
 
 // Options management for testing
+async function getStoredOptions() {
+	const defaults = await chrome.storage.sync.get("defaultOptions");
+	const options = await chrome.storage.sync.get(defaults.defaultOptions || DEFAULT_OPTIONS);
+	return sanitizeOptions(resolveProfile(options, await getProfileState()), DEFAULT_OPTIONS);
+}
+
 async function getOptions() {
 	try {
-		const defaults = await chrome.storage.sync.get("defaultOptions");
-		const options = await chrome.storage.sync.get(defaults.defaultOptions || DEFAULT_OPTIONS);
-		return options;
+		const options = applyIncognitoLimits(applySchedule(await getStoredOptions()));
+		const { enforcementEnabled, snoozedUntil } = await EnforcementState.get();
+		return { ...options, enforcementEnabled, snoozedUntil };
 	} catch (error) {
 		return DEFAULT_OPTIONS;
 	}
 }
 
+async function storeOptions(values) {
+	const { profiles, activeProfile } = await getProfileState();
+	if (activeProfile && profiles[activeProfile]) {
+		await chrome.storage.sync.set({ [getProfileKey(activeProfile)]: { ...profiles[activeProfile], ...values } });
+	} else {
+		await chrome.storage.sync.set(values);
+	}
+}
+
+async function getProfileState() {
+	const items = await chrome.storage.sync.get(null);
+	return { profiles: pickProfiles(items), activeProfile: items.activeProfile || "" };
+}
+
+function resolveProfile(options, { profiles, activeProfile }) {
+	const profile = activeProfile && profiles[activeProfile];
+	if (!isPlainObject(profile)) return options;
+
+	const resolved = {};
+	for (const key of Object.keys(DEFAULT_OPTIONS)) {
+		resolved[key] = key in profile ? profile[key] : DEFAULT_OPTIONS[key];
+	}
+	return resolved;
+}
+
+// Incognito for testing
+function applyIncognitoLimits(options) {
+	if (!IS_INCOGNITO) return options;
+	return { ...options, maxTotal: options.incognitoMaxTotal, maxWindow: options.incognitoMaxWindow };
+}
+
+function isLimitingDisabled(options) {
+	return options.enforcementEnabled === false || isSnoozed(options) ||
+		(IS_INCOGNITO && options.incognitoMode === "ignore");
+}
+
+// Schedules for testing
+function parseTime(value) {
+	const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+	if (!match) return null;
+	const minutes = Number(match[1]) * 60 + Number(match[2]);
+	return minutes < MINUTES_PER_DAY ? minutes : null;
+}
+
+function isDayEnabled(schedule, day) {
+	return (schedule.days & (1 << day)) !== 0;
+}
+
+function isScheduleActive(schedule, date) {
+	const start = parseTime(schedule.start);
+	const end = parseTime(schedule.end);
+	if (start === null || end === null) return false;
+
+	const day = date.getDay();
+	const minutes = date.getHours() * 60 + date.getMinutes();
+
+	if (start === end) return isDayEnabled(schedule, day);
+	if (start < end) return isDayEnabled(schedule, day) && minutes >= start && minutes < end;
+
+	const previousDay = (day + 6) % 7;
+	return (isDayEnabled(schedule, day) && minutes >= start) ||
+		(isDayEnabled(schedule, previousDay) && minutes < end);
+}
+
+function findActiveSchedule(options, date) {
+	if (!Array.isArray(options.schedules)) return null;
+	return options.schedules.find((schedule) => isScheduleActive(schedule, date)) || null;
+}
+
+function getNextScheduleChange(options, date) {
+	if (!Array.isArray(options.schedules) || options.schedules.length === 0) return null;
+
+	const current = findActiveSchedule(options, date);
+	const candidates = [];
+
+	for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+		for (const schedule of options.schedules) {
+			for (const time of [schedule.start, schedule.end]) {
+				const minutes = parseTime(time);
+				if (minutes === null) continue;
+				const candidate = new Date(date);
+				candidate.setDate(date.getDate() + dayOffset);
+				candidate.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+				if (candidate > date) candidates.push(candidate);
+			}
+		}
+	}
+
+	candidates.sort((a, b) => a - b);
+	return candidates.find((candidate) => findActiveSchedule(options, candidate) !== current) || null;
+}
+
+function applySchedule(options, date = new Date()) {
+	const schedule = findActiveSchedule(options, date);
+	if (!schedule) return options;
+
+	return {
+		...options,
+		maxTotal: Number.isInteger(schedule.maxTotal) ? schedule.maxTotal : options.maxTotal,
+		maxWindow: Number.isInteger(schedule.maxWindow) ? schedule.maxWindow : options.maxWindow
+	};
+}
+
+// Allowlist for testing
+const MATCH_PATTERN = /^(\*|[a-z][a-z0-9+.-]*):\/\/([^/]*)(\/.*)?$/i;
+
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function globToRegExpSource(glob) {
+	return glob.split("*").map(escapeRegExp).join(".*");
+}
+
+function compileUrlPattern(pattern) {
+	const match = pattern.trim().match(MATCH_PATTERN);
+	if (!match) return new RegExp(`^${globToRegExpSource(pattern.trim())}$`, "i");
+
+	const [, scheme, host, path = "/*"] = match;
+	let hostSource;
+	if (host === "*") {
+		hostSource = "[^/]*";
+	} else if (host.startsWith("*.")) {
+		hostSource = `([^/]*\\.)?${globToRegExpSource(host.slice(2))}`;
+	} else {
+		hostSource = globToRegExpSource(host);
+	}
+	if (!host.includes(":")) hostSource += "(:\\d+)?";
+
+	const schemeSource = scheme === "*" ? "https?" : escapeRegExp(scheme);
+	return new RegExp(`^${schemeSource}://${hostSource}${globToRegExpSource(path)}$`, "i");
+}
+
+// A loading tab only has a pendingUrl, so both URLs are checked
+function createAllowlistMatcher(options) {
+	const patterns = (options.allowlist || []).map(compileUrlPattern);
+	return (tab) => [tab.url, tab.pendingUrl].some((url) =>
+		Boolean(url) && (url.startsWith(EXTENSION_PAGE_URL) || patterns.some((pattern) => pattern.test(url)))
+	);
+}
+
+function isAllowlistedTab(options, tab) {
+	return createAllowlistMatcher(options)(tab);
+}
+
 // Tab query utilities for testing
 async function tabQuery(options, params = {}) {
 	if (!options.countPinnedTabs) {
 		params.pinned = false;
 	}
-	return chrome.tabs.query(params);
+	const tabs = await chrome.tabs.query(params);
+	const isAllowlisted = createAllowlistMatcher(options);
+	return tabs.filter((tab) => !isAllowlisted(tab));
 }
 
 async function windowRemaining(options) {
-	const tabs = await tabQuery(options, { currentWindow: true });
-	return options.maxWindow - tabs.length;
+	const { tabs, max } = await queryCurrentWindow(options);
+	return max - countTabs(options, tabs);
+}
+
+// Window limit overrides for testing
+const WINDOW_LIMIT_SNAPSHOT_DEFAULTS = {
+	windowLimitSnapshots: []
+};
+
+function resolveWindowMax(options, windowLimits, windowId) {
+	const max = windowLimits[windowId];
+	return Number.isInteger(max) ? max : options.maxWindow;
+}
+
+async function getWindowMax(options, windowId) {
+	const { windowLimits } = await SessionState.get();
+	return resolveWindowMax(options, windowLimits, windowId);
+}
+
+async function queryCurrentWindow(options) {
+	const [tabs, { windowLimits }] = await Promise.all([
+		tabQuery(options, { currentWindow: true }),
+		SessionState.get()
+	]);
+	const windowId = tabs.length > 0 ? tabs[0].windowId : undefined;
+	return { tabs, windowId, max: resolveWindowMax(options, windowLimits, windowId) };
+}
+
+async function setWindowLimit(windowId, max) {
+	await SessionState.setWindowLimit(windowId, max);
+	await saveWindowLimitSnapshots();
+}
+
+async function saveWindowLimitSnapshots() {
+	const { windowLimits, windowLimitsRestored } = await SessionState.get();
+	if (!windowLimitsRestored) return;
+
+	const { windowLimitSnapshots } = await chrome.storage.local.get(WINDOW_LIMIT_SNAPSHOT_DEFAULTS);
+	const snapshots = await Promise.all(Object.entries(windowLimits).map(async ([id, max]) => {
+		const windowId = Number(id);
+		const tabs = await chrome.tabs.query({ windowId });
+		const urls = tabs.map((tab) => tab.pendingUrl || tab.url).filter(Boolean);
+		const previous = urls.length === 0
+			? windowLimitSnapshots.find((snapshot) => snapshot.windowId === windowId)
+			: null;
+		return { windowId, max, urls: previous ? previous.urls : urls };
+	}));
+	if (JSON.stringify(snapshots) !== JSON.stringify(windowLimitSnapshots)) {
+		await chrome.storage.local.set({ windowLimitSnapshots: snapshots });
+	}
+}
+
+function matchWindowSnapshots(snapshots, windows) {
+	const windowLimits = {};
+	for (const snapshot of snapshots) {
+		let best = null;
+		let bestShared = 0;
+		for (const windowInfo of windows) {
+			if (windowInfo.id in windowLimits) continue;
+			const urls = new Set((windowInfo.tabs || []).map((tab) => tab.pendingUrl || tab.url));
+			const shared = snapshot.urls.filter((url) => urls.has(url)).length;
+			if (shared > bestShared) {
+				best = windowInfo;
+				bestShared = shared;
+			}
+		}
+		if (best && bestShared * 2 >= snapshot.urls.length) windowLimits[best.id] = snapshot.max;
+	}
+	return windowLimits;
+}
+
+async function restoreWindowLimits() {
+	const [{ windowLimitSnapshots }, windows] = await Promise.all([
+		chrome.storage.local.get(WINDOW_LIMIT_SNAPSHOT_DEFAULTS),
+		chrome.windows.getAll({ populate: true, windowTypes: ["normal"] })
+	]);
+	await SessionState.set({
+		windowLimits: matchWindowSnapshots(windowLimitSnapshots, windows),
+		windowLimitsRestored: true
+	});
+	await saveWindowLimitSnapshots();
 }
 
 async function totalRemaining(options) {
 	const tabs = await tabQuery(options);
-	return options.maxTotal - tabs.length;
+	return options.maxTotal - countTabs(options, tabs);
+}
+
+// Tab weights for testing
+// The first rule whose pattern matches a tab's URL sets its weight; the
+// window and total limits are compared against the sum of the weights
+const DEFAULT_TAB_WEIGHT = 1;
+
+function createTabWeigher(options) {
+	const rules = (options.tabWeights || []).map(({ pattern, weight }) => ({
+		pattern: compileUrlPattern(pattern),
+		weight
+	}));
+	return (tab) => {
+		const url = tab.pendingUrl || tab.url;
+		const rule = url && rules.find(({ pattern }) => pattern.test(url));
+		return rule ? rule.weight : DEFAULT_TAB_WEIGHT;
+	};
+}
+
+// Rounded to hundredths so weights such as 0.1 add up without float noise
+function countTabs(options, tabs) {
+	const weigh = createTabWeigher(options);
+	const count = tabs.reduce((sum, tab) => sum + weigh(tab), 0);
+	return Math.round(count * 100) / 100;
+}
+
+// Only the window and total limits are weighted; domain and group limits count tabs
+async function countTabsInPlace(options, place, tab) {
+	if (place === "window") {
+		const params = tab ? { windowId: tab.windowId } : { currentWindow: true };
+		return countTabs(options, await tabQuery(options, params));
+	}
+	if (place === "total") {
+		return countTabs(options, await tabQuery(options));
+	}
+	return tab ? (await getEvictionPool(tab, options, place)).length : 0;
 }
 
 // Tab limit detection for testing
 async function detectTooManyTabsInWindow(options) {
-	const tabs = await tabQuery(options, { currentWindow: true });
-	if (options.maxWindow < MIN_ALLOWED_TABS) return null;
-	if (tabs.length > options.maxWindow) return "window";
+	const { tabs, max } = await queryCurrentWindow(options);
+	if (max < MIN_ALLOWED_TABS) return null;
+	if (countTabs(options, tabs) > max) return "window";
 	return null;
 }
 
 async function detectTooManyTabsInTotal(options) {
 	const tabs = await tabQuery(options);
 	if (options.maxTotal < MIN_ALLOWED_TABS) return null;
-	if (tabs.length > options.maxTotal) return "total";
+	if (countTabs(options, tabs) > options.maxTotal) return "total";
 	return null;
 }
 
-async function detectTabLimitExceeded(options) {
-	const [windowResult, totalResult] = await Promise.all([
+// Domain utilities for testing
+function getTabHostname(tab) {
+	try {
+		return new URL(tab.pendingUrl || tab.url).hostname.toLowerCase();
+	} catch (error) {
+		return null;
+	}
+}
+
+function hostnameMatches(hostname, rule) {
+	if (!hostname) return false;
+	if (hostname === rule.hostname) return true;
+	return Boolean(rule.includeSubdomains) && hostname.endsWith("." + rule.hostname);
+}
+
+function isSiteChange(previousUrl, url) {
+	if (previousUrl === undefined) return true;
+	if (!previousUrl) return false;
+	return getTabHostname({ url: previousUrl }) !== getTabHostname({ url });
+}
+
+function findDomainLimit(options, hostname) {
+	if (!hostname || !Array.isArray(options.domainLimits)) return null;
+	return options.domainLimits.find((rule) =>
+		rule.hostname && rule.max >= MIN_ALLOWED_TABS && hostnameMatches(hostname, rule)
+	) || null;
+}
+
+async function detectTooManyTabsOnDomain(options, tab) {
+	if (!tab || (tab.pinned && !options.countPinnedTabs) || isAllowlistedTab(options, tab)) return null;
+	const rule = findDomainLimit(options, getTabHostname(tab));
+	if (!rule) return null;
+
+	const tabs = await tabQuery(options);
+	const otherTabs = tabs.filter((other) =>
+		other.id !== tab.id && hostnameMatches(getTabHostname(other), rule)
+	);
+	if (otherTabs.length + 1 > rule.max) return "domain";
+	return null;
+}
+
+// Tab group utilities for testing
+async function getGroupLimit(options, groupId) {
+	let title = "";
+	try {
+		const group = await chrome.tabGroups.get(groupId);
+		title = group.title || "";
+	} catch (error) {
+		console.error("Failed to get tab group:", error);
+	}
+
+	const overrides = Array.isArray(options.groupLimits) ? options.groupLimits : [];
+	const override = title && overrides.find((rule) =>
+		rule.title && rule.title.toLowerCase() === title.toLowerCase()
+	);
+	return { title, max: override ? override.max : options.maxGroup };
+}
+
+async function detectTooManyTabsInGroup(options, tab) {
+	if (!tab || tab.groupId === undefined || tab.groupId === TAB_GROUP_ID_NONE) return null;
+	if (isAllowlistedTab(options, tab)) return null;
+	const { max } = await getGroupLimit(options, tab.groupId);
+	if (!(max >= MIN_ALLOWED_TABS)) return null;
+
+	const tabs = await tabQuery(options, { groupId: tab.groupId });
+	if (tabs.length > max) return "group";
+	return null;
+}
+
+async function detectTabLimitExceeded(options, tab) {
+	const [windowResult, totalResult, domainResult, groupResult] = await Promise.all([
 		detectTooManyTabsInWindow(options),
-		detectTooManyTabsInTotal(options)
+		detectTooManyTabsInTotal(options),
+		detectTooManyTabsOnDomain(options, tab),
+		detectTooManyTabsInGroup(options, tab)
 	]);
-	return windowResult || totalResult;
+	return windowResult || totalResult || domainResult || groupResult;
 }
 
 // Badge management for testing
 async function updateBadge(options) {
 	try {
-		if (!options.displayBadge) {
+		if (options.enforcementEnabled === false) {
+			await chrome.action.setBadgeText({ text: "off" });
+			await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+			return;
+		}
+		if (isSnoozed(options)) {
+			await chrome.action.setBadgeText({ text: "zzz" });
+			await chrome.action.setBadgeBackgroundColor({ color: BADGE_SNOOZE_COLOR });
+			return;
+		}
+		if (!options.displayBadge || isLimitingDisabled(options)) {
 			await chrome.action.setBadgeText({ text: "" });
 			return;
 		}
 
-		const remaining = await Promise.all([
-			windowRemaining(options),
-			totalRemaining(options)
-		]);
-		await chrome.action.setBadgeText({
-			text: Math.min(...remaining).toString()
+		await chrome.action.setBadgeText({ text: await getBadgeText(options) });
+
+		const usage = options.displayWarning ? await getUsage(options) : [];
+		await chrome.action.setBadgeBackgroundColor({
+			color: usage.some(isOverWarningThreshold) ? BADGE_WARNING_COLOR : BADGE_COLOR
 		});
 	} catch (error) {
 		console.error("Failed to update badge:", error);
 	}
 }
 
-// Alert message utilities for testing
-function capitalizeFirstLetter(string) {
-	return string[0].toUpperCase() + string.slice(1);
+async function getBadgeText(options) {
+	if (options.maxLoaded >= MIN_ALLOWED_TABS) {
+		return (await getLoadedTabs(options)).length.toString();
+	}
+	const remaining = await Promise.all([
+		windowRemaining(options),
+		totalRemaining(options)
+	]);
+	return Math.floor(Math.min(...remaining)).toString();
 }
 
-async function displayAlert(options, place) {
-	if (!options.displayAlert) return false;
+// Soft-limit warnings for testing
+function resolveThreshold(value, max) {
+	if (!(max >= MIN_ALLOWED_TABS)) return null;
+	const text = String(value ?? "").trim();
+	if (!text) return null;
+
+	if (text.endsWith("%")) {
+		const percent = parseFloat(text);
+		return percent > 0 ? Math.ceil(max * percent / 100) : null;
+	}
+	const absolute = parseInt(text, 10);
+	return absolute >= MIN_ALLOWED_TABS ? absolute : null;
+}
+
+function isOverWarningThreshold(usage) {
+	return usage.threshold !== null && usage.count >= usage.threshold;
+}
+
+async function getUsage(options) {
+	const [currentWindow, totalTabs] = await Promise.all([
+		queryCurrentWindow(options),
+		tabQuery(options)
+	]);
+	return [
+		{
+			place: "window",
+			key: currentWindow.windowId !== undefined ? `window-${currentWindow.windowId}` : "window",
+			count: countTabs(options, currentWindow.tabs),
+			max: currentWindow.max,
+			threshold: resolveThreshold(options.warnWindowAt, currentWindow.max)
+		},
+		{
+			place: "total",
+			key: "total",
+			count: countTabs(options, totalTabs),
+			max: options.maxTotal,
+			threshold: resolveThreshold(options.warnTotalAt, options.maxTotal)
+		}
+	];
+}
 
+async function displayWarning(options, usage) {
 	const replacer = (match, p1) => {
 		switch (p1) {
 			case "place":
 			case "which":
-				return place === "window" ? "one window" : "total";
+				return usage.place === "window" ? "one window" : "total";
 			case "maxPlace":
 			case "maxWhich":
-				return options["max" + capitalizeFirstLetter(place)];
+				return usage.max;
+			case "count":
+				return Math.round(usage.count);
+			case "remaining":
+				return Math.max(0, Math.round(usage.max - usage.count));
 			default:
 				return options[p1] || "?";
 		}
 	};
 
-	const renderedMessage = options.alertMessage.replace(
-		/{\s*(\S+)\s*}/g,
-		replacer
-	);
-
 	await chrome.notifications.create({
-		type: 'basic',
+		type: 'progress',
 		iconUrl: 'icons/48.png',
 		title: 'Tab Limiter',
-		message: renderedMessage
+		message: options.warningMessage.replace(/{\s*(\S+)\s*}/g, replacer),
+		progress: Math.min(100, Math.round(usage.count / usage.max * 100))
 	});
+}
 
-	return true;
+async function checkWarnings(options) {
+	if (!options.displayWarning) return;
+
+	const usages = await getUsage(options);
+	const { warnedPlaces } = await SessionState.get();
+	const updated = { ...warnedPlaces };
+
+	for (const usage of usages) {
+		if (isOverWarningThreshold(usage)) {
+			if (!updated[usage.key]) {
+				updated[usage.key] = true;
+				await displayWarning(options, usage);
+			}
+		} else {
+			delete updated[usage.key];
+		}
+	}
+	await SessionState.set({ warnedPlaces: updated });
+}
+
+// Alert message utilities for testing
+function capitalizeFirstLetter(string) {
+	return string[0].toUpperCase() + string.slice(1);
+}
+
+async function displayAlert(options, place, tab) {
+	if (!options.displayAlert) return false;
+
+	const domainLimit = place === "domain" ? findDomainLimit(options, getTabHostname(tab)) : null;
+	const groupLimit = place === "group" ? await getGroupLimit(options, tab.groupId) : null;
+	const windowMax = place === "window" && tab ? await getWindowMax(options, tab.windowId) : null;
+	const count = await countTabsInPlace(options, place, tab);
+
+	const replacer = (match, p1) => {
+		switch (p1) {
+			case "place":
+			case "which":
+				if (domainLimit) return domainLimit.hostname;
+				if (groupLimit) return groupLimit.title ? `group "${groupLimit.title}"` : "one group";
+				return place === "window" ? "one window" : "total";
+			case "maxPlace":
+			case "maxWhich":
+				if (domainLimit) return domainLimit.max;
+				if (groupLimit) return groupLimit.max;
+				if (windowMax !== null) return windowMax;
+				return options["max" + capitalizeFirstLetter(place)];
+			case "count":
+				return Math.round(count);
+			case "domain":
+				return domainLimit ? domainLimit.hostname : "?";
+			case "group":
+				return groupLimit && groupLimit.title ? groupLimit.title : "?";
+			default:
+				return options[p1] || "?";
+		}
+	};
+
+	const renderedMessage = options.alertMessage.replace(
+		/{\s*(\S+)\s*}/g,
+		replacer
+	);
+
+	if (!tab) {
+		await displayNotification(renderedMessage);
+		return;
+	}
+
+	const notificationId = `tab-limiter-alert-${tab.id}-${Date.now()}`;
+	await SessionState.rememberAlert(notificationId, {
+		tab: { id: tab.id, url: tab.pendingUrl || tab.url, windowId: tab.windowId, groupId: tab.groupId },
+		place
+	});
+	await displayNotification(renderedMessage, notificationId, ALERT_BUTTONS);
+}
+
+// Duplicate detection for testing
+function normalizeUrl(url, options) {
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch (error) {
+		return null;
+	}
+	if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return null;
+
+	if (options.duplicateIgnoreHash) {
+		parsed.hash = "";
+	}
+	if (options.duplicateIgnoreTrackingParams) {
+		for (const key of [...parsed.searchParams.keys()]) {
+			if (TRACKING_PARAM_PATTERN.test(key)) parsed.searchParams.delete(key);
+		}
+	}
+	if (options.duplicateIgnoreScheme) {
+		parsed.protocol = "https:";
+	}
+	return parsed.href;
+}
+
+function isPageChange(previousUrl, url, options) {
+	return previousUrl === undefined || normalizeUrl(previousUrl, options) !== normalizeUrl(url, options);
+}
+
+function findDuplicateTab(tab, tabs, options) {
+	const key = normalizeUrl(tab.pendingUrl || tab.url, options);
+	if (!key) return null;
+	return tabs.find((other) =>
+		other.id !== tab.id && normalizeUrl(other.pendingUrl || other.url, options) === key
+	) || null;
+}
+
+function findRedundantCopies(tabs, options, state) {
+	const byUrl = {};
+	for (const tab of tabs) {
+		const key = normalizeUrl(tab.pendingUrl || tab.url, options);
+		if (key) (byUrl[key] = byUrl[key] || []).push(tab);
+	}
+
+	const redundant = [];
+	for (const copies of Object.values(byUrl)) {
+		if (copies.length < 2) continue;
+		const evictable = copies.filter(isEvictable);
+		if (evictable.length === copies.length) {
+			const mostRecent = evictable.reduce((latest, tab) =>
+				getTabActivatedAt(tab, state) > getTabActivatedAt(latest, state) ? tab : latest
+			);
+			evictable.splice(evictable.indexOf(mostRecent), 1);
+		}
+		redundant.push(...evictable);
+	}
+	return redundant;
+}
+
+async function handleDuplicateTab(tab, options) {
+	if (!options.detectDuplicates) return false;
+
+	try {
+		const tabs = await chrome.tabs.query({});
+		const existing = findDuplicateTab(tab, tabs, options);
+		if (!existing) return false;
+
+		switch (options.duplicatePolicy) {
+			case "focusExisting":
+				await chrome.tabs.update(existing.id, { active: true });
+				await chrome.windows.update(existing.windowId, { focused: true });
+				await chrome.tabs.remove(tab.id);
+				return true;
+			// Pinned, audible and active tabs are as safe from this as from eviction
+			case "closeOlder":
+				if (!isEvictable(existing)) {
+					await chrome.tabs.remove(tab.id);
+					return true;
+				}
+				await chrome.tabs.remove(existing.id);
+				return false;
+			default:
+				await chrome.notifications.create({
+					type: 'basic',
+					iconUrl: 'icons/48.png',
+					title: 'Tab Limiter',
+					message: `This page is already open in another tab: ${existing.title || existing.url}`
+				});
+				return false;
+		}
+	} catch (error) {
+		console.error("Failed to handle duplicate tab:", error);
+		return false;
+	}
+}
+
+// Tab eviction for testing
+function isEvictable(tab) {
+	return !tab.pinned && !tab.audible && !tab.active;
+}
+
+function getTabCreatedAt(tab, state) {
+	return state.tabCreatedAt[tab.id] ?? tab.id;
+}
+
+function getTabActivatedAt(tab, state) {
+	return state.tabActivatedAt[tab.id] ?? tab.lastAccessed ?? 0;
+}
+
+function selectEvictionCandidate(tabs, strategy, state) {
+	let candidates = tabs.filter(isEvictable);
+	if (candidates.length === 0) return null;
+
+	if (strategy === "oldestCreated") {
+		return candidates.reduce((oldest, tab) =>
+			getTabCreatedAt(tab, state) < getTabCreatedAt(oldest, state) ? tab : oldest
+		);
+	}
+
+	if (strategy === "largestDomain") {
+		const byHostname = {};
+		for (const tab of candidates) {
+			const hostname = getTabHostname(tab) || "";
+			(byHostname[hostname] = byHostname[hostname] || []).push(tab);
+		}
+		candidates = Object.values(byHostname).reduce((largest, group) =>
+			group.length > largest.length ? group : largest
+		);
+	}
+
+	return candidates.reduce((leastRecent, tab) =>
+		getTabActivatedAt(tab, state) < getTabActivatedAt(leastRecent, state) ? tab : leastRecent
+	);
+}
+
+async function getEvictionPool(tab, options, place) {
+	if (place === "window") {
+		return tabQuery(options, { windowId: tab.windowId });
+	}
+	if (place === "group") {
+		return tabQuery(options, { groupId: tab.groupId });
+	}
+
+	const tabs = await tabQuery(options);
+	if (place === "domain") {
+		const rule = findDomainLimit(options, getTabHostname(tab));
+		return rule ? tabs.filter((other) => hostnameMatches(getTabHostname(other), rule)) : [];
+	}
+	return tabs;
+}
+
+async function evictTab(tab, options, place, duplicatesOnly = false) {
+	const pool = await getEvictionPool(tab, options, place);
+	const state = await SessionState.get();
+
+	let candidates = pool.filter((other) => other.id !== tab.id);
+	if (options.detectDuplicates) {
+		const redundant = findRedundantCopies(candidates, options, state);
+		if (redundant.length > 0 || duplicatesOnly) candidates = redundant;
+	}
+
+	const candidate = selectEvictionCandidate(candidates, options.evictionStrategy, state);
+	if (!candidate) return false;
+
+	await chrome.tabs.remove(candidate.id);
+	await TabArchive.add(candidate, options, place);
+	await UsageStats.recordTab("evicted");
+	return true;
+}
+
+// Inactive tabs for testing
+async function scheduleIdleChecks(options) {
+	if (!(options.idleCloseAfter >= 1)) {
+		await chrome.alarms.clear(IDLE_ALARM);
+		return;
+	}
+	const alarm = await chrome.alarms.get(IDLE_ALARM);
+	if (!alarm) {
+		await chrome.alarms.create(IDLE_ALARM, { periodInMinutes: IDLE_CHECK_MINUTES });
+	}
+}
+
+function isIdleException(options, tab) {
+	const hostname = getTabHostname(tab);
+	return (options.idleExceptions || []).some((exception) =>
+		hostnameMatches(hostname, { hostname: exception, includeSubdomains: true })
+	);
+}
+
+function isIdleCandidate(tab, options, state, now) {
+	if (tab.active) return false;
+	if (tab.pinned && !options.idleClosePinned) return false;
+	if (tab.audible && !options.idleCloseAudible) return false;
+	const grouped = tab.groupId !== undefined && tab.groupId !== TAB_GROUP_ID_NONE;
+	if (grouped && !options.idleCloseGrouped) return false;
+	if (isIdleException(options, tab)) return false;
+	return now - getTabLastUsedAt(tab, state) >= options.idleCloseAfter * IDLE_UNIT_MS[options.idleCloseUnit];
+}
+
+async function findIdleTabs(options, now = Date.now()) {
+	const [tabs, state] = await Promise.all([chrome.tabs.query({}), SessionState.get()]);
+	const isAllowlisted = createAllowlistMatcher(options);
+
+	const usedNow = {};
+	for (const tab of tabs) {
+		if (tab.active || getTabLastUsedAt(tab, state) === 0) usedNow[tab.id] = now;
+	}
+	const tabActivatedAt = { ...state.tabActivatedAt, ...usedNow };
+	if (Object.keys(usedNow).length > 0) await SessionState.set({ tabActivatedAt });
+
+	return tabs.filter((tab) =>
+		!isAllowlisted(tab) && isIdleCandidate(tab, options, { ...state, tabActivatedAt }, now)
+	);
+}
+
+async function proposeIdleSweep() {
+	const options = await getOptions();
+	if (!(options.idleCloseAfter >= 1) || isLimitingDisabled(options)) return;
+
+	const tabs = await findIdleTabs(options);
+	if (tabs.length === 0) return;
+
+	await SessionState.set({ idleSweep: tabs.map((tab) => tab.id) });
+	await chrome.alarms.create(IDLE_SWEEP_ALARM, { delayInMinutes: IDLE_SWEEP_DELAY_MINUTES });
+	const items = tabs.slice(0, IDLE_SWEEP_LIST_LENGTH).map((tab) => ({
+		title: tab.title || tab.url,
+		message: getTabHostname(tab) || ""
+	}));
+	await displayNotification(
+		`${tabs.length} inactive ${tabs.length === 1 ? "tab" : "tabs"} will be closed in a minute.`,
+		IDLE_SWEEP_NOTIFICATION,
+		IDLE_SWEEP_BUTTONS,
+		items
+	);
+}
+
+async function runIdleSweep() {
+	const { idleSweep } = await SessionState.get();
+	await SessionState.set({ idleSweep: [] });
+	await chrome.notifications.clear(IDLE_SWEEP_NOTIFICATION);
+
+	const options = await getOptions();
+	if (idleSweep.length === 0 || !(options.idleCloseAfter >= 1) || isLimitingDisabled(options)) return 0;
+
+	const tabs = (await findIdleTabs(options)).filter((tab) => idleSweep.includes(tab.id));
+	if (tabs.length === 0) return 0;
+
+	await chrome.tabs.remove(tabs.map((tab) => tab.id));
+	if (options.idleCloseAction === "archive") {
+		for (const tab of tabs) {
+			await TabArchive.add(tab, { ...options, archiveBlockedTabs: true }, "idle");
+		}
+	}
+	return tabs.length;
+}
+
+async function cancelIdleSweep(now = Date.now()) {
+	const { idleSweep, tabActivatedAt } = await SessionState.get();
+	const kept = {};
+	for (const tabId of idleSweep) kept[tabId] = now;
+
+	await chrome.alarms.clear(IDLE_SWEEP_ALARM);
+	await SessionState.set({ idleSweep: [], tabActivatedAt: { ...tabActivatedAt, ...kept } });
+	await chrome.notifications.clear(IDLE_SWEEP_NOTIFICATION);
+}
+
+// Loaded tab limit for testing
+async function getLoadedTabs(options) {
+	const tabs = await tabQuery(options);
+	return tabs.filter((tab) => !tab.discarded);
+}
+
+function getTabLastUsedAt(tab, state) {
+	return Math.max(getTabActivatedAt(tab, state), state.tabCreatedAt[tab.id] || 0);
+}
+
+function isDiscardable(tab, state, now) {
+	return isEvictable(tab) && tab.autoDiscardable !== false &&
+		now - getTabLastUsedAt(tab, state) >= DISCARD_GRACE_MS;
+}
+
+async function enforceLoadedLimit(options, now = Date.now()) {
+	if (!(options.maxLoaded >= MIN_ALLOWED_TABS) || isLimitingDisabled(options)) return 0;
+
+	const [loaded, state] = await Promise.all([getLoadedTabs(options), SessionState.get()]);
+	let excess = loaded.length - options.maxLoaded;
+	if (excess <= 0) return 0;
+
+	const candidates = loaded
+		.filter((tab) => isDiscardable(tab, state, now))
+		.sort((a, b) => getTabLastUsedAt(a, state) - getTabLastUsedAt(b, state));
+	let discarded = 0;
+	for (const tab of candidates) {
+		if (discarded === excess) break;
+		try {
+			await chrome.tabs.discard(tab.id);
+			discarded++;
+		} catch (error) {
+			console.error("Failed to discard tab:", error);
+		}
+	}
+	return discarded;
 }
 
 // Tab exceed handling for testing
 async function handleExceedTabs(tab, options, place) {
 	try {
-		if (options.exceedTabNewWindow && place === "window") {
+		await UsageStats.recordLimitHit(place, getTabHostname(tab));
+
+		if (options.detectDuplicates && await evictTab(tab, options, place, true)) return;
+		if (options.evictTabs && await evictTab(tab, options, place)) return;
+
+		if (place === "group") {
+			await chrome.tabs.ungroup(tab.id);
+			return;
+		}
+
+		const canOpenWindow = options.exceedTabNewWindow && place === "window" &&
+			!isWindowLimitReached(options, await getBrowserWindows());
+		if (canOpenWindow) {
 			await chrome.windows.create({ tabId: tab.id, focused: true });
+			await UsageStats.recordTab("moved");
+		} else if (options.showLimitPage) {
+			await chrome.tabs.update(tab.id, { url: getLimitPageUrl(tab, place) });
+			await UsageStats.recordTab("blocked");
 		} else {
 			await chrome.tabs.remove(tab.id);
+			await TabArchive.add(tab, options, place);
+			await UsageStats.recordTab("blocked");
 		}
 	} catch (error) {
 		console.error("Failed to handle exceed tabs:", error);
 	}
 }
 
-// Reset mocks before each test
-beforeEach(() => {
-	jest.clearAllMocks();
-	mockChrome.storage.session.data = {};
-	mockChrome.storage.sync.data = {};
-	mockChrome.tabs.query.mockResolvedValue([]);
-});
+// Window limit for testing
+async function getBrowserWindows() {
+	return chrome.windows.getAll({ windowTypes: ["normal"] });
+}
 
-describe('SessionState', () => {
-	describe('get', () => {
-		it('should return default values when storage is empty', async () => {
-			const state = await SessionState.get();
-			expect(state).toEqual(SESSION_STATE_DEFAULTS);
-		});
+let lastWindowCreatedAt = 0;
 
-		it('should return stored values when available', async () => {
-			mockChrome.storage.session.data = { tabCount: 10, passes: 2 };
-			const state = await SessionState.get();
-			expect(state.tabCount).toBe(10);
-			expect(state.passes).toBe(2);
-		});
+function isWindowBurst(now = Date.now()) {
+	const burst = now - lastWindowCreatedAt < WINDOW_BURST_MS;
+	lastWindowCreatedAt = now;
+	return burst;
+}
+
+function isWindowLimitReached(options, windows) {
+	return options.maxWindows >= MIN_ALLOWED_TABS && windows.length >= options.maxWindows;
+}
+
+async function findRoomiestWindow(options, windows) {
+	const { windowLimits } = await SessionState.get();
+	const rooms = await Promise.all(windows.map(async (windowInfo) => {
+		const tabs = await tabQuery(options, { windowId: windowInfo.id });
+		return resolveWindowMax(options, windowLimits, windowInfo.id) - countTabs(options, tabs);
+	}));
+	let roomiest = null;
+	rooms.forEach((room, index) => {
+		if (roomiest === null || room > rooms[roomiest]) roomiest = index;
+	});
+	return roomiest === null ? null : windows[roomiest];
+}
+
+async function mergeWindow(options, windowId, others) {
+	const target = await findRoomiestWindow(options, others);
+	if (!target) return false;
+
+	const tabs = await chrome.tabs.query({ windowId });
+	if (tabs.length === 0) {
+		await chrome.windows.remove(windowId);
+		return true;
+	}
+	await chrome.tabs.move(tabs.map((tab) => tab.id), { windowId: target.id, index: -1 });
+	const active = tabs.find((tab) => tab.active) || tabs[0];
+	await chrome.tabs.update(active.id, { active: true });
+	await chrome.windows.update(target.id, { focused: true });
+	await UsageStats.recordTab("moved");
+	return true;
+}
+
+async function closeWindow(options, windowId) {
+	const tabs = await chrome.tabs.query({ windowId });
+	await chrome.windows.remove(windowId);
+	for (const tab of tabs) {
+		await TabArchive.add(tab, options, "windows");
+		await UsageStats.recordTab("blocked");
+	}
+}
+
+async function handleWindowCreated(createdWindow) {
+	try {
+		if (createdWindow.type !== "normal") return;
+		if (isWindowBurst()) return;
+		const options = await getOptions();
+		if (!(options.maxWindows >= MIN_ALLOWED_TABS) || isLimitingDisabled(options)) return;
+
+		const windows = (await getBrowserWindows()).filter((windowInfo) => windowInfo.id <= createdWindow.id);
+		if (windows.length <= options.maxWindows) return;
+
+		await UsageStats.recordLimitHit("windows");
+		const others = windows.filter((windowInfo) => windowInfo.id !== createdWindow.id);
+		const merged = options.exceedWindowAction === "merge" &&
+			await mergeWindow(options, createdWindow.id, others);
+		if (!merged) await closeWindow(options, createdWindow.id);
+
+		if (options.displayAlert) {
+			await displayNotification(merged
+				? `You can have at most ${options.maxWindows} windows open, so the tabs of the new window were moved to another window.`
+				: `You can have at most ${options.maxWindows} windows open, so the new window was closed.`);
+		}
+	} catch (error) {
+		console.error("Failed to handle window created:", error);
+	}
+}
+
+async function handleWindowRemoved(windowId) {
+	try {
+		const { windowLimits } = await SessionState.get();
+		if (!(windowId in windowLimits)) return;
+		if ((await getBrowserWindows()).length === 0) return;
+
+		await setWindowLimit(windowId, null);
+	} catch (error) {
+		console.error("Failed to handle window removed:", error);
+	}
+}
+
+// Keyboard commands for testing
+async function displayNotification(message, notificationId = `tab-limiter-${Date.now()}`, buttons, items) {
+	await chrome.notifications.create(notificationId, {
+		type: items ? 'list' : 'basic',
+		iconUrl: 'icons/48.png',
+		title: 'Tab Limiter',
+		message,
+		...(buttons && { buttons }),
+		...(items && { items })
+	});
+}
+
+async function handleUpdate() {
+	const options = await getOptions();
+	await enforceLoadedLimit(options);
+	await updateBadge(options);
+}
+
+async function closeOldestTab(options) {
+	const [tabs, state] = await Promise.all([
+		tabQuery(options, { currentWindow: true }),
+		SessionState.get()
+	]);
+	const oldest = selectEvictionCandidate(tabs, "oldestCreated", state);
+	if (!oldest) {
+		await displayNotification("No tab in this window can be closed; pinned, playing and active tabs are kept.");
+		return;
+	}
+	await chrome.tabs.remove(oldest.id);
+	await displayNotification(`Closed "${oldest.title || oldest.url}".`);
+}
+
+async function closeDuplicateTabs(options) {
+	const [tabs, state] = await Promise.all([tabQuery(options), SessionState.get()]);
+	const redundant = findRedundantCopies(tabs, options, state);
+	if (redundant.length === 0) {
+		await displayNotification("No duplicate tabs to close.");
+		return;
+	}
+	await chrome.tabs.remove(redundant.map((tab) => tab.id));
+	await displayNotification(`Closed ${redundant.length} duplicate ${redundant.length === 1 ? "tab" : "tabs"}.`);
+}
+
+async function grantExtraTab() {
+	const passes = await SessionState.grantPasses();
+	await displayNotification(passes === 1
+		? "The next tab over the limit will be allowed."
+		: `The next ${passes} tabs over the limit will be allowed.`);
+}
+
+async function toggleEnforcement() {
+	const { enforcementEnabled } = await EnforcementState.get();
+	await EnforcementState.set({ enforcementEnabled: !enforcementEnabled });
+	await displayNotification(enforcementEnabled
+		? "Tab limits are off until you turn them on again."
+		: "Tab limits are on again.");
+}
+
+// Steps the limits of the active profile, or the incognito limits in the
+// incognito service worker; the storage change then refreshes the badge
+async function stepLimits(direction) {
+	const options = await getStoredOptions();
+	const keys = IS_INCOGNITO ? ["incognitoMaxTotal", "incognitoMaxWindow"] : ["maxTotal", "maxWindow"];
+
+	const values = {};
+	for (const key of keys) {
+		const { min, max } = OPTION_SCHEMA[key];
+		values[key] = Math.min(max, Math.max(min, options[key] + direction * LIMIT_STEP));
+	}
+	await storeOptions(values);
+
+	const [total, perWindow] = keys.map((key) => values[key]);
+	const overridden = !IS_INCOGNITO && findActiveSchedule(options, new Date());
+	await displayNotification(`Limits are now ${total} in total and ${perWindow} per window` +
+		(overridden ? ", but a schedule overrides them right now." : "."));
+}
+
+async function handleCommand(command) {
+	try {
+		const options = await getOptions();
+		switch (command) {
+			case "close-oldest-tab":
+				await closeOldestTab(options);
+				break;
+			case "close-duplicates":
+				await closeDuplicateTabs(options);
+				break;
+			case "grant-extra-tab":
+				await grantExtraTab();
+				break;
+			case "toggle-enforcement":
+				await toggleEnforcement();
+				break;
+			case "raise-limits":
+				await stepLimits(1);
+				break;
+			case "lower-limits":
+				await stepLimits(-1);
+				break;
+			default:
+				return;
+		}
+		await handleUpdate();
+	} catch (error) {
+		console.error("Failed to handle command:", error);
+	}
+}
+
+// Snooze for testing
+function isSnoozed(options, now = Date.now()) {
+	return options.snoozedUntil > now;
+}
+
+async function scheduleSnoozeEnd(snoozedUntil) {
+	await chrome.alarms.clear(SNOOZE_ALARM);
+	if (snoozedUntil > Date.now()) {
+		await chrome.alarms.create(SNOOZE_ALARM, { when: snoozedUntil });
+	}
+}
+
+async function endSnooze() {
+	await EnforcementState.set({ snoozedUntil: 0 });
+}
+
+async function resumeSnooze() {
+	const { snoozedUntil } = await EnforcementState.get();
+	if (snoozedUntil > Date.now()) {
+		await scheduleSnoozeEnd(snoozedUntil);
+	} else if (snoozedUntil) {
+		await endSnooze();
+	}
+}
+
+async function notifySnoozeEnded(options) {
+	if (isLimitingDisabled(options)) return;
+
+	const overages = (await getUsage(options))
+		.map((usage) => ({ ...usage, over: Math.ceil(usage.count - usage.max) }))
+		.filter((usage) => usage.over > 0);
+	if (overages.length === 0) {
+		await displayNotification("The snooze is over and your tabs are within the limits.");
+		return;
+	}
+
+	const parts = overages.map(({ place, over }) =>
+		`${over} ${over === 1 ? "tab" : "tabs"} over the ${place === "window" ? "limit of this window" : "total limit"}`
+	);
+	await displayNotification(
+		`The snooze is over and you have ${parts.join(" and ")}. Click here to pick tabs to close.`,
+		SNOOZE_ENDED_NOTIFICATION
+	);
+}
+
+async function handleSnoozeChanged({ oldValue, newValue }) {
+	await scheduleSnoozeEnd(newValue);
+	const options = await getOptions();
+	await updateBadge(options);
+	if (oldValue && !isSnoozed(options)) {
+		await notifySnoozeEnded(options);
+	}
+}
+
+async function showTabsOverLimit() {
+	await chrome.tabs.create({ url: TAB_MANAGER_URL });
+}
+
+// Alert actions for testing
+async function getOpenTab(tabId) {
+	try {
+		return await chrome.tabs.get(tabId);
+	} catch (error) {
+		return null;
+	}
+}
+
+async function focusTab(tab) {
+	await chrome.tabs.update(tab.id, { active: true });
+	await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+async function openInWindow(url, windowId) {
+	try {
+		await chrome.tabs.create({ url, windowId });
+	} catch (error) {
+		await chrome.tabs.create({ url });
+	}
+}
+
+async function closeOldestTabIn(place, tab, options) {
+	const [pool, state] = await Promise.all([
+		getEvictionPool(tab, options, place),
+		SessionState.get()
+	]);
+	const oldest = selectEvictionCandidate(pool, "oldestCreated", state);
+	if (!oldest) return false;
+
+	await chrome.tabs.remove(oldest.id);
+	await TabArchive.add(oldest, options, place);
+	await UsageStats.recordTab("evicted");
+	return true;
+}
+
+async function runAlertAction({ tab, place }, buttonIndex) {
+	const openTab = await getOpenTab(tab.id);
+	if (openTab) {
+		await focusTab(openTab);
+		return;
+	}
+
+	if (buttonIndex === 0) {
+		const options = await getOptions();
+		if (!await closeOldestTabIn(place, tab, options)) {
+			await displayNotification("No other tab can be closed; pinned, playing and active tabs are kept.");
+			return;
+		}
+	} else {
+		await SessionState.incrementPasses();
+	}
+	await openInWindow(tab.url, tab.windowId);
+}
+
+async function showTabs({ tab }) {
+	await openInWindow(TAB_MANAGER_URL, tab.windowId);
+}
+
+async function handleNotificationClicked(notificationId) {
+	if (notificationId === SNOOZE_ENDED_NOTIFICATION) {
+		await chrome.notifications.clear(notificationId);
+		await showTabsOverLimit();
+		return;
+	}
+
+	const { alerts } = await SessionState.get();
+	if (alerts[notificationId]) await showTabs(alerts[notificationId]);
+}
+
+async function handleNotificationButtonClicked(notificationId, buttonIndex) {
+	if (notificationId === IDLE_SWEEP_NOTIFICATION) {
+		await cancelIdleSweep();
+		return;
+	}
+
+	const alert = await SessionState.forgetAlert(notificationId);
+	if (!alert) return;
+
+	await chrome.notifications.clear(notificationId);
+	await runAlertAction(alert, buttonIndex);
+	await handleUpdate();
+}
+
+async function handleNotificationClosed(notificationId) {
+	await SessionState.forgetAlert(notificationId);
+}
+
+// Dashboard for testing
+function getEnforcementMode(options) {
+	if (options.enforcementEnabled === false) return "off";
+	if (isSnoozed(options)) return "snoozed";
+	if (IS_INCOGNITO && options.incognitoMode === "ignore") return "ignored";
+	return "on";
+}
+
+function groupTabsBy(tabs, getKey) {
+	const groups = {};
+	for (const tab of tabs) {
+		const key = getKey(tab);
+		if (key !== undefined && key !== null) (groups[key] = groups[key] || []).push(tab);
+	}
+	return groups;
+}
+
+async function getDashboard(options, windowId) {
+	const [tabs, state, { profiles, activeProfile }] = await Promise.all([
+		tabQuery(options),
+		SessionState.get(),
+		getProfileState()
+	]);
+
+	const byWindow = groupTabsBy(tabs, (tab) => tab.windowId);
+	if (windowId !== undefined && !byWindow[windowId]) byWindow[windowId] = [];
+	const windows = Object.entries(byWindow)
+		.map(([id, windowTabs]) => ({
+			windowId: Number(id),
+			current: Number(id) === windowId,
+			count: countTabs(options, windowTabs),
+			max: resolveWindowMax(options, state.windowLimits, id),
+			custom: Number.isInteger(state.windowLimits[id])
+		}))
+		.sort((a, b) => b.current - a.current || a.windowId - b.windowId);
+
+	const domains = (Array.isArray(options.domainLimits) ? options.domainLimits : [])
+		.filter((rule) => rule.hostname && rule.max >= MIN_ALLOWED_TABS)
+		.map((rule) => ({
+			hostname: rule.hostname,
+			count: tabs.filter((tab) => hostnameMatches(getTabHostname(tab), rule)).length,
+			max: rule.max
+		}))
+		.filter((domain) => domain.count > 0);
+
+	const groups = [];
+	const byGroup = groupTabsBy(tabs, (tab) => tab.groupId === TAB_GROUP_ID_NONE ? null : tab.groupId);
+	for (const [groupId, groupTabs] of Object.entries(byGroup)) {
+		const { title, max } = await getGroupLimit(options, Number(groupId));
+		if (max >= MIN_ALLOWED_TABS) groups.push({ title, count: groupTabs.length, max });
+	}
+
+	const schedule = IS_INCOGNITO ? null : findActiveSchedule(options, new Date());
+	return {
+		mode: getEnforcementMode(options),
+		incognito: IS_INCOGNITO,
+		profile: activeProfile,
+		profiles: Object.keys(profiles),
+		schedule: schedule ? schedule.name || "Unnamed schedule" : "",
+		snoozedUntil: options.snoozedUntil,
+		passes: state.passes + state.grantedPasses,
+		total: { count: countTabs(options, tabs), max: options.maxTotal },
+		loaded: options.maxLoaded >= MIN_ALLOWED_TABS
+			? { count: tabs.filter((tab) => !tab.discarded).length, max: options.maxLoaded }
+			: null,
+		windows,
+		domains,
+		groups
+	};
+}
+
+async function getTabList(options) {
+	const [tabs, state] = await Promise.all([tabQuery(options), SessionState.get()]);
+	const getWeight = createTabWeigher(options);
+	return tabs.map((tab) => ({
+		id: tab.id,
+		windowId: tab.windowId,
+		index: tab.index,
+		title: tab.title || "",
+		url: tab.pendingUrl || tab.url || "",
+		favIconUrl: tab.favIconUrl || "",
+		hostname: getTabHostname(tab) || "",
+		createdAt: getTabCreatedAt(tab, state),
+		activatedAt: getTabActivatedAt(tab, state),
+		weight: getWeight(tab)
+	}));
+}
+
+// Limit page for testing
+function getLimitPageUrl(tab, place) {
+	const params = new URLSearchParams({ url: tab.pendingUrl || tab.url || "", place });
+	return `${LIMIT_PAGE_URL}?${params}`;
+}
+
+async function getLimitStatus(options, url, windowId) {
+	const page = { url, windowId };
+	const [tabs, state] = await Promise.all([tabQuery(options), SessionState.get()]);
+	const weight = createTabWeigher(options)(page);
+	const rule = findDomainLimit(options, getTabHostname(page));
+
+	const total = { count: countTabs(options, tabs), max: options.maxTotal };
+	const windowUsage = {
+		count: countTabs(options, tabs.filter((tab) => tab.windowId === windowId)),
+		max: resolveWindowMax(options, state.windowLimits, windowId)
+	};
+	const domain = rule
+		? { hostname: rule.hostname, count: tabs.filter((tab) => hostnameMatches(getTabHostname(tab), rule)).length, max: rule.max }
+		: null;
+
+	let place = null;
+	if (!isLimitingDisabled(options) && !isAllowlistedTab(options, page)) {
+		if (windowUsage.count + weight > windowUsage.max) {
+			place = "window";
+		} else if (total.count + weight > total.max) {
+			place = "total";
+		} else if (domain && domain.count + 1 > domain.max) {
+			place = "domain";
+		}
+	}
+	return { place, total, window: windowUsage, domain, tabs: await getTabList(options) };
+}
+
+// Tab events for testing
+async function updateTabCount() {
+	try {
+		const tabs = await chrome.tabs.query({});
+		const state = await SessionState.get();
+
+		if (tabs.length === state.tabCount) {
+			return state.amountOfTabsCreated;
+		}
+
+		const previousTabCount = state.tabCount;
+		const tabCount = tabs.length;
+		const amountOfTabsCreated = previousTabCount !== INITIAL_TAB_COUNT ? tabCount - previousTabCount : 0;
+
+		await SessionState.set({
+			previousTabCount,
+			tabCount,
+			amountOfTabsCreated
+		});
+
+		return amountOfTabsCreated;
+	} catch (error) {
+		return 0;
+	}
+}
+
+async function usePass(tabId) {
+	const { passedTabs } = await SessionState.get();
+	if (passedTabs[tabId]) return true;
+	if (!await SessionState.takePass()) return false;
+	await SessionState.recordPassedTab(tabId);
+	return true;
+}
+
+async function handleTabUpdated(tabId, changeInfo, tab) {
+	try {
+		if (changeInfo.status === "complete") await SessionState.forgetPassedTab(tabId);
+		const previousUrl = changeInfo.url ? await SessionState.recordTabUrl(tabId, changeInfo.url) : undefined;
+		const joinedGroup = changeInfo.groupId !== undefined && changeInfo.groupId !== TAB_GROUP_ID_NONE;
+		const options = changeInfo.url || joinedGroup ? await getOptions() : null;
+		if (options && isLimitingDisabled(options)) {
+			await handleUpdate();
+			return;
+		}
+
+		if (changeInfo.url) {
+			if (isPageChange(previousUrl, changeInfo.url, options) && await handleDuplicateTab(tab, options)) {
+				await handleUpdate();
+				return;
+			}
+			const place = isSiteChange(previousUrl, changeInfo.url)
+				? await detectTooManyTabsOnDomain(options, tab)
+				: null;
+
+			if (place && !await usePass(tabId)) {
+				await displayAlert(options, place, tab);
+				await handleExceedTabs(tab, options, place);
+			}
+		}
+		if (joinedGroup) {
+			const place = await detectTooManyTabsInGroup(options, tab);
+
+			if (place && !await usePass(tabId)) {
+				await displayAlert(options, place, tab);
+				await handleExceedTabs(tab, options, place);
+			}
+		}
+		await handleUpdate();
+	} catch (error) {
+		console.error("Failed to handle tab updated:", error);
+	}
+}
+
+async function handleTabCreated(tab) {
+	try {
+		await SessionState.recordTabCreated(tab.id);
+		await SessionState.recordTabUrl(tab.id, tab.pendingUrl || tab.url || "");
+		const options = await getOptions();
+
+		if (isLimitingDisabled(options)) {
+			await handleUpdate();
+			return;
+		}
+
+		if (await handleDuplicateTab(tab, options)) {
+			await handleUpdate();
+			return;
+		}
+
+		if (isAllowlistedTab(options, tab)) {
+			await handleUpdate();
+			return;
+		}
+
+		const place = await detectTabLimitExceeded(options, tab);
+
+		if (!place) {
+			await SessionState.resetPasses();
+			await handleUpdate();
+			return;
+		}
+
+		const amountOfTabsCreated = await updateTabCount();
+
+		if (await usePass(tab.id)) {
+			return;
+		}
+
+		await displayAlert(options, place, tab);
+
+		if (amountOfTabsCreated <= 1) {
+			await handleExceedTabs(tab, options, place);
+			await handleUpdate();
+		} else {
+			await SessionState.incrementPasses(amountOfTabsCreated - 1);
+			await SessionState.recordPassedTab(tab.id);
+		}
+	} catch (error) {
+		console.error("Failed to handle tab created:", error);
+	}
+}
+
+function handleMessage(message, sender, sendResponse) {
+	respondToMessage(message).then(sendResponse);
+	return true;
+}
+
+async function respondToMessage(message) {
+	try {
+		switch (message && message.type) {
+			case "get-dashboard":
+				return await getDashboard(await getOptions(), message.windowId);
+			case "get-tabs": {
+				const options = await getOptions();
+				return { ...await getDashboard(options, message.windowId), tabs: await getTabList(options) };
+			}
+			case "get-limit-status":
+				return await getLimitStatus(await getOptions(), message.url, message.windowId);
+			case "run-command":
+				await handleCommand(message.command);
+				return { done: true };
+			case "set-window-limit": {
+				const { max } = OPTION_SCHEMA.maxWindow;
+				const valid = Number.isInteger(message.max) && message.max >= MIN_ALLOWED_TABS && message.max <= max;
+				await setWindowLimit(message.windowId, valid ? message.max : null);
+				await handleUpdate();
+				return { done: true };
+			}
+			default:
+				return null;
+		}
+	} catch (error) {
+		return null;
+	}
+}
+
+// Reset mocks before each test
+beforeEach(() => {
+	jest.clearAllMocks();
+	mockChrome.storage.session.data = {};
+	mockChrome.storage.local.data = {};
+	mockChrome.storage.sync.data = {};
+	mockChrome.tabs.query.mockResolvedValue([]);
+	mockChrome.windows.getAll.mockResolvedValue([]);
+});
+
+describe('SessionState', () => {
+	describe('get', () => {
+		it('should return default values when storage is empty', async () => {
+			const state = await SessionState.get();
+			expect(state).toEqual(SESSION_STATE_DEFAULTS);
+		});
+
+		it('should return stored values when available', async () => {
+			mockChrome.storage.session.data = { tabCount: 10, passes: 2 };
+			const state = await SessionState.get();
+			expect(state.tabCount).toBe(10);
+			expect(state.passes).toBe(2);
+		});
+	});
+
+	describe('set', () => {
+		it('should update session storage', async () => {
+			await SessionState.set({ tabCount: 5 });
+			expect(mockChrome.storage.session.set).toHaveBeenCalledWith({ tabCount: 5 });
+		});
+	});
+
+	describe('initialize', () => {
+		it('should reset state to defaults', async () => {
+			mockChrome.storage.session.data = { passes: 5 };
+			await SessionState.initialize();
+			expect(mockChrome.storage.session.set).toHaveBeenCalledWith(SESSION_STATE_DEFAULTS);
+		});
+	});
+
+	describe('passes management', () => {
+		it('should increment passes correctly', async () => {
+			mockChrome.storage.session.data = { passes: 2 };
+			const newPasses = await SessionState.incrementPasses(3);
+			expect(newPasses).toBe(5);
+		});
+
+		it('should decrement passes correctly', async () => {
+			mockChrome.storage.session.data = { passes: 3 };
+			const newPasses = await SessionState.decrementPasses();
+			expect(newPasses).toBe(2);
+		});
+
+		it('should not decrement below zero', async () => {
+			mockChrome.storage.session.data = { passes: 0 };
+			const newPasses = await SessionState.decrementPasses();
+			expect(newPasses).toBe(0);
+		});
+
+		it('should reset passes to zero', async () => {
+			mockChrome.storage.session.data = { passes: 5 };
+			await SessionState.resetPasses();
+			expect(mockChrome.storage.session.set).toHaveBeenCalledWith({ passes: 0 });
+		});
+	});
+});
+
+describe('getOptions', () => {
+	it('should return default options when no custom options set', async () => {
+		const options = await getOptions();
+		expect(options).toEqual({ ...DEFAULT_OPTIONS, enforcementEnabled: true, snoozedUntil: 0 });
+	});
+
+	it('should return stored options when available', async () => {
+		mockChrome.storage.sync.data = {
+			defaultOptions: DEFAULT_OPTIONS,
+			maxTotal: 30,
+			maxWindow: 10
+		};
+		const options = await getOptions();
+		expect(options.maxTotal).toBe(30);
+		expect(options.maxWindow).toBe(10);
+	});
+
+	it.each(["", "abc", -5])('should enforce the default limit when maxTotal is stored as %p', async (maxTotal) => {
+		mockChrome.storage.sync.data = { maxTotal };
+		const options = await getOptions();
+		expect(options.maxTotal).toBe(DEFAULT_OPTIONS.maxTotal);
+
+		mockChrome.tabs.query.mockResolvedValue(Array.from({ length: DEFAULT_OPTIONS.maxTotal }, () => ({})));
+		expect(await detectTabLimitExceeded({ ...options, maxWindow: 1337 })).toBeNull();
+		mockChrome.tabs.query.mockResolvedValue(Array.from({ length: DEFAULT_OPTIONS.maxTotal + 1 }, () => ({})));
+		expect(await detectTabLimitExceeded({ ...options, maxWindow: 1337 })).toBe("total");
+	});
+});
+
+describe('Profiles', () => {
+	it('should use top-level options when no profile is active', async () => {
+		mockChrome.storage.sync.data = { maxTotal: 30 };
+		const options = await getOptions();
+		expect(options.maxTotal).toBe(30);
+	});
+
+	it('should resolve the active profile values', async () => {
+		mockChrome.storage.sync.data = {
+			maxTotal: 30,
+			allowlist: ["*://intranet/*"],
+			activeProfile: "Focus",
+			"profile:Focus": { ...DEFAULT_OPTIONS, maxTotal: 10, maxWindow: 5 }
+		};
+		const options = await getOptions();
+		expect(options.maxTotal).toBe(10);
+		expect(options.maxWindow).toBe(5);
+		expect(options.allowlist).toEqual([]);
+	});
+
+	it('should not let the top-level options fill in keys a profile lacks', async () => {
+		mockChrome.storage.sync.data = { maxWindow: 8, activeProfile: "Focus", "profile:Focus": { maxTotal: 10 } };
+		const options = await getOptions();
+		expect(options.maxWindow).toBe(DEFAULT_OPTIONS.maxWindow);
+	});
+
+	it('should fall back to top-level options when the active profile is missing', async () => {
+		mockChrome.storage.sync.data = { maxTotal: 30, activeProfile: "Deleted", "profile:Focus": { maxTotal: 10 } };
+		const options = await getOptions();
+		expect(options.maxTotal).toBe(30);
+	});
+
+	it('should only take DEFAULT_OPTIONS keys from a profile', () => {
+		const resolved = resolveProfile(DEFAULT_OPTIONS, {
+			profiles: { Custom: { maxTotal: 7, unrelated: true } },
+			activeProfile: "Custom"
+		});
+		expect(resolved.maxTotal).toBe(7);
+		expect(resolved).not.toHaveProperty('unrelated');
+	});
+});
+
+describe('Schedules', () => {
+	// Monday to Friday
+	const WEEKDAYS_MASK = 0b0111110;
+	const workHours = { name: "Work", days: WEEKDAYS_MASK, start: "09:00", end: "17:00", maxTotal: 15, maxWindow: 5 };
+	const nights = { name: "Night", days: 0b1111111, start: "22:00", end: "06:00", maxTotal: 5, maxWindow: null };
+
+	// 2024-01-01 was a Monday
+	const monday = (hours, minutes = 0) => new Date(2024, 0, 1, hours, minutes);
+
+	it('should parse HH:MM times into minutes', () => {
+		expect(parseTime("09:30")).toBe(570);
+		expect(parseTime("24:00")).toBeNull();
+		expect(parseTime("nine")).toBeNull();
+	});
+
+	it('should match a daytime range only on enabled days', () => {
+		expect(isScheduleActive(workHours, monday(10))).toBe(true);
+		expect(isScheduleActive(workHours, monday(17))).toBe(false);
+		expect(isScheduleActive(workHours, new Date(2024, 0, 6, 10))).toBe(false); // Saturday
+	});
+
+	it('should match overnight ranges after midnight', () => {
+		expect(isScheduleActive(nights, monday(23))).toBe(true);
+		expect(isScheduleActive(nights, monday(5, 59))).toBe(true);
+		expect(isScheduleActive(nights, monday(6))).toBe(false);
+	});
+
+	it('should override only the limits a schedule sets', () => {
+		const options = { ...DEFAULT_OPTIONS, schedules: [workHours, nights] };
+		expect(applySchedule(options, monday(10))).toEqual(expect.objectContaining({ maxTotal: 15, maxWindow: 5 }));
+		expect(applySchedule(options, monday(23))).toEqual(expect.objectContaining({ maxTotal: 5, maxWindow: 20 }));
+		expect(applySchedule(options, monday(20))).toBe(options);
+	});
+
+	it('should prefer the first matching schedule', () => {
+		const options = { ...DEFAULT_OPTIONS, schedules: [workHours, { ...workHours, name: "Other" }] };
+		expect(findActiveSchedule(options, monday(10)).name).toBe("Work");
+	});
+
+	it('should find the next time the active schedule changes', () => {
+		const options = { ...DEFAULT_OPTIONS, schedules: [workHours] };
+		expect(getNextScheduleChange(options, monday(8))).toEqual(monday(9));
+		expect(getNextScheduleChange(options, monday(10))).toEqual(monday(17));
+		// Friday evening skips the weekend
+		expect(getNextScheduleChange(options, new Date(2024, 0, 5, 18))).toEqual(new Date(2024, 0, 8, 9));
+	});
+
+	it('should return null when there are no schedules', () => {
+		expect(getNextScheduleChange(DEFAULT_OPTIONS, monday(8))).toBeNull();
+	});
+});
+
+describe('tabQuery', () => {
+	it('should filter out pinned tabs when countPinnedTabs is false', async () => {
+		const options = { ...DEFAULT_OPTIONS, countPinnedTabs: false };
+		await tabQuery(options, {});
+		expect(mockChrome.tabs.query).toHaveBeenCalledWith({ pinned: false });
+	});
+
+	it('should include pinned tabs when countPinnedTabs is true', async () => {
+		const options = { ...DEFAULT_OPTIONS, countPinnedTabs: true };
+		await tabQuery(options, {});
+		expect(mockChrome.tabs.query).toHaveBeenCalledWith({});
+	});
+
+	it('should pass additional query params', async () => {
+		const options = { ...DEFAULT_OPTIONS, countPinnedTabs: false };
+		await tabQuery(options, { currentWindow: true });
+		expect(mockChrome.tabs.query).toHaveBeenCalledWith({ pinned: false, currentWindow: true });
+	});
+});
+
+describe('windowRemaining', () => {
+	it('should calculate remaining tabs correctly', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxWindow: 10 };
+		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}]); // 3 tabs
+		const remaining = await windowRemaining(options);
+		expect(remaining).toBe(7);
+	});
+
+	it('should return negative when over limit', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxWindow: 5 };
+		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}, {}, {}, {}, {}]); // 7 tabs
+		const remaining = await windowRemaining(options);
+		expect(remaining).toBe(-2);
+	});
+});
+
+describe('totalRemaining', () => {
+	it('should calculate remaining tabs correctly', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxTotal: 50 };
+		mockChrome.tabs.query.mockResolvedValue(Array(20).fill({})); // 20 tabs
+		const remaining = await totalRemaining(options);
+		expect(remaining).toBe(30);
+	});
+});
+
+describe('detectTooManyTabsInWindow', () => {
+	it('should return null when under limit', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxWindow: 10 };
+		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}]); // 3 tabs
+		const result = await detectTooManyTabsInWindow(options);
+		expect(result).toBeNull();
+	});
+
+	it('should return "window" when over limit', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxWindow: 5 };
+		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}, {}, {}, {}]); // 6 tabs
+		const result = await detectTooManyTabsInWindow(options);
+		expect(result).toBe("window");
+	});
+
+	it('should return null when maxWindow is less than MIN_ALLOWED_TABS', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxWindow: 0 };
+		const result = await detectTooManyTabsInWindow(options);
+		expect(result).toBeNull();
+	});
+});
+
+describe('detectTooManyTabsInTotal', () => {
+	it('should return null when under limit', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxTotal: 50 };
+		mockChrome.tabs.query.mockResolvedValue(Array(10).fill({})); // 10 tabs
+		const result = await detectTooManyTabsInTotal(options);
+		expect(result).toBeNull();
+	});
+
+	it('should return "total" when over limit', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxTotal: 10 };
+		mockChrome.tabs.query.mockResolvedValue(Array(15).fill({})); // 15 tabs
+		const result = await detectTooManyTabsInTotal(options);
+		expect(result).toBe("total");
+	});
+});
+
+describe('detectTabLimitExceeded', () => {
+	it('should return null when both limits are satisfied', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxTotal: 50, maxWindow: 20 };
+		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}]); // 3 tabs
+		const result = await detectTabLimitExceeded(options);
+		expect(result).toBeNull();
+	});
+
+	it('should return "window" when window limit exceeded', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxTotal: 50, maxWindow: 5 };
+		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}, {}, {}, {}]); // 6 tabs
+		const result = await detectTabLimitExceeded(options);
+		expect(result).toBe("window");
+	});
+
+	it('should return "total" when total limit exceeded', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxTotal: 5, maxWindow: 20 };
+		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}, {}, {}, {}]); // 6 tabs
+		const result = await detectTabLimitExceeded(options);
+		expect(result).toBe("total");
+	});
+
+	it('should prioritize window over total when both exceeded', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxTotal: 5, maxWindow: 3 };
+		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}, {}, {}, {}]); // 6 tabs
+		const result = await detectTabLimitExceeded(options);
+		expect(result).toBe("window");
+	});
+});
+
+describe('Extension pages', () => {
+	it('should never count or block the extension\'s own pages', async () => {
+		const page = { id: 1, url: TAB_MANAGER_URL };
+		mockChrome.tabs.query.mockResolvedValue([page, { id: 2, url: "https://example.com/" }]);
+
+		expect(isAllowlistedTab(DEFAULT_OPTIONS, page)).toBe(true);
+		expect(isAllowlistedTab(DEFAULT_OPTIONS, { id: 3, pendingUrl: EXTENSION_PAGE_URL + "options.html" })).toBe(true);
+		expect(await tabQuery(DEFAULT_OPTIONS)).toEqual([{ id: 2, url: "https://example.com/" }]);
+	});
+});
+
+describe('Allowlist', () => {
+	const matches = (pattern, url) => compileUrlPattern(pattern).test(url);
+
+	it('should match Chrome match patterns', () => {
+		expect(matches("*://*.wiki.example.com/*", "https://wiki.example.com/Home")).toBe(true);
+		expect(matches("*://*.wiki.example.com/*", "http://docs.wiki.example.com/a?b=c")).toBe(true);
+		expect(matches("*://*.wiki.example.com/*", "https://evilwiki.example.com/")).toBe(false);
+		expect(matches("*://example.com/*", "ftp://example.com/")).toBe(false);
+		expect(matches("chrome://*/*", "chrome://extensions/")).toBe(true);
+		expect(matches("chrome-extension://*/*", "chrome-extension://abcdef/options.html")).toBe(true);
+	});
+
+	it('should match any port when the pattern has none', () => {
+		expect(matches("http://localhost/*", "http://localhost:3000/app")).toBe(true);
+		expect(matches("http://localhost:8080/*", "http://localhost:3000/app")).toBe(false);
+	});
+
+	it('should treat other entries as globs over the whole URL', () => {
+		expect(matches("http://localhost:*", "http://localhost:5173/")).toBe(true);
+		expect(matches("*intranet*", "https://corp.example/intranet/page")).toBe(true);
+		expect(matches("https://example.com/a.b", "https://example.com/aXb")).toBe(false);
+	});
+
+	it('should exclude allowlisted tabs from tabQuery results', async () => {
+		mockChrome.tabs.query.mockResolvedValue([
+			{ id: 1, url: "https://example.com/" },
+			{ id: 2, url: "chrome://settings/" },
+			{ id: 3, url: "", pendingUrl: "http://localhost:3000/" }
+		]);
+		const options = { ...DEFAULT_OPTIONS, allowlist: ["chrome://*/*", "http://localhost/*"] };
+
+		const tabs = await tabQuery(options);
+
+		expect(tabs.map((tab) => tab.id)).toEqual([1]);
+		expect(await totalRemaining({ ...options, maxTotal: 5 })).toBe(4);
+	});
+
+	it('should not count allowlisted tabs against the window limit', async () => {
+		mockChrome.tabs.query.mockResolvedValue([
+			{ id: 1, url: "https://example.com/" },
+			{ id: 2, url: "chrome://newtab/" }
+		]);
+		const options = { ...DEFAULT_OPTIONS, maxWindow: 1, allowlist: ["chrome://*/*"] };
+		expect(await detectTooManyTabsInWindow(options)).toBeNull();
+	});
+
+	it('should exempt allowlisted tabs from domain limits', async () => {
+		const options = {
+			...DEFAULT_OPTIONS,
+			domainLimits: [{ hostname: "localhost", max: 1, includeSubdomains: false }],
+			allowlist: ["http://localhost/*"]
+		};
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, url: "http://localhost:3000/" }]);
+		expect(await detectTooManyTabsOnDomain(options, { id: 2, pendingUrl: "http://localhost:4000/" })).toBeNull();
+	});
+});
+
+describe('Incognito limits', () => {
+	afterEach(() => {
+		IS_INCOGNITO = false;
+	});
+
+	const options = { ...DEFAULT_OPTIONS, incognitoMaxTotal: 8, incognitoMaxWindow: 4 };
+
+	it('should leave normal windows on the normal limits', () => {
+		expect(applyIncognitoLimits(options)).toBe(options);
+		expect(isLimitingDisabled({ ...options, incognitoMode: "ignore" })).toBe(false);
+	});
+
+	it('should use the incognito limits in the incognito service worker', async () => {
+		IS_INCOGNITO = true;
+		mockChrome.storage.sync.data = { maxTotal: 30, incognitoMaxTotal: 8, incognitoMaxWindow: 4 };
+
+		const resolved = await getOptions();
+
+		expect(resolved.maxTotal).toBe(8);
+		expect(resolved.maxWindow).toBe(4);
+	});
+
+	it('should show the incognito budget in the badge', async () => {
+		IS_INCOGNITO = true;
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, incognito: true }]);
+		await updateBadge(applyIncognitoLimits({ ...options, displayBadge: true }));
+		expect(mockChrome.action.setBadgeText).toHaveBeenCalledWith({ text: "3" });
+	});
+
+	it('should clear the badge when incognito tabs are not limited', async () => {
+		IS_INCOGNITO = true;
+		await updateBadge({ ...options, displayBadge: true, incognitoMode: "ignore" });
+		expect(mockChrome.action.setBadgeText).toHaveBeenCalledWith({ text: "" });
+	});
+
+	it('should not archive incognito tabs or record incognito statistics', async () => {
+		IS_INCOGNITO = true;
+		await TabArchive.add({ id: 1, url: "https://example.com/", incognito: true }, DEFAULT_OPTIONS, "total");
+		await UsageStats.recordTab("blocked");
+		expect(mockChrome.storage.local.set).not.toHaveBeenCalled();
+	});
+});
+
+describe('Tab weights', () => {
+	const weighted = {
+		...DEFAULT_OPTIONS,
+		tabWeights: [
+			{ pattern: "*://ide.example.com/*", weight: 3 },
+			{ pattern: "*://docs.example.com/*", weight: 0.5 },
+			{ pattern: "*://*.example.com/*", weight: 2 }
+		]
+	};
+	const tabs = [
+		{ id: 1, url: "https://ide.example.com/project" },
+		{ id: 2, url: "https://docs.example.com/guide" },
+		{ id: 3, url: "https://news.example.com/" },
+		{ id: 4, url: "https://other.org/" }
+	];
+
+	it('should weigh tabs by the first matching pattern and default to 1', () => {
+		const weigh = createTabWeigher(weighted);
+		expect(tabs.map(weigh)).toEqual([3, 0.5, 2, 1]);
+		expect(countTabs(weighted, tabs)).toBe(6.5);
+		expect(countTabs(DEFAULT_OPTIONS, tabs)).toBe(4);
+	});
+
+	it('should weigh loading tabs by their pending URL', () => {
+		expect(createTabWeigher(weighted)({ url: "", pendingUrl: "https://ide.example.com/" })).toBe(3);
+	});
+
+	it('should add up fractional weights without float noise', () => {
+		const options = { ...DEFAULT_OPTIONS, tabWeights: [{ pattern: "*://*/*", weight: 0.1 }] };
+		const docs = Array.from({ length: 3 }, (_, id) => ({ id, url: "https://example.com/" }));
+		expect(countTabs(options, docs)).toBe(0.3);
+	});
+
+	it('should compare the limits against the weighted sum', async () => {
+		mockChrome.tabs.query.mockResolvedValue(tabs);
+		expect(await detectTooManyTabsInTotal({ ...weighted, maxTotal: 6 })).toBe("total");
+		expect(await detectTooManyTabsInTotal({ ...weighted, maxTotal: 7 })).toBeNull();
+		expect(await detectTooManyTabsInWindow({ ...weighted, maxWindow: 6 })).toBe("window");
+		expect(await windowRemaining({ ...weighted, maxWindow: 10 })).toBe(3.5);
+		expect(await totalRemaining({ ...weighted, maxTotal: 10 })).toBe(3.5);
+	});
+
+	it('should show whole remaining tabs in the badge', async () => {
+		mockChrome.tabs.query.mockResolvedValue(tabs);
+		await updateBadge({ ...weighted, displayBadge: true, maxTotal: 10, maxWindow: 10 });
+		expect(mockChrome.action.setBadgeText).toHaveBeenCalledWith({ text: "3" });
+	});
+
+	it('should render the rounded weighted count in the alert', async () => {
+		mockChrome.tabs.query.mockResolvedValue(tabs);
+		await displayAlert({ ...weighted, alertMessage: "{count} of {maxPlace}", maxTotal: 6 }, "total", tabs[0]);
+		expect(mockChrome.notifications.create).toHaveBeenCalledWith(
+			expect.any(String),
+			expect.objectContaining({ message: "7 of 6" })
+		);
+	});
+});
+
+describe('Domain limits', () => {
+	const githubLimit = { hostname: "github.com", max: 2, includeSubdomains: false };
+
+	it('should extract the hostname from pendingUrl before url', () => {
+		expect(getTabHostname({ url: "https://a.com/x", pendingUrl: "https://B.com/y" })).toBe("b.com");
+		expect(getTabHostname({ url: "https://a.com/x" })).toBe("a.com");
+		expect(getTabHostname({ url: "" })).toBeNull();
+	});
+
+	it('should only match subdomains when includeSubdomains is set', () => {
+		expect(hostnameMatches("gist.github.com", githubLimit)).toBe(false);
+		expect(hostnameMatches("gist.github.com", { ...githubLimit, includeSubdomains: true })).toBe(true);
+		expect(hostnameMatches("notgithub.com", { ...githubLimit, includeSubdomains: true })).toBe(false);
+	});
+
+	it('should ignore rules without a valid max', () => {
+		const options = { ...DEFAULT_OPTIONS, domainLimits: [{ hostname: "github.com", max: 0 }] };
+		expect(findDomainLimit(options, "github.com")).toBeNull();
+	});
+
+	it('should return "domain" when a capped domain has too many tabs', async () => {
+		const options = { ...DEFAULT_OPTIONS, domainLimits: [githubLimit] };
+		mockChrome.tabs.query.mockResolvedValue([
+			{ id: 1, url: "https://github.com/a" },
+			{ id: 2, url: "https://github.com/b" },
+			{ id: 3, url: "https://example.com" },
+			{ id: 4, url: "" }
+		]);
+		const result = await detectTooManyTabsOnDomain(options, { id: 4, pendingUrl: "https://github.com/c" });
+		expect(result).toBe("domain");
+	});
+
+	it('should return null when the domain is within its limit', async () => {
+		const options = { ...DEFAULT_OPTIONS, domainLimits: [githubLimit] };
+		mockChrome.tabs.query.mockResolvedValue([
+			{ id: 1, url: "https://github.com/a" },
+			{ id: 2, url: "https://github.com/b" }
+		]);
+		const result = await detectTooManyTabsOnDomain(options, { id: 2, url: "https://github.com/b" });
+		expect(result).toBeNull();
+	});
+
+	it('should report domain limits from detectTabLimitExceeded', async () => {
+		const options = { ...DEFAULT_OPTIONS, domainLimits: [githubLimit] };
+		mockChrome.tabs.query.mockResolvedValue([
+			{ id: 1, url: "https://github.com/a" },
+			{ id: 2, url: "https://github.com/b" }
+		]);
+		const result = await detectTabLimitExceeded(options, { id: 3, pendingUrl: "https://github.com/c" });
+		expect(result).toBe("domain");
+	});
+
+	it('should render the domain and its max in the alert', async () => {
+		const options = { ...DEFAULT_OPTIONS, domainLimits: [githubLimit] };
+		await displayAlert(options, "domain", { id: 3, pendingUrl: "https://github.com/c" });
+		expect(mockChrome.notifications.create).toHaveBeenCalledWith(
+			expect.any(String),
+			expect.objectContaining({
+				message: "You decided not to open more than 2 tabs in github.com"
+			})
+		);
+	});
+});
+
+describe('Tab events', () => {
+	const example = { id: 1, windowId: 1, url: "https://example.com/" };
+
+	beforeEach(() => {
+		mockChrome.storage.sync.data = { domainLimits: [{ hostname: "example.com", max: 1 }] };
+	});
+
+	it('should not check the URL commit of a tab let through on a pass again', async () => {
+		mockChrome.storage.session.data = { passes: 1 };
+		const tab = { id: 2, windowId: 1, url: "", pendingUrl: "https://example.com/b" };
+		mockChrome.tabs.query.mockResolvedValue([example, tab]);
+
+		await handleTabCreated(tab);
+		const committed = { ...tab, url: "https://example.com/b", pendingUrl: undefined };
+		mockChrome.tabs.query.mockResolvedValue([example, committed]);
+		await handleTabUpdated(2, { url: committed.url }, committed);
+
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+		expect((await SessionState.get()).passes).toBe(0);
+	});
+
+	it('should leave restored tabs alone when their URLs commit', async () => {
+		const restored = [{ id: 2, windowId: 1, url: "" }, { id: 3, windowId: 1, url: "" }];
+		mockChrome.tabs.query.mockResolvedValue([example, ...restored]);
+		for (const tab of restored) await handleTabCreated(tab);
+
+		for (const tab of restored) {
+			const url = `https://example.com/${tab.id}`;
+			await handleTabUpdated(tab.id, { url }, { ...tab, url });
+		}
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+	});
+
+	it('should close a tab that navigates onto a full domain', async () => {
+		const tab = { id: 2, windowId: 1, url: "https://news.org/" };
+		mockChrome.tabs.query.mockResolvedValue([example, tab]);
+		await handleTabCreated(tab);
+
+		const navigated = { ...tab, url: "https://example.com/b" };
+		mockChrome.tabs.query.mockResolvedValue([example, navigated]);
+		await handleTabUpdated(2, { url: navigated.url }, navigated);
+
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(2);
+	});
+
+	it('should use a pass for a navigation onto a full domain', async () => {
+		const navigated = { id: 2, windowId: 1, url: "https://example.com/b" };
+		mockChrome.storage.session.data = { passes: 1, tabUrls: { 2: "https://news.org/" } };
+		mockChrome.tabs.query.mockResolvedValue([example, navigated]);
+
+		await handleTabUpdated(2, { url: navigated.url }, navigated);
+
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+		expect((await SessionState.get()).passes).toBe(0);
+	});
+
+	it('should not check navigations within the same site again', async () => {
+		const tab = { id: 2, windowId: 1, url: "https://example.com/b" };
+		mockChrome.storage.session.data = { tabUrls: { 2: "https://example.com/a" } };
+		mockChrome.tabs.query.mockResolvedValue([example, tab]);
+
+		await handleTabUpdated(2, { url: tab.url }, tab);
+
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+		expect((await SessionState.get()).tabUrls[2]).toBe(tab.url);
+	});
+
+	it('should keep a tab let through on a pass in the group it joins', async () => {
+		mockChrome.storage.sync.data = { maxTotal: 1, maxGroup: 1 };
+		mockChrome.storage.session.data = { passes: 1 };
+		const grouped = { id: 1, windowId: 1, url: "https://a.org/", groupId: 5 };
+		const tab = { id: 2, windowId: 1, url: "", pendingUrl: "https://b.org/" };
+		mockChrome.tabs.query.mockResolvedValue([grouped, tab]);
+		await handleTabCreated(tab);
+
+		const joined = { ...tab, groupId: 5 };
+		mockChrome.tabs.query.mockResolvedValue([grouped, joined]);
+		await handleTabUpdated(2, { groupId: 5 }, joined);
+
+		expect(mockChrome.tabs.ungroup).not.toHaveBeenCalled();
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+	});
+
+	it('should use a pass for a tab joining a full group', async () => {
+		mockChrome.storage.sync.data = { maxGroup: 1 };
+		mockChrome.storage.session.data = { passes: 1 };
+		const tabs = [{ id: 1, windowId: 1, groupId: 5 }, { id: 2, windowId: 1, groupId: 5 }];
+		mockChrome.tabs.query.mockResolvedValue(tabs);
+
+		await handleTabUpdated(2, { groupId: 5 }, tabs[1]);
+
+		expect(mockChrome.tabs.ungroup).not.toHaveBeenCalled();
+		expect((await SessionState.get()).passes).toBe(0);
+	});
+
+	it('should check a passed tab again once it has loaded', async () => {
+		mockChrome.storage.sync.data = { maxGroup: 1 };
+		mockChrome.storage.session.data = { passedTabs: { 2: true } };
+		const tabs = [{ id: 1, windowId: 1, groupId: 5 }, { id: 2, windowId: 1, groupId: 5 }];
+		mockChrome.tabs.query.mockResolvedValue(tabs);
+
+		await handleTabUpdated(2, { status: "complete" }, tabs[1]);
+		await handleTabUpdated(2, { groupId: 5 }, tabs[1]);
+
+		expect(mockChrome.tabs.ungroup).toHaveBeenCalledWith(2);
+	});
+
+	it('should check tabs that were open before the extension started', async () => {
+		const tab = { id: 2, windowId: 1, url: "https://example.com/b" };
+		mockChrome.tabs.query.mockResolvedValue([example, tab]);
+
+		await handleTabUpdated(2, { url: tab.url }, tab);
+
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(2);
+	});
+});
+
+describe('Duplicates on URL changes', () => {
+	const existing = { id: 1, windowId: 1, url: "https://example.com/page", title: "Page" };
+
+	beforeEach(() => {
+		mockChrome.storage.sync.data = { detectDuplicates: true, duplicatePolicy: "warn", duplicateIgnoreHash: true };
+	});
+
+	it('should warn only once about a new duplicate tab', async () => {
+		const tab = { id: 2, windowId: 1, url: "", pendingUrl: "https://example.com/page" };
+		mockChrome.tabs.query.mockResolvedValue([existing, tab]);
+		await handleTabCreated(tab);
+
+		const committed = { ...tab, url: "https://example.com/page", pendingUrl: undefined };
+		mockChrome.tabs.query.mockResolvedValue([existing, committed]);
+		await handleTabUpdated(2, { url: committed.url }, committed);
+
+		expect(mockChrome.notifications.create).toHaveBeenCalledTimes(1);
+	});
+
+	it('should not close a tab whose URL only changes its hash', async () => {
+		mockChrome.storage.sync.data = { detectDuplicates: true, duplicatePolicy: "focusExisting", duplicateIgnoreHash: true };
+		const tab = { id: 2, windowId: 1, url: "https://example.com/page#section" };
+		mockChrome.storage.session.data = { tabUrls: { 2: "https://example.com/page#top" } };
+		mockChrome.tabs.query.mockResolvedValue([existing, tab]);
+
+		await handleTabUpdated(2, { url: tab.url }, tab);
+
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+	});
+
+	it('should check a tab that navigates to a page open elsewhere', async () => {
+		const tab = { id: 2, windowId: 1, url: "https://example.com/page" };
+		mockChrome.storage.session.data = { tabUrls: { 2: "https://example.com/other" } };
+		mockChrome.tabs.query.mockResolvedValue([existing, tab]);
+
+		await handleTabUpdated(2, { url: tab.url }, tab);
+
+		expect(mockChrome.notifications.create).toHaveBeenCalledWith(expect.objectContaining({
+			message: "This page is already open in another tab: Page"
+		}));
+	});
+});
+
+describe('Tab group limits', () => {
+	it('should ignore tabs outside of groups', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxGroup: 1 };
+		expect(await detectTooManyTabsInGroup(options, { id: 1, groupId: TAB_GROUP_ID_NONE })).toBeNull();
+		expect(mockChrome.tabs.query).not.toHaveBeenCalled();
+	});
+
+	it('should be disabled while maxGroup is 0', async () => {
+		mockChrome.tabs.query.mockResolvedValue(Array(20).fill({}));
+		expect(await detectTooManyTabsInGroup(DEFAULT_OPTIONS, { id: 1, groupId: 4 })).toBeNull();
+	});
+
+	it('should return "group" when a group grows past maxGroup', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxGroup: 2 };
+		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}]);
+		expect(await detectTooManyTabsInGroup(options, { id: 1, groupId: 4 })).toBe("group");
+		expect(mockChrome.tabs.query).toHaveBeenCalledWith({ pinned: false, groupId: 4 });
+	});
+
+	it('should prefer a per-title override', async () => {
+		mockChrome.tabGroups.get.mockResolvedValueOnce({ id: 4, title: "Research" });
+		const options = { ...DEFAULT_OPTIONS, maxGroup: 2, groupLimits: [{ title: "research", max: 5 }] };
+		expect(await getGroupLimit(options, 4)).toEqual({ title: "Research", max: 5 });
+	});
+
+	it('should name the group in the alert', async () => {
+		mockChrome.tabGroups.get.mockResolvedValueOnce({ id: 4, title: "Work" });
+		const options = { ...DEFAULT_OPTIONS, maxGroup: 8 };
+		await displayAlert(options, "group", { id: 1, groupId: 4 });
+		expect(mockChrome.notifications.create).toHaveBeenCalledWith(
+			expect.any(String),
+			expect.objectContaining({
+				message: 'You decided not to open more than 8 tabs in group "Work"'
+			})
+		);
+	});
+
+	it('should take the tab out of a full group instead of closing it', async () => {
+		await handleExceedTabs({ id: 9, groupId: 4 }, { ...DEFAULT_OPTIONS, maxGroup: 2 }, "group");
+		expect(mockChrome.tabs.ungroup).toHaveBeenCalledWith(9);
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+	});
+});
+
+describe('updateBadge', () => {
+	it('should clear badge when displayBadge is false', async () => {
+		const options = { ...DEFAULT_OPTIONS, displayBadge: false };
+		await updateBadge(options);
+		expect(mockChrome.action.setBadgeText).toHaveBeenCalledWith({ text: "" });
+	});
+
+	it('should display minimum remaining when displayBadge is true', async () => {
+		const options = { ...DEFAULT_OPTIONS, displayBadge: true, maxWindow: 10, maxTotal: 50 };
+		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}, {}, {}]); // 5 tabs
+		await updateBadge(options);
+		// Window remaining: 10 - 5 = 5, Total remaining: 50 - 5 = 45
+		expect(mockChrome.action.setBadgeText).toHaveBeenCalledWith({ text: "5" });
+	});
+});
+
+describe('Inactive tabs', () => {
+	const options = { ...DEFAULT_OPTIONS, idleCloseAfter: 1, idleCloseUnit: "days" };
+	const twoDaysAgo = () => Date.now() - 2 * DAY_IN_MS;
+	const idleTab = (id, extra = {}) => ({ id, url: `https://site${id}.example.org/`, title: `Tab ${id}`, ...extra });
+
+	beforeEach(() => {
+		mockChrome.storage.sync.data = { idleCloseAfter: 1 };
+	});
+
+	it('should find tabs not used for the idle period', async () => {
+		mockChrome.storage.session.data = { tabActivatedAt: { 1: twoDaysAgo(), 2: Date.now() - 1000 } };
+		mockChrome.tabs.query.mockResolvedValue([idleTab(1), idleTab(2)]);
+		expect((await findIdleTabs(options)).map((tab) => tab.id)).toEqual([1]);
+		expect((await findIdleTabs({ ...options, idleCloseAfter: 72, idleCloseUnit: "hours" }))).toEqual([]);
+	});
+
+	it('should never pick pinned, playing or grouped tabs unless configured to', async () => {
+		const tabs = [idleTab(1, { pinned: true }), idleTab(2, { audible: true }), idleTab(3, { groupId: 4 })];
+		mockChrome.storage.session.data = { tabActivatedAt: { 1: twoDaysAgo(), 2: twoDaysAgo(), 3: twoDaysAgo() } };
+		mockChrome.tabs.query.mockResolvedValue(tabs);
+
+		expect(await findIdleTabs(options)).toEqual([]);
+		const all = { ...options, idleClosePinned: true, idleCloseAudible: true, idleCloseGrouped: true };
+		expect((await findIdleTabs(all)).map((tab) => tab.id)).toEqual([1, 2, 3]);
+	});
+
+	it('should keep excepted domains with their subdomains and allowlisted tabs', async () => {
+		const tabs = [idleTab(1, { url: "https://mail.example.com/inbox" }), idleTab(2, { url: "https://localhost/" }), idleTab(3)];
+		mockChrome.storage.session.data = { tabActivatedAt: { 1: twoDaysAgo(), 2: twoDaysAgo(), 3: twoDaysAgo() } };
+		mockChrome.tabs.query.mockResolvedValue(tabs);
+
+		const idle = await findIdleTabs({ ...options, idleExceptions: ["example.com"], allowlist: ["https://localhost/*"] });
+		expect(idle.map((tab) => tab.id)).toEqual([3]);
+	});
+
+	it('should start the idle period of active and untracked tabs now', async () => {
+		mockChrome.storage.session.data = { tabActivatedAt: { 1: twoDaysAgo() } };
+		mockChrome.tabs.query.mockResolvedValue([idleTab(1, { active: true }), idleTab(2)]);
+
+		expect(await findIdleTabs(options)).toEqual([]);
+		const { tabActivatedAt } = await SessionState.get();
+		expect(Date.now() - tabActivatedAt[1]).toBeLessThan(1000);
+		expect(Date.now() - tabActivatedAt[2]).toBeLessThan(1000);
+	});
+
+	it('should list the tabs about to be closed before closing them', async () => {
+		mockChrome.storage.session.data = { tabActivatedAt: { 1: twoDaysAgo() } };
+		mockChrome.tabs.query.mockResolvedValue([idleTab(1)]);
+
+		await proposeIdleSweep();
+
+		expect((await SessionState.get()).idleSweep).toEqual([1]);
+		expect(mockChrome.alarms.create).toHaveBeenCalledWith(IDLE_SWEEP_ALARM, { delayInMinutes: IDLE_SWEEP_DELAY_MINUTES });
+		expect(mockChrome.notifications.create).toHaveBeenCalledWith(IDLE_SWEEP_NOTIFICATION, expect.objectContaining({
+			type: 'list',
+			message: "1 inactive tab will be closed in a minute.",
+			items: [{ title: "Tab 1", message: "site1.example.org" }],
+			buttons: IDLE_SWEEP_BUTTONS
+		}));
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+	});
+
+	it('should not notify without inactive tabs or while limits are off', async () => {
+		mockChrome.storage.session.data = { tabActivatedAt: { 1: twoDaysAgo() } };
+		mockChrome.tabs.query.mockResolvedValue([idleTab(1)]);
+		mockChrome.storage.local.data = { enforcementEnabled: false };
+		await proposeIdleSweep();
+
+		mockChrome.storage.local.data = {};
+		mockChrome.tabs.query.mockResolvedValue([]);
+		await proposeIdleSweep();
+
+		expect(mockChrome.notifications.create).not.toHaveBeenCalled();
+	});
+
+	it('should close and archive the listed tabs that are still inactive', async () => {
+		mockChrome.storage.session.data = { tabActivatedAt: { 1: twoDaysAgo(), 2: Date.now() }, idleSweep: [1, 2] };
+		mockChrome.tabs.query.mockResolvedValue([idleTab(1), idleTab(2)]);
+
+		expect(await runIdleSweep()).toBe(1);
+
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith([1]);
+		const archive = await TabArchive.get();
+		expect(archive.map((entry) => [entry.url, entry.place])).toEqual([["https://site1.example.org/", "idle"]]);
+		expect((await SessionState.get()).idleSweep).toEqual([]);
+	});
+
+	it('should archive nothing when set to only close', async () => {
+		mockChrome.storage.sync.data = { idleCloseAfter: 1, idleCloseAction: "close" };
+		mockChrome.storage.session.data = { tabActivatedAt: { 1: twoDaysAgo() }, idleSweep: [1] };
+		mockChrome.tabs.query.mockResolvedValue([idleTab(1)]);
+
+		expect(await runIdleSweep()).toBe(1);
+		expect(await TabArchive.get()).toEqual([]);
+	});
+
+	it('should keep the listed tabs when the sweep is cancelled', async () => {
+		mockChrome.storage.session.data = { tabActivatedAt: { 1: twoDaysAgo() }, idleSweep: [1] };
+		mockChrome.tabs.query.mockResolvedValue([idleTab(1)]);
+
+		await handleNotificationButtonClicked(IDLE_SWEEP_NOTIFICATION, 0);
+
+		expect(mockChrome.alarms.clear).toHaveBeenCalledWith(IDLE_SWEEP_ALARM);
+		expect(mockChrome.notifications.clear).toHaveBeenCalledWith(IDLE_SWEEP_NOTIFICATION);
+		expect(await runIdleSweep()).toBe(0);
+		expect(await findIdleTabs(options)).toEqual([]);
+	});
+
+	it('should check for inactive tabs periodically only when enabled', async () => {
+		await scheduleIdleChecks(options);
+		expect(mockChrome.alarms.create).toHaveBeenCalledWith(IDLE_ALARM, { periodInMinutes: IDLE_CHECK_MINUTES });
+
+		await scheduleIdleChecks(DEFAULT_OPTIONS);
+		expect(mockChrome.alarms.clear).toHaveBeenCalledWith(IDLE_ALARM);
+	});
+});
+
+describe('Loaded tab limit', () => {
+	const now = 10 * DAY_IN_MS;
+	const longAgo = now - DISCARD_GRACE_MS - 1;
+	const options = { ...DEFAULT_OPTIONS, maxLoaded: 2 };
+	const discardedIds = () => mockChrome.tabs.discard.mock.calls.map(([id]) => id);
+
+	it('should put the least recently used tabs to sleep', async () => {
+		mockChrome.storage.session.data = { tabActivatedAt: { 1: longAgo, 2: longAgo - 2000, 3: longAgo - 1000 } };
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4, active: true }]);
+
+		expect(await enforceLoadedLimit(options, now)).toBe(2);
+		expect(discardedIds()).toEqual([2, 3]);
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+	});
+
+	it('should only count tabs that are still loaded', async () => {
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, discarded: true }, { id: 2, discarded: true }, { id: 3 }, { id: 4 }]);
+		expect(await enforceLoadedLimit(options, now)).toBe(0);
+		expect(mockChrome.tabs.discard).not.toHaveBeenCalled();
+	});
+
+	it('should keep tabs used or opened within the grace period loaded', async () => {
+		mockChrome.storage.session.data = {
+			tabActivatedAt: { 1: now - 1000, 2: longAgo },
+			tabCreatedAt: { 2: now - 1000 }
+		};
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3, lastAccessed: longAgo }]);
+
+		expect(await enforceLoadedLimit(options, now)).toBe(1);
+		expect(discardedIds()).toEqual([3]);
+	});
+
+	it('should never discard active, pinned, playing or protected tabs', async () => {
+		mockChrome.tabs.query.mockResolvedValue([
+			{ id: 1, active: true },
+			{ id: 2, pinned: true },
+			{ id: 3, audible: true },
+			{ id: 4, autoDiscardable: false }
+		]);
+		expect(await enforceLoadedLimit({ ...options, maxLoaded: 1 }, now)).toBe(0);
+	});
+
+	it('should move on to the next tab when a discard fails', async () => {
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, lastAccessed: 1 }, { id: 2, lastAccessed: 2 }, { id: 3, lastAccessed: 3 }]);
+		mockChrome.tabs.discard.mockRejectedValueOnce(new Error("Cannot discard"));
+		const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+		expect(await enforceLoadedLimit(options, now)).toBe(1);
+		expect(discardedIds()).toEqual([1, 2]);
+		consoleSpy.mockRestore();
+	});
+
+	it('should do nothing when off, snoozed or without a limit', async () => {
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }]);
+		expect(await enforceLoadedLimit({ ...options, maxLoaded: 0 }, now)).toBe(0);
+		expect(await enforceLoadedLimit({ ...options, enforcementEnabled: false }, now)).toBe(0);
+		expect(await enforceLoadedLimit({ ...options, snoozedUntil: Date.now() + 60000 }, now)).toBe(0);
+		expect(mockChrome.tabs.discard).not.toHaveBeenCalled();
+	});
+
+	it('should show the loaded tabs on the badge', async () => {
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, discarded: true }, { id: 2 }, { id: 3 }]);
+		await updateBadge({ ...options, displayBadge: true, maxLoaded: 10 });
+		expect(mockChrome.action.setBadgeText).toHaveBeenCalledWith({ text: "2" });
+	});
+
+	it('should report the loaded tabs on the dashboard only when limited', async () => {
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, windowId: 1, discarded: true }, { id: 2, windowId: 1 }]);
+		expect((await getDashboard(options, 1)).loaded).toEqual({ count: 1, max: 2 });
+		expect((await getDashboard(DEFAULT_OPTIONS, 1)).loaded).toBeNull();
+	});
+});
+
+describe('Soft-limit warnings', () => {
+	const options = { ...DEFAULT_OPTIONS, displayWarning: true, maxTotal: 10, maxWindow: 5 };
+	const tabsInWindow = (count, windowId = 1) =>
+		Array.from({ length: count }, (_, i) => ({ id: i + 1, windowId }));
+
+	it('should resolve absolute and percentage thresholds', () => {
+		expect(resolveThreshold("80%", 50)).toBe(40);
+		expect(resolveThreshold("75%", 5)).toBe(4);
+		expect(resolveThreshold("12", 50)).toBe(12);
+		expect(resolveThreshold("", 50)).toBeNull();
+		expect(resolveThreshold("80%", 0)).toBeNull();
+	});
+
+	it('should show a progress notification when crossing a threshold', async () => {
+		mockChrome.tabs.query.mockResolvedValue(tabsInWindow(4));
+		await checkWarnings(options);
+		expect(mockChrome.notifications.create).toHaveBeenCalledTimes(1);
+		expect(mockChrome.notifications.create).toHaveBeenCalledWith(expect.objectContaining({
+			type: 'progress',
+			message: "You have 4 of 5 tabs open in one window",
+			progress: 80
+		}));
+	});
+
+	it('should warn only once per crossing', async () => {
+		mockChrome.tabs.query.mockResolvedValue(tabsInWindow(4));
+		await checkWarnings(options);
+		await checkWarnings(options);
+		expect(mockChrome.notifications.create).toHaveBeenCalledTimes(1);
+	});
+
+	it('should warn again after dropping below the threshold', async () => {
+		mockChrome.tabs.query.mockResolvedValue(tabsInWindow(4));
+		await checkWarnings(options);
+		mockChrome.tabs.query.mockResolvedValue(tabsInWindow(2));
+		await checkWarnings(options);
+		mockChrome.tabs.query.mockResolvedValue(tabsInWindow(4));
+		await checkWarnings(options);
+		expect(mockChrome.notifications.create).toHaveBeenCalledTimes(2);
+	});
+
+	it('should do nothing when warnings are disabled', async () => {
+		mockChrome.tabs.query.mockResolvedValue(tabsInWindow(5));
+		await checkWarnings({ ...options, displayWarning: false });
+		expect(mockChrome.notifications.create).not.toHaveBeenCalled();
+	});
+
+	it('should switch the badge color past a threshold', async () => {
+		mockChrome.tabs.query.mockResolvedValue(tabsInWindow(4));
+		await updateBadge({ ...options, displayBadge: true });
+		expect(mockChrome.action.setBadgeBackgroundColor).toHaveBeenCalledWith({ color: BADGE_WARNING_COLOR });
+
+		mockChrome.tabs.query.mockResolvedValue(tabsInWindow(1));
+		await updateBadge({ ...options, displayBadge: true });
+		expect(mockChrome.action.setBadgeBackgroundColor).toHaveBeenLastCalledWith({ color: BADGE_COLOR });
+	});
+});
+
+describe('displayAlert', () => {
+	it('should not show notification when displayAlert is false', async () => {
+		const options = { ...DEFAULT_OPTIONS, displayAlert: false };
+		const result = await displayAlert(options, "window");
+		expect(result).toBe(false);
+		expect(mockChrome.notifications.create).not.toHaveBeenCalled();
+	});
+
+	it('should show notification with replaced placeholders for window', async () => {
+		const options = { ...DEFAULT_OPTIONS, displayAlert: true, maxWindow: 10 };
+		await displayAlert(options, "window");
+		expect(mockChrome.notifications.create).toHaveBeenCalledWith(
+			expect.any(String),
+			expect.objectContaining({
+				type: 'basic',
+				message: "You decided not to open more than 10 tabs in one window"
+			})
+		);
+	});
+
+	it('should show notification with replaced placeholders for total', async () => {
+		const options = { ...DEFAULT_OPTIONS, displayAlert: true, maxTotal: 50 };
+		await displayAlert(options, "total");
+		expect(mockChrome.notifications.create).toHaveBeenCalledWith(
+			expect.any(String),
+			expect.objectContaining({
+				message: "You decided not to open more than 50 tabs in total"
+			})
+		);
+	});
+
+	it('should handle custom alert messages', async () => {
+		const options = {
+			...DEFAULT_OPTIONS,
+			displayAlert: true,
+			alertMessage: "Limit reached: {maxTotal} total, {maxWindow} per window",
+			maxTotal: 100,
+			maxWindow: 25
+		};
+		await displayAlert(options, "window");
+		expect(mockChrome.notifications.create).toHaveBeenCalledWith(
+			expect.any(String),
+			expect.objectContaining({
+				message: "Limit reached: 100 total, 25 per window"
+			})
+		);
+	});
+});
+
+describe('handleExceedTabs', () => {
+	it('should remove tab when exceedTabNewWindow is false', async () => {
+		const tab = { id: 123 };
+		const options = { ...DEFAULT_OPTIONS, exceedTabNewWindow: false };
+		await handleExceedTabs(tab, options, "window");
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(123);
+		expect(mockChrome.windows.create).not.toHaveBeenCalled();
+	});
+
+	it('should create new window when exceedTabNewWindow is true and place is window', async () => {
+		const tab = { id: 456 };
+		const options = { ...DEFAULT_OPTIONS, exceedTabNewWindow: true };
+		await handleExceedTabs(tab, options, "window");
+		expect(mockChrome.windows.create).toHaveBeenCalledWith({ tabId: 456, focused: true });
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+	});
+
+	it('should remove tab even with exceedTabNewWindow when place is domain', async () => {
+		const tab = { id: 790 };
+		const options = { ...DEFAULT_OPTIONS, exceedTabNewWindow: true };
+		await handleExceedTabs(tab, options, "domain");
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(790);
+		expect(mockChrome.windows.create).not.toHaveBeenCalled();
+	});
+
+	it('should remove tab even with exceedTabNewWindow when place is total', async () => {
+		const tab = { id: 789 };
+		const options = { ...DEFAULT_OPTIONS, exceedTabNewWindow: true };
+		await handleExceedTabs(tab, options, "total");
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(789);
+		expect(mockChrome.windows.create).not.toHaveBeenCalled();
+	});
+
+	it('should remove tab instead of opening a window once maxWindows is reached', async () => {
+		mockChrome.windows.getAll.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+		const options = { ...DEFAULT_OPTIONS, exceedTabNewWindow: true, maxWindows: 2 };
+		await handleExceedTabs({ id: 791 }, options, "window");
+		expect(mockChrome.windows.getAll).toHaveBeenCalledWith({ windowTypes: ["normal"] });
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(791);
+		expect(mockChrome.windows.create).not.toHaveBeenCalled();
+	});
+});
+
+describe('Limit page', () => {
+	const pageUrl = (url, place) => `${LIMIT_PAGE_URL}?${new URLSearchParams({ url, place })}`;
+	const respond = (message) => new Promise((resolve) => {
+		expect(handleMessage(message, {}, resolve)).toBe(true);
+	});
+
+	it('should show the limit page with the blocked address instead of closing the tab', async () => {
+		const options = { ...DEFAULT_OPTIONS, showLimitPage: true };
+		await handleExceedTabs({ id: 5, windowId: 1, url: "", pendingUrl: "https://example.com/a?b=c" }, options, "total");
+
+		expect(mockChrome.tabs.update).toHaveBeenCalledWith(5, { url: pageUrl("https://example.com/a?b=c", "total") });
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+		expect(mockChrome.storage.local.data.archive).toBeUndefined();
+		expect(mockChrome.storage.local.data.stats[getDayKey(new Date())].blocked).toBe(1);
+	});
+
+	it('should still open a new window for the window limit first', async () => {
+		const options = { ...DEFAULT_OPTIONS, showLimitPage: true, exceedTabNewWindow: true };
+		await handleExceedTabs({ id: 6, url: "https://example.com/" }, options, "window");
+		expect(mockChrome.windows.create).toHaveBeenCalledWith({ tabId: 6, focused: true });
+		expect(mockChrome.tabs.update).not.toHaveBeenCalled();
+	});
+
+	it('should never count the limit page itself', () => {
+		expect(isAllowlistedTab(DEFAULT_OPTIONS, { url: pageUrl("https://example.com/", "window") })).toBe(true);
+	});
+
+	it('should report the limit the blocked page would still go over', async () => {
+		mockChrome.storage.sync.data = { maxWindow: 2, maxTotal: 5, domainLimits: [{ hostname: "example.com", max: 1 }] };
+		mockChrome.tabs.query.mockResolvedValue([
+			{ id: 1, windowId: 1, url: "https://example.com/" },
+			{ id: 2, windowId: 1, url: "https://news.org/" },
+			{ id: 3, windowId: 2, url: "https://docs.org/" },
+			{ id: 4, windowId: 1, url: pageUrl("https://example.com/b", "window") }
+		]);
+
+		const status = await respond({ type: "get-limit-status", url: "https://example.com/b", windowId: 1 });
+
+		expect(status.place).toBe("window");
+		expect(status.window).toEqual({ count: 2, max: 2 });
+		expect(status.total).toEqual({ count: 3, max: 5 });
+		expect(status.domain).toEqual({ hostname: "example.com", count: 1, max: 1 });
+		expect(status.tabs.map((tab) => tab.id)).toEqual([1, 2, 3]);
+
+		expect((await getLimitStatus(await getOptions(), "https://example.com/b", 2)).place).toBe("domain");
+		expect((await getLimitStatus(await getOptions(), "https://other.org/", 2)).place).toBeNull();
+	});
+
+	it('should use the window override and the weight of the blocked page', async () => {
+		mockChrome.storage.sync.data = { maxWindow: 5, tabWeights: [{ pattern: "*://video.com/*", weight: 2 }] };
+		mockChrome.storage.session.data = { windowLimits: { 1: 3 } };
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, windowId: 1, url: "https://a.org/" }, { id: 2, windowId: 1, url: "https://b.org/" }]);
+
+		expect((await getLimitStatus(await getOptions(), "https://a.org/", 1)).place).toBeNull();
+		expect((await getLimitStatus(await getOptions(), "https://video.com/x", 1)).place).toBe("window");
+	});
+
+	it('should leave room while limits are off or for allowlisted pages', async () => {
+		mockChrome.storage.sync.data = { maxWindow: 1, allowlist: ["https://docs.org/*"] };
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, windowId: 1, url: "https://a.org/" }]);
+
+		expect((await getLimitStatus(await getOptions(), "https://docs.org/x", 1)).place).toBeNull();
+		mockChrome.storage.local.data = { enforcementEnabled: false };
+		expect((await getLimitStatus(await getOptions(), "https://a.org/", 1)).place).toBeNull();
+	});
+});
+
+describe('Window limit', () => {
+	const windowTabs = {
+		1: [{ id: 11 }, { id: 12 }, { id: 13 }],
+		2: [{ id: 21 }],
+		3: [{ id: 31, url: "https://example.com/" }, { id: 32, url: "https://news.org/", active: true }]
+	};
+
+	beforeEach(() => {
+		mockChrome.storage.sync.data = { maxWindows: 2, maxWindow: 10 };
+		mockChrome.windows.getAll.mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }]);
+		mockChrome.tabs.query.mockImplementation(async (params = {}) => windowTabs[params.windowId] || []);
+		lastWindowCreatedAt = 0;
+	});
+
+	it('should move the tabs of a window over the limit to the window with the most room', async () => {
+		await handleWindowCreated({ id: 3, type: "normal" });
+
+		expect(mockChrome.tabs.move).toHaveBeenCalledWith([31, 32], { windowId: 2, index: -1 });
+		expect(mockChrome.tabs.update).toHaveBeenCalledWith(32, { active: true });
+		expect(mockChrome.windows.update).toHaveBeenCalledWith(2, { focused: true });
+		expect(mockChrome.windows.remove).not.toHaveBeenCalled();
+		expect(mockChrome.notifications.create).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+			message: "You can have at most 2 windows open, so the tabs of the new window were moved to another window."
+		}));
+	});
+
+	it('should close the new window and archive its tabs when set to close', async () => {
+		mockChrome.storage.sync.data = { maxWindows: 2, exceedWindowAction: "close" };
+		await handleWindowCreated({ id: 3, type: "normal" });
+
+		expect(mockChrome.windows.remove).toHaveBeenCalledWith(3);
+		expect(mockChrome.tabs.move).not.toHaveBeenCalled();
+		expect((await TabArchive.get()).map((entry) => entry.place)).toEqual(["windows", "windows"]);
+		const [day] = Object.values(mockChrome.storage.local.data.stats);
+		expect(day.limitHits).toEqual({ windows: 1 });
+		expect(day.blocked).toBe(2);
+	});
+
+	it('should leave windows alone up to the limit', async () => {
+		mockChrome.windows.getAll.mockResolvedValue([{ id: 1 }, { id: 3 }]);
+		await handleWindowCreated({ id: 3, type: "normal" });
+		expect(mockChrome.tabs.move).not.toHaveBeenCalled();
+		expect(mockChrome.windows.remove).not.toHaveBeenCalled();
+	});
+
+	it('should ignore popups and disabled limits', async () => {
+		await handleWindowCreated({ id: 3, type: "popup" });
+		mockChrome.storage.sync.data = { maxWindows: 0 };
+		await handleWindowCreated({ id: 3, type: "normal" });
+		lastWindowCreatedAt = 0;
+		mockChrome.storage.sync.data = { maxWindows: 2 };
+		mockChrome.storage.local.data = { enforcementEnabled: false };
+		await handleWindowCreated({ id: 3, type: "normal" });
+
+		expect(mockChrome.windows.getAll).not.toHaveBeenCalled();
+	});
+
+	it('should leave the windows of a restored session alone', async () => {
+		mockChrome.windows.getAll.mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }]);
+		await Promise.all([1, 2, 3, 4].map((id) => handleWindowCreated({ id, type: "normal" })));
+
+		expect(mockChrome.tabs.move).not.toHaveBeenCalled();
+		expect(mockChrome.windows.remove).not.toHaveBeenCalled();
+	});
+
+	it('should check a window opened after a restore has settled', async () => {
+		mockChrome.storage.sync.data = { maxWindows: 2, exceedWindowAction: "close" };
+		lastWindowCreatedAt = Date.now() - WINDOW_BURST_MS;
+		await handleWindowCreated({ id: 3, type: "normal" });
+		expect(mockChrome.windows.remove).toHaveBeenCalledWith(3);
+	});
+});
+
+describe('Window limit overrides', () => {
+	const referenceTabs = [
+		{ id: 1, windowId: 7, url: "https://docs.example.com/a" },
+		{ id: 2, windowId: 7, url: "https://docs.example.com/b" },
+		{ id: 3, windowId: 7, url: "https://docs.example.com/c" }
+	];
+	const respond = (message) => new Promise((resolve) => {
+		handleMessage(message, {}, resolve);
+	});
+
+	beforeEach(() => {
+		mockChrome.storage.session.data = { windowLimitsRestored: true };
+		mockChrome.tabs.query.mockImplementation(async (params = {}) =>
+			(params.windowId === undefined || params.windowId === 7 ? referenceTabs : []));
+	});
+
+	it('should use the limit set from the popup for that window only', async () => {
+		const options = { ...DEFAULT_OPTIONS, maxWindow: 2 };
+		expect(await detectTooManyTabsInWindow(options)).toBe("window");
+
+		expect(await respond({ type: "set-window-limit", windowId: 7, max: 40 })).toEqual({ done: true });
+
+		expect(await detectTooManyTabsInWindow(options)).toBeNull();
+		expect(await windowRemaining(options)).toBe(37);
+		expect(resolveWindowMax(options, (await SessionState.get()).windowLimits, 8)).toBe(2);
+	});
+
+	it('should go back to the default limit for anything but a valid limit', async () => {
+		await respond({ type: "set-window-limit", windowId: 7, max: 40 });
+		await respond({ type: "set-window-limit", windowId: 7, max: null });
+		expect((await SessionState.get()).windowLimits).toEqual({});
+
+		await respond({ type: "set-window-limit", windowId: 7, max: 5000 });
+		expect(await windowRemaining(DEFAULT_OPTIONS)).toBe(DEFAULT_OPTIONS.maxWindow - 3);
+	});
+
+	it('should show the limit in alerts and on the dashboard', async () => {
+		await SessionState.setWindowLimit(7, 40);
+		await displayAlert({ ...DEFAULT_OPTIONS, alertMessage: "{count} of {maxPlace}" }, "window", referenceTabs[0]);
+		expect(mockChrome.notifications.create).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ message: "3 of 40" }));
+
+		const dashboard = await getDashboard(DEFAULT_OPTIONS, 7);
+		expect(dashboard.windows[0]).toEqual({ windowId: 7, current: true, count: 3, max: 40, custom: true });
+	});
+
+	it('should save the URLs of windows with their own limit', async () => {
+		await setWindowLimit(7, 40);
+		expect(mockChrome.storage.local.data.windowLimitSnapshots).toEqual([
+			{ windowId: 7, max: 40, urls: referenceTabs.map((tab) => tab.url) }
+		]);
+	});
+
+	it('should keep the saved URLs while a window is closing', async () => {
+		await setWindowLimit(7, 40);
+		mockChrome.tabs.query.mockResolvedValue([]);
+		await saveWindowLimitSnapshots();
+		expect(mockChrome.storage.local.data.windowLimitSnapshots[0].urls).toHaveLength(3);
+	});
+
+	it('should drop the limit and its saved URLs when the window is closed', async () => {
+		await setWindowLimit(7, 40);
+		await setWindowLimit(8, 5);
+		mockChrome.windows.getAll.mockResolvedValue([{ id: 8 }]);
+
+		await handleWindowRemoved(7);
+
+		expect((await SessionState.get()).windowLimits).toEqual({ 8: 5 });
+		expect(mockChrome.storage.local.data.windowLimitSnapshots.map((snapshot) => snapshot.windowId)).toEqual([8]);
+	});
+
+	it('should keep the saved URLs of the last window as the browser quits', async () => {
+		await setWindowLimit(7, 40);
+		mockChrome.windows.getAll.mockResolvedValue([]);
+
+		await handleWindowRemoved(7);
+
+		expect((await SessionState.get()).windowLimits).toEqual({ 7: 40 });
+		expect(mockChrome.storage.local.data.windowLimitSnapshots).toHaveLength(1);
+	});
+
+	it('should not overwrite the saved URLs before they are restored', async () => {
+		mockChrome.storage.session.data = {};
+		mockChrome.storage.local.data = { windowLimitSnapshots: [{ windowId: 7, max: 40, urls: ["https://a.com/"] }] };
+		await saveWindowLimitSnapshots();
+		expect(mockChrome.storage.local.set).not.toHaveBeenCalled();
+	});
+
+	it('should match reopened windows by their tabs after a restart', async () => {
+		mockChrome.storage.session.data = {};
+		mockChrome.storage.local.data = {
+			windowLimitSnapshots: [
+				{ windowId: 7, max: 40, urls: referenceTabs.map((tab) => tab.url) },
+				{ windowId: 8, max: 3, urls: ["https://news.org/", "https://mail.example.com/", "https://chat.example.com/"] }
+			]
+		};
+		mockChrome.windows.getAll.mockResolvedValue([
+			{ id: 21, tabs: [{ url: "https://news.org/" }] },
+			{ id: 22, tabs: [{ url: "https://docs.example.com/a" }, { pendingUrl: "https://docs.example.com/c" }] }
+		]);
+
+		await restoreWindowLimits();
+
+		const state = await SessionState.get();
+		expect(mockChrome.windows.getAll).toHaveBeenCalledWith({ populate: true, windowTypes: ["normal"] });
+		expect(state.windowLimits).toEqual({ 22: 40 });
+		expect(state.windowLimitsRestored).toBe(true);
+	});
+
+	it('should give each reopened window at most one limit', () => {
+		const urls = ["https://a.com/"];
+		const windows = [{ id: 1, tabs: [{ url: "https://a.com/" }] }];
+		expect(matchWindowSnapshots([{ max: 10, urls }, { max: 20, urls }], windows)).toEqual({ 1: 10 });
+	});
+});
+
+describe('Tab eviction', () => {
+	const emptyState = { tabActivatedAt: {}, tabCreatedAt: {} };
+
+	it('should never pick pinned, audible or active tabs', () => {
+		const tabs = [
+			{ id: 1, pinned: true },
+			{ id: 2, audible: true },
+			{ id: 3, active: true }
+		];
+		expect(selectEvictionCandidate(tabs, "leastRecentlyActive", emptyState)).toBeNull();
+	});
+
+	it('should pick the least recently activated tab', () => {
+		const tabs = [{ id: 1 }, { id: 2 }, { id: 3 }];
+		const state = { ...emptyState, tabActivatedAt: { 1: 300, 2: 100, 3: 200 } };
+		expect(selectEvictionCandidate(tabs, "leastRecentlyActive", state).id).toBe(2);
+	});
+
+	it('should fall back to lastAccessed for untracked tabs', () => {
+		const tabs = [{ id: 1, lastAccessed: 500 }, { id: 2 }];
+		const state = { ...emptyState, tabActivatedAt: { 2: 900 } };
+		expect(selectEvictionCandidate(tabs, "leastRecentlyActive", state).id).toBe(1);
+	});
+
+	it('should pick the oldest created tab, using IDs for untracked tabs', () => {
+		const tabs = [{ id: 7 }, { id: 3 }, { id: 5 }];
+		expect(selectEvictionCandidate(tabs, "oldestCreated", emptyState).id).toBe(3);
+	});
+
+	it('should pick from the domain with the most tabs', () => {
+		const tabs = [
+			{ id: 1, url: "https://a.com/1" },
+			{ id: 2, url: "https://b.com/1" },
+			{ id: 3, url: "https://b.com/2" }
+		];
+		const state = { ...emptyState, tabActivatedAt: { 1: 1, 2: 20, 3: 10 } };
+		expect(selectEvictionCandidate(tabs, "largestDomain", state).id).toBe(3);
+	});
+
+	it('should close another tab instead of the new one when evictTabs is set', async () => {
+		const options = { ...DEFAULT_OPTIONS, evictTabs: true };
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, active: true }, { id: 2 }, { id: 3 }]);
+		await handleExceedTabs({ id: 3, windowId: 1 }, options, "window");
+		expect(mockChrome.tabs.query).toHaveBeenCalledWith({ pinned: false, windowId: 1 });
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(2);
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalledWith(3);
+	});
+
+	it('should block the new tab when nothing can be evicted', async () => {
+		const options = { ...DEFAULT_OPTIONS, evictTabs: true };
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, active: true }, { id: 3 }]);
+		await handleExceedTabs({ id: 3, windowId: 1 }, options, "total");
+		expect(mockChrome.tabs.remove).toHaveBeenCalledTimes(1);
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(3);
+	});
+
+	it('should track and forget tab timestamps in session state', async () => {
+		await SessionState.recordTabCreated(4, 100);
+		await SessionState.recordTabActivated(4, 200);
+		let state = await SessionState.get();
+		expect(state.tabCreatedAt[4]).toBe(100);
+		expect(state.tabActivatedAt[4]).toBe(200);
+
+		await SessionState.forgetTab(4);
+		state = await SessionState.get();
+		expect(state.tabCreatedAt).toEqual({});
+		expect(state.tabActivatedAt).toEqual({});
+	});
+});
+
+describe('Duplicate detection', () => {
+	const options = { ...DEFAULT_OPTIONS, detectDuplicates: true };
+
+	it('should ignore hashes and tracking params by default', () => {
+		expect(normalizeUrl("https://a.com/page?id=1&utm_source=x#top", options))
+			.toBe(normalizeUrl("https://a.com/page?id=1", options));
+	});
+
+	it('should keep hashes and params when configured', () => {
+		const strict = { ...options, duplicateIgnoreHash: false, duplicateIgnoreTrackingParams: false };
+		expect(normalizeUrl("https://a.com/#top", strict)).not.toBe(normalizeUrl("https://a.com/", strict));
+		expect(normalizeUrl("https://a.com/?fbclid=1", strict)).not.toBe(normalizeUrl("https://a.com/", strict));
+	});
+
+	it('should treat http and https as the same only when configured', () => {
+		expect(normalizeUrl("http://a.com/", options)).not.toBe(normalizeUrl("https://a.com/", options));
+		const loose = { ...options, duplicateIgnoreScheme: true };
+		expect(normalizeUrl("http://a.com/", loose)).toBe(normalizeUrl("https://a.com/", loose));
+	});
+
+	it('should never treat browser pages as duplicates', () => {
+		expect(normalizeUrl("chrome://newtab/", options)).toBeNull();
+		expect(findDuplicateTab({ id: 2, pendingUrl: "chrome://newtab/" }, [{ id: 1, url: "chrome://newtab/" }], options)).toBeNull();
+	});
+
+	it('should focus the existing copy and close the new tab', async () => {
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, windowId: 9, url: "https://a.com/" }]);
+		const closed = await handleDuplicateTab({ id: 2, pendingUrl: "https://a.com/#x" }, options);
+		expect(closed).toBe(true);
+		expect(mockChrome.tabs.update).toHaveBeenCalledWith(1, { active: true });
+		expect(mockChrome.windows.update).toHaveBeenCalledWith(9, { focused: true });
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(2);
+	});
+
+	it('should close the older copy when configured', async () => {
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, url: "https://a.com/" }]);
+		const closed = await handleDuplicateTab({ id: 2, url: "https://a.com/" }, { ...options, duplicatePolicy: "closeOlder" });
+		expect(closed).toBe(false);
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(1);
+	});
+
+	it.each([
+		['pinned', { pinned: true }],
+		['audible', { audible: true }]
+	])('should close the new copy instead when the older one is %s', async (name, state) => {
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, url: "https://a.com/", ...state }]);
+		const closed = await handleDuplicateTab({ id: 2, url: "https://a.com/" }, { ...options, duplicatePolicy: "closeOlder" });
+		expect(closed).toBe(true);
+		expect(mockChrome.tabs.remove).toHaveBeenCalledTimes(1);
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(2);
+	});
+
+	it('should only warn when configured', async () => {
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, url: "https://a.com/", title: "A" }]);
+		const closed = await handleDuplicateTab({ id: 2, url: "https://a.com/" }, { ...options, duplicatePolicy: "warn" });
+		expect(closed).toBe(false);
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+		expect(mockChrome.notifications.create).toHaveBeenCalledWith(
+			expect.objectContaining({ message: "This page is already open in another tab: A" })
+		);
+	});
+
+	it('should keep one copy of each page when collecting redundant copies', () => {
+		const state = { tabActivatedAt: { 1: 10, 2: 20 }, tabCreatedAt: {} };
+		const tabs = [
+			{ id: 1, url: "https://a.com/" },
+			{ id: 2, url: "https://a.com/" },
+			{ id: 3, url: "https://b.com/" }
+		];
+		expect(findRedundantCopies(tabs, options, state).map((tab) => tab.id)).toEqual([1]);
+	});
+
+	it('should close a duplicate first when a limit is hit', async () => {
+		mockChrome.tabs.query.mockResolvedValue([
+			{ id: 1, url: "https://a.com/" },
+			{ id: 2, url: "https://b.com/" },
+			{ id: 3, url: "https://b.com/" },
+			{ id: 4, pendingUrl: "https://c.com/" }
+		]);
+		mockChrome.storage.session.data = { tabActivatedAt: { 2: 50, 3: 10 } };
+		await handleExceedTabs({ id: 4, windowId: 1 }, options, "total");
+		expect(mockChrome.tabs.remove).toHaveBeenCalledTimes(1);
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(3);
+	});
+});
+
+describe('TabArchive', () => {
+	it('should archive a blocked tab with the limit that closed it', async () => {
+		const tab = { id: 5, pendingUrl: "https://github.com/x", title: "X", favIconUrl: "https://github.com/favicon.ico" };
+		await handleExceedTabs(tab, { ...DEFAULT_OPTIONS, domainLimits: [] }, "domain");
+		const [entry] = await TabArchive.get();
+		expect(entry).toEqual(expect.objectContaining({
+			url: "https://github.com/x",
+			title: "X",
+			favIconUrl: "https://github.com/favicon.ico",
+			place: "domain",
+			domain: "github.com"
+		}));
+	});
+
+	it('should archive evicted tabs', async () => {
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, url: "https://a.com/", title: "A" }, { id: 2 }]);
+		await handleExceedTabs({ id: 2 }, { ...DEFAULT_OPTIONS, evictTabs: true }, "total");
+		const archive = await TabArchive.get();
+		expect(archive.map((entry) => entry.url)).toEqual(["https://a.com/"]);
+	});
+
+	it('should skip blank new tabs and disabled archiving', async () => {
+		await TabArchive.add({ id: 1, pendingUrl: "chrome://newtab/" }, DEFAULT_OPTIONS, "total");
+		await TabArchive.add({ id: 2, url: "https://a.com/" }, { ...DEFAULT_OPTIONS, archiveBlockedTabs: false }, "total");
+		expect(await TabArchive.get()).toEqual([]);
+	});
+
+	it('should not archive tabs moved to a new window', async () => {
+		await handleExceedTabs({ id: 3, url: "https://a.com/" }, { ...DEFAULT_OPTIONS, exceedTabNewWindow: true }, "window");
+		expect(await TabArchive.get()).toEqual([]);
+	});
+
+	it('should drop entries past the retention period', () => {
+		const now = 10 * DAY_IN_MS;
+		const archive = [{ timestamp: now - DAY_IN_MS }, { timestamp: now - 3 * DAY_IN_MS }];
+		expect(TabArchive.prune(archive, { archiveRetentionDays: 2, archiveMaxEntries: 10 }, now)).toHaveLength(1);
+	});
+
+	it('should keep only the newest entries up to the size cap', () => {
+		const now = Date.now();
+		const archive = [{ id: "c", timestamp: now }, { id: "b", timestamp: now }, { id: "a", timestamp: now }];
+		const pruned = TabArchive.prune(archive, { archiveRetentionDays: 30, archiveMaxEntries: "2" }, now);
+		expect(pruned.map((entry) => entry.id)).toEqual(["c", "b"]);
+	});
+});
+
+describe('UsageStats', () => {
+	const today = () => getDayKey(new Date());
+
+	it('should format day keys in local time', () => {
+		expect(getDayKey(new Date(2024, 0, 5, 23, 59))).toBe("2024-01-05");
+	});
+
+	it('should aggregate tab count samples into the day bucket', async () => {
+		await UsageStats.recordSample(10);
+		await UsageStats.recordSample(20);
+		const day = (await UsageStats.get())[today()];
+		expect(day.samples).toBe(2);
+		expect(day.tabSum).toBe(30);
+		expect(day.peakTabs).toBe(20);
+	});
+
+	it('should record limit hits, domains and what happened to the tab', async () => {
+		await handleExceedTabs({ id: 1, pendingUrl: "https://github.com/x" }, DEFAULT_OPTIONS, "total");
+		await handleExceedTabs({ id: 2, url: "https://github.com/y" }, { ...DEFAULT_OPTIONS, exceedTabNewWindow: true }, "window");
+		const day = (await UsageStats.get())[today()];
+		expect(day.limitHits).toEqual({ total: 1, window: 1 });
+		expect(day.domains).toEqual({ "github.com": 2 });
+		expect(day.blocked).toBe(1);
+		expect(day.moved).toBe(1);
+	});
+
+	it('should drop days past the retention period', () => {
+		const now = new Date(2024, 5, 1);
+		const stats = { "2024-01-01": {}, "2024-05-31": {} };
+		expect(Object.keys(UsageStats.prune(stats, now))).toEqual(["2024-05-31"]);
+	});
+});
+
+describe('capitalizeFirstLetter', () => {
+	it('should capitalize first letter', () => {
+		expect(capitalizeFirstLetter("window")).toBe("Window");
+		expect(capitalizeFirstLetter("total")).toBe("Total");
+	});
+});
+
+describe('Keyboard commands', () => {
+	const notified = () => mockChrome.notifications.create.mock.calls.map(([, notification]) => notification.message);
+
+	it('should close the oldest evictable tab in the current window', async () => {
+		mockChrome.storage.session.data = { tabCreatedAt: { 1: 100, 2: 50, 3: 10 } };
+		mockChrome.tabs.query.mockResolvedValue([
+			{ id: 1, title: "New" },
+			{ id: 2, title: "Old" },
+			{ id: 3, title: "Pinned", pinned: true }
+		]);
+
+		await handleCommand("close-oldest-tab");
+
+		expect(mockChrome.tabs.query).toHaveBeenCalledWith(expect.objectContaining({ currentWindow: true }));
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(2);
+		expect(notified()).toContain('Closed "Old".');
+	});
+
+	it('should report when no tab can be closed', async () => {
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, active: true }]);
+		await handleCommand("close-oldest-tab");
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+		expect(notified()[0]).toMatch(/No tab in this window can be closed/);
+	});
+
+	it('should close every redundant duplicate', async () => {
+		mockChrome.tabs.query.mockResolvedValue([
+			{ id: 1, url: "https://example.com/", active: true },
+			{ id: 2, url: "https://example.com/#top" },
+			{ id: 3, url: "https://example.com/?utm_source=mail" },
+			{ id: 4, url: "https://other.org/" }
+		]);
+
+		await handleCommand("close-duplicates");
+
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith([2, 3]);
+		expect(notified()).toContain("Closed 2 duplicate tabs.");
+	});
+
+	it('should grant a pass for one extra tab', async () => {
+		await handleCommand("grant-extra-tab");
+		expect((await SessionState.get()).grantedPasses).toBe(1);
+		expect(notified()).toContain("The next tab over the limit will be allowed.");
+	});
+
+	it('should keep a granted pass while tabs open within the limits', async () => {
+		await handleCommand("grant-extra-tab");
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, windowId: 1, url: "https://a.org/" }]);
+		await handleTabCreated({ id: 1, windowId: 1, url: "https://a.org/" });
+		expect((await SessionState.get()).grantedPasses).toBe(1);
+
+		mockChrome.storage.sync.data = { maxTotal: 1 };
+		const tab = { id: 2, windowId: 1, url: "https://b.org/" };
+		mockChrome.tabs.query.mockResolvedValue([{ id: 1, windowId: 1, url: "https://a.org/" }, tab]);
+		await handleTabCreated(tab);
+
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+		expect((await SessionState.get()).grantedPasses).toBe(0);
 	});
 
-	describe('set', () => {
-		it('should update session storage', async () => {
-			await SessionState.set({ tabCount: 5 });
-			expect(mockChrome.storage.session.set).toHaveBeenCalledWith({ tabCount: 5 });
-		});
+	it('should count batch and granted passes together', async () => {
+		mockChrome.storage.session.data = { passes: 2 };
+		await handleCommand("grant-extra-tab");
+		expect(notified()).toContain("The next 3 tabs over the limit will be allowed.");
 	});
 
-	describe('initialize', () => {
-		it('should reset state to defaults', async () => {
-			mockChrome.storage.session.data = { passes: 5 };
-			await SessionState.initialize();
-			expect(mockChrome.storage.session.set).toHaveBeenCalledWith(SESSION_STATE_DEFAULTS);
-		});
+	it('should toggle enforcement and show it in the badge', async () => {
+		await handleCommand("toggle-enforcement");
+
+		expect(mockChrome.storage.local.data.enforcementEnabled).toBe(false);
+		expect(mockChrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: "off" });
+		expect(isLimitingDisabled(await getOptions())).toBe(true);
+
+		await handleCommand("toggle-enforcement");
+
+		expect(mockChrome.storage.local.data.enforcementEnabled).toBe(true);
+		expect(notified()).toEqual(["Tab limits are off until you turn them on again.", "Tab limits are on again."]);
 	});
 
-	describe('passes management', () => {
-		it('should increment passes correctly', async () => {
-			mockChrome.storage.session.data = { passes: 2 };
-			const newPasses = await SessionState.incrementPasses(3);
-			expect(newPasses).toBe(5);
-		});
+	it('should step the limits within 1 and 1337', async () => {
+		mockChrome.storage.sync.data = { maxTotal: 1335, maxWindow: 3 };
 
-		it('should decrement passes correctly', async () => {
-			mockChrome.storage.session.data = { passes: 3 };
-			const newPasses = await SessionState.decrementPasses();
-			expect(newPasses).toBe(2);
-		});
+		await handleCommand("raise-limits");
+		expect(mockChrome.storage.sync.data.maxTotal).toBe(1337);
+		expect(mockChrome.storage.sync.data.maxWindow).toBe(8);
 
-		it('should not decrement below zero', async () => {
-			mockChrome.storage.session.data = { passes: 0 };
-			const newPasses = await SessionState.decrementPasses();
-			expect(newPasses).toBe(0);
-		});
+		await handleCommand("lower-limits");
+		await handleCommand("lower-limits");
+		expect(mockChrome.storage.sync.data.maxTotal).toBe(1327);
+		expect(mockChrome.storage.sync.data.maxWindow).toBe(1);
+		expect(notified()[0]).toBe("Limits are now 1337 in total and 8 per window.");
+	});
 
-		it('should reset passes to zero', async () => {
-			mockChrome.storage.session.data = { passes: 5 };
-			await SessionState.resetPasses();
-			expect(mockChrome.storage.session.set).toHaveBeenCalledWith({ passes: 0 });
-		});
+	it('should step the limits of the active profile', async () => {
+		mockChrome.storage.sync.data = { activeProfile: "Focus", "profile:Focus": { maxTotal: 10, maxWindow: 5 } };
+
+		await handleCommand("raise-limits");
+
+		expect(mockChrome.storage.sync.data["profile:Focus"]).toEqual({ maxTotal: 15, maxWindow: 10 });
+		expect(mockChrome.storage.sync.data.maxTotal).toBeUndefined();
+	});
+
+	it('should ignore unknown commands', async () => {
+		await handleCommand("unknown");
+		expect(mockChrome.notifications.create).not.toHaveBeenCalled();
 	});
 });
 
-describe('getOptions', () => {
-	it('should return default options when no custom options set', async () => {
+describe('Snooze', () => {
+	const notifications = () => mockChrome.notifications.create.mock.calls;
+	const tabs = (count) => Array.from({ length: count }, (_, i) => ({ id: i + 1, url: `https://example.com/${i}`, lastAccessed: i + 1 }));
+
+	it('should stop limiting and show a distinct badge while snoozed', async () => {
+		mockChrome.storage.local.data = { snoozedUntil: Date.now() + 60000 };
 		const options = await getOptions();
-		expect(options).toEqual(DEFAULT_OPTIONS);
+
+		expect(isLimitingDisabled(options)).toBe(true);
+		await updateBadge(options);
+		expect(mockChrome.action.setBadgeText).toHaveBeenCalledWith({ text: "zzz" });
+		expect(mockChrome.action.setBadgeBackgroundColor).toHaveBeenCalledWith({ color: BADGE_SNOOZE_COLOR });
 	});
 
-	it('should return stored options when available', async () => {
-		mockChrome.storage.sync.data = {
-			defaultOptions: DEFAULT_OPTIONS,
-			maxTotal: 30,
-			maxWindow: 10
-		};
-		const options = await getOptions();
-		expect(options.maxTotal).toBe(30);
-		expect(options.maxWindow).toBe(10);
+	it('should limit again once the snooze has expired, even without the alarm', async () => {
+		mockChrome.storage.local.data = { snoozedUntil: Date.now() - 1 };
+		expect(isLimitingDisabled(await getOptions())).toBe(false);
 	});
-});
 
-describe('tabQuery', () => {
-	it('should filter out pinned tabs when countPinnedTabs is false', async () => {
-		const options = { ...DEFAULT_OPTIONS, countPinnedTabs: false };
-		await tabQuery(options, {});
-		expect(mockChrome.tabs.query).toHaveBeenCalledWith({ pinned: false });
+	it('should schedule the end of a new snooze', async () => {
+		const snoozedUntil = Date.now() + 15 * 60000;
+		mockChrome.storage.local.data = { snoozedUntil };
+
+		await handleSnoozeChanged({ newValue: snoozedUntil });
+
+		expect(mockChrome.alarms.create).toHaveBeenCalledWith(SNOOZE_ALARM, { when: snoozedUntil });
+		expect(mockChrome.notifications.create).not.toHaveBeenCalled();
 	});
 
-	it('should include pinned tabs when countPinnedTabs is true', async () => {
-		const options = { ...DEFAULT_OPTIONS, countPinnedTabs: true };
-		await tabQuery(options, {});
-		expect(mockChrome.tabs.query).toHaveBeenCalledWith({});
+	it('should report the overage when the snooze ends', async () => {
+		mockChrome.storage.sync.data = { maxTotal: 3, maxWindow: 10 };
+		mockChrome.tabs.query.mockResolvedValue(tabs(5));
+
+		await handleSnoozeChanged({ oldValue: Date.now() - 1, newValue: 0 });
+
+		expect(mockChrome.alarms.clear).toHaveBeenCalledWith(SNOOZE_ALARM);
+		expect(mockChrome.alarms.create).not.toHaveBeenCalled();
+		expect(notifications()[0][0]).toBe(SNOOZE_ENDED_NOTIFICATION);
+		expect(notifications()[0][1].message).toBe(
+			"The snooze is over and you have 2 tabs over the total limit. Click here to pick tabs to close."
+		);
 	});
 
-	it('should pass additional query params', async () => {
-		const options = { ...DEFAULT_OPTIONS, countPinnedTabs: false };
-		await tabQuery(options, { currentWindow: true });
-		expect(mockChrome.tabs.query).toHaveBeenCalledWith({ pinned: false, currentWindow: true });
+	it('should say so when the tabs are within the limits after a snooze', async () => {
+		mockChrome.tabs.query.mockResolvedValue(tabs(2));
+		await handleSnoozeChanged({ oldValue: Date.now() - 1, newValue: 0 });
+		expect(notifications()[0][1].message).toBe("The snooze is over and your tabs are within the limits.");
 	});
-});
 
-describe('windowRemaining', () => {
-	it('should calculate remaining tabs correctly', async () => {
-		const options = { ...DEFAULT_OPTIONS, maxWindow: 10 };
-		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}]); // 3 tabs
-		const remaining = await windowRemaining(options);
-		expect(remaining).toBe(7);
+	it('should end a snooze that expired while the browser was closed', async () => {
+		mockChrome.storage.local.data = { snoozedUntil: Date.now() - 1000 };
+		await resumeSnooze();
+		expect(mockChrome.storage.local.data.snoozedUntil).toBe(0);
 	});
 
-	it('should return negative when over limit', async () => {
-		const options = { ...DEFAULT_OPTIONS, maxWindow: 5 };
-		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}, {}, {}, {}, {}]); // 7 tabs
-		const remaining = await windowRemaining(options);
-		expect(remaining).toBe(-2);
+	it('should open the tab manager instead of closing tabs when the notification is clicked', async () => {
+		mockChrome.storage.sync.data = { maxTotal: 3, maxWindow: 10 };
+		mockChrome.tabs.query.mockResolvedValue(tabs(5));
+
+		await handleNotificationClicked(SNOOZE_ENDED_NOTIFICATION);
+
+		expect(mockChrome.notifications.clear).toHaveBeenCalledWith(SNOOZE_ENDED_NOTIFICATION);
+		expect(mockChrome.tabs.create).toHaveBeenCalledWith({ url: TAB_MANAGER_URL });
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
 	});
-});
 
-describe('totalRemaining', () => {
-	it('should calculate remaining tabs correctly', async () => {
-		const options = { ...DEFAULT_OPTIONS, maxTotal: 50 };
-		mockChrome.tabs.query.mockResolvedValue(Array(20).fill({})); // 20 tabs
-		const remaining = await totalRemaining(options);
-		expect(remaining).toBe(30);
+	it('should ignore clicks on other notifications', async () => {
+		await handleNotificationClicked("tab-limiter-123");
+		expect(mockChrome.notifications.clear).not.toHaveBeenCalled();
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
 	});
 });
 
-describe('detectTooManyTabsInWindow', () => {
-	it('should return null when under limit', async () => {
-		const options = { ...DEFAULT_OPTIONS, maxWindow: 10 };
-		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}]); // 3 tabs
-		const result = await detectTooManyTabsInWindow(options);
-		expect(result).toBeNull();
+describe('Alert actions', () => {
+	const blocked = { id: 7, pendingUrl: "https://example.com/new", windowId: 2 };
+	const showAlert = async () => {
+		await displayAlert({ ...DEFAULT_OPTIONS, maxWindow: 2 }, "window", blocked);
+		return mockChrome.notifications.create.mock.calls[0][0];
+	};
+
+	it('should remember the tab under the notification ID and offer buttons', async () => {
+		const notificationId = await showAlert();
+
+		expect(notificationId).toMatch(/^tab-limiter-alert-7-/);
+		expect(mockChrome.notifications.create.mock.calls[0][1].buttons).toEqual(ALERT_BUTTONS);
+		expect((await SessionState.get()).alerts[notificationId]).toEqual({
+			tab: { id: 7, url: "https://example.com/new", windowId: 2, groupId: undefined },
+			place: "window"
+		});
 	});
 
-	it('should return "window" when over limit', async () => {
-		const options = { ...DEFAULT_OPTIONS, maxWindow: 5 };
-		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}, {}, {}, {}]); // 6 tabs
-		const result = await detectTooManyTabsInWindow(options);
-		expect(result).toBe("window");
+	it('should not offer buttons for alerts without a tab', async () => {
+		await displayAlert(DEFAULT_OPTIONS, "total");
+		expect(mockChrome.notifications.create.mock.calls[0][1].buttons).toBeUndefined();
+		expect((await SessionState.get()).alerts).toEqual({});
 	});
 
-	it('should return null when maxWindow is less than MIN_ALLOWED_TABS', async () => {
-		const options = { ...DEFAULT_OPTIONS, maxWindow: 0 };
-		const result = await detectTooManyTabsInWindow(options);
-		expect(result).toBeNull();
+	it('should open the blocked page with a pass', async () => {
+		const notificationId = await showAlert();
+
+		await handleNotificationButtonClicked(notificationId, 1);
+
+		expect(mockChrome.notifications.clear).toHaveBeenCalledWith(notificationId);
+		expect((await SessionState.get()).passes).toBe(1);
+		expect(mockChrome.tabs.create).toHaveBeenCalledWith({ url: "https://example.com/new", windowId: 2 });
+		expect((await SessionState.get()).alerts).toEqual({});
 	});
-});
 
-describe('detectTooManyTabsInTotal', () => {
-	it('should return null when under limit', async () => {
-		const options = { ...DEFAULT_OPTIONS, maxTotal: 50 };
-		mockChrome.tabs.query.mockResolvedValue(Array(10).fill({})); // 10 tabs
-		const result = await detectTooManyTabsInTotal(options);
-		expect(result).toBeNull();
+	it('should keep a page opened with a pass over a domain limit once its URL commits', async () => {
+		mockChrome.storage.sync.data = { domainLimits: [{ hostname: "example.com", max: 1 }] };
+		const existing = { id: 3, windowId: 2, url: "https://example.com/" };
+		mockChrome.tabs.query.mockResolvedValue([existing, blocked]);
+		await displayAlert(await getOptions(), "domain", blocked);
+		const notificationId = mockChrome.notifications.create.mock.calls[0][0];
+
+		await handleNotificationButtonClicked(notificationId, 1);
+		const reopened = { id: 999, windowId: 2, url: "", pendingUrl: "https://example.com/new" };
+		mockChrome.tabs.query.mockResolvedValue([existing, reopened]);
+		await handleTabCreated(reopened);
+		const committed = { ...reopened, url: "https://example.com/new", pendingUrl: undefined };
+		mockChrome.tabs.query.mockResolvedValue([existing, committed]);
+		await handleTabUpdated(999, { url: committed.url }, committed);
+
+		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+		expect((await SessionState.get()).passes).toBe(0);
 	});
 
-	it('should return "total" when over limit', async () => {
-		const options = { ...DEFAULT_OPTIONS, maxTotal: 10 };
-		mockChrome.tabs.query.mockResolvedValue(Array(15).fill({})); // 15 tabs
-		const result = await detectTooManyTabsInTotal(options);
-		expect(result).toBe("total");
+	it('should close the oldest tab in the window before opening the blocked page', async () => {
+		const notificationId = await showAlert();
+		mockChrome.storage.session.data.tabCreatedAt = { 3: 200, 4: 100 };
+		mockChrome.tabs.query.mockResolvedValue([{ id: 3, windowId: 2 }, { id: 4, windowId: 2 }]);
+
+		await handleNotificationButtonClicked(notificationId, 0);
+
+		expect(mockChrome.tabs.query).toHaveBeenCalledWith(expect.objectContaining({ windowId: 2 }));
+		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(4);
+		expect(mockChrome.tabs.create).toHaveBeenCalledWith({ url: "https://example.com/new", windowId: 2 });
+		expect((await SessionState.get()).passes).toBe(0);
 	});
-});
 
-describe('detectTabLimitExceeded', () => {
-	it('should return null when both limits are satisfied', async () => {
-		const options = { ...DEFAULT_OPTIONS, maxTotal: 50, maxWindow: 20 };
-		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}]); // 3 tabs
-		const result = await detectTabLimitExceeded(options);
-		expect(result).toBeNull();
+	it('should archive and count the tab it closes, as eviction does', async () => {
+		const notificationId = await showAlert();
+		mockChrome.storage.session.data.tabCreatedAt = { 3: 200, 4: 100 };
+		mockChrome.tabs.query.mockResolvedValue([
+			{ id: 3, windowId: 2, url: "https://example.com/a" },
+			{ id: 4, windowId: 2, url: "https://example.com/b", title: "Oldest" }
+		]);
+
+		await handleNotificationButtonClicked(notificationId, 0);
+
+		const archive = await TabArchive.get();
+		expect(archive).toHaveLength(1);
+		expect(archive[0]).toMatchObject({ url: "https://example.com/b", title: "Oldest", place: "window" });
+		expect(Object.values(await UsageStats.get())[0].evicted).toBe(1);
 	});
 
-	it('should return "window" when window limit exceeded', async () => {
-		const options = { ...DEFAULT_OPTIONS, maxTotal: 50, maxWindow: 5 };
-		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}, {}, {}, {}]); // 6 tabs
-		const result = await detectTabLimitExceeded(options);
-		expect(result).toBe("window");
+	it('should not reopen the page when no tab can be closed', async () => {
+		const notificationId = await showAlert();
+		mockChrome.tabs.query.mockResolvedValue([{ id: 3, windowId: 2, active: true }]);
+
+		await handleNotificationButtonClicked(notificationId, 0);
+
+		expect(mockChrome.tabs.create).not.toHaveBeenCalled();
+		expect(mockChrome.notifications.create.mock.calls[1][1].message).toMatch(/No other tab can be closed/);
 	});
 
-	it('should return "total" when total limit exceeded', async () => {
-		const options = { ...DEFAULT_OPTIONS, maxTotal: 5, maxWindow: 20 };
-		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}, {}, {}, {}]); // 6 tabs
-		const result = await detectTabLimitExceeded(options);
-		expect(result).toBe("total");
+	it('should only focus a tab that was not closed', async () => {
+		const notificationId = await showAlert();
+		mockChrome.tabs.get.mockResolvedValueOnce({ id: 7, windowId: 5 });
+
+		await handleNotificationButtonClicked(notificationId, 1);
+
+		expect(mockChrome.tabs.update).toHaveBeenCalledWith(7, { active: true });
+		expect(mockChrome.windows.update).toHaveBeenCalledWith(5, { focused: true });
+		expect(mockChrome.tabs.create).not.toHaveBeenCalled();
+		expect((await SessionState.get()).passes).toBe(0);
 	});
 
-	it('should prioritize window over total when both exceeded', async () => {
-		const options = { ...DEFAULT_OPTIONS, maxTotal: 5, maxWindow: 3 };
-		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}, {}, {}, {}]); // 6 tabs
-		const result = await detectTabLimitExceeded(options);
-		expect(result).toBe("window");
+	it('should open the page in the current window when its window is gone', async () => {
+		const notificationId = await showAlert();
+		mockChrome.tabs.create.mockRejectedValueOnce(new Error("No window with id: 2."));
+
+		await handleNotificationButtonClicked(notificationId, 1);
+
+		expect(mockChrome.tabs.create).toHaveBeenLastCalledWith({ url: "https://example.com/new" });
 	});
-});
 
-describe('updateBadge', () => {
-	it('should clear badge when displayBadge is false', async () => {
-		const options = { ...DEFAULT_OPTIONS, displayBadge: false };
-		await updateBadge(options);
-		expect(mockChrome.action.setBadgeText).toHaveBeenCalledWith({ text: "" });
+	it('should open the tab manager when the alert is clicked', async () => {
+		const notificationId = await showAlert();
+
+		await handleNotificationClicked(notificationId);
+
+		expect(mockChrome.tabs.create).toHaveBeenCalledWith({ url: TAB_MANAGER_URL, windowId: 2 });
+		expect((await SessionState.get()).alerts[notificationId]).toBeDefined();
 	});
 
-	it('should display minimum remaining when displayBadge is true', async () => {
-		const options = { ...DEFAULT_OPTIONS, displayBadge: true, maxWindow: 10, maxTotal: 50 };
-		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}, {}, {}]); // 5 tabs
-		await updateBadge(options);
-		// Window remaining: 10 - 5 = 5, Total remaining: 50 - 5 = 45
-		expect(mockChrome.action.setBadgeText).toHaveBeenCalledWith({ text: "5" });
+	it('should forget the tab when the alert closes', async () => {
+		const notificationId = await showAlert();
+
+		await handleNotificationClosed(notificationId);
+		await handleNotificationButtonClicked(notificationId, 1);
+
+		expect((await SessionState.get()).alerts).toEqual({});
+		expect(mockChrome.tabs.create).not.toHaveBeenCalled();
 	});
 });
 
-describe('displayAlert', () => {
-	it('should not show notification when displayAlert is false', async () => {
-		const options = { ...DEFAULT_OPTIONS, displayAlert: false };
-		const result = await displayAlert(options, "window");
-		expect(result).toBe(false);
-		expect(mockChrome.notifications.create).not.toHaveBeenCalled();
+describe('Popup dashboard', () => {
+	const tabs = [
+		{ id: 1, windowId: 2, url: "https://github.com/a", groupId: 5 },
+		{ id: 2, windowId: 2, url: "https://github.com/b", groupId: 5 },
+		{ id: 3, windowId: 1, url: "https://example.com/" },
+		{ id: 4, windowId: 1, url: "https://docs.example.com/", groupId: TAB_GROUP_ID_NONE }
+	];
+	const respond = (message) => new Promise((resolve) => {
+		expect(handleMessage(message, {}, resolve)).toBe(true);
 	});
 
-	it('should show notification with replaced placeholders for window', async () => {
-		const options = { ...DEFAULT_OPTIONS, displayAlert: true, maxWindow: 10 };
-		await displayAlert(options, "window");
-		expect(mockChrome.notifications.create).toHaveBeenCalledWith(
-			expect.objectContaining({
-				type: 'basic',
-				message: "You decided not to open more than 10 tabs in one window"
-			})
-		);
+	it('should count every window against the limits, the popup window first', async () => {
+		mockChrome.tabs.query.mockResolvedValue(tabs);
+		const dashboard = await respond({ type: "get-dashboard", windowId: 2 });
+
+		expect(dashboard.mode).toBe("on");
+		expect(dashboard.total).toEqual({ count: 4, max: DEFAULT_OPTIONS.maxTotal });
+		expect(dashboard.windows).toEqual([
+			{ windowId: 2, current: true, count: 2, max: DEFAULT_OPTIONS.maxWindow, custom: false },
+			{ windowId: 1, current: false, count: 2, max: DEFAULT_OPTIONS.maxWindow, custom: false }
+		]);
 	});
 
-	it('should show notification with replaced placeholders for total', async () => {
-		const options = { ...DEFAULT_OPTIONS, displayAlert: true, maxTotal: 50 };
-		await displayAlert(options, "total");
-		expect(mockChrome.notifications.create).toHaveBeenCalledWith(
-			expect.objectContaining({
-				message: "You decided not to open more than 50 tabs in total"
-			})
-		);
+	it('should list the popup window even without counted tabs', async () => {
+		mockChrome.tabs.query.mockResolvedValue(tabs);
+		const dashboard = await getDashboard(await getOptions(), 9);
+		expect(dashboard.windows[0]).toEqual({ windowId: 9, current: true, count: 0, max: DEFAULT_OPTIONS.maxWindow, custom: false });
 	});
 
-	it('should handle custom alert messages', async () => {
-		const options = {
-			...DEFAULT_OPTIONS,
-			displayAlert: true,
-			alertMessage: "Limit reached: {maxTotal} total, {maxWindow} per window",
-			maxTotal: 100,
-			maxWindow: 25
+	it('should count domains with tabs open and limited groups', async () => {
+		mockChrome.storage.sync.data = {
+			maxGroup: 6,
+			domainLimits: [
+				{ hostname: "example.com", max: 3, includeSubdomains: true },
+				{ hostname: "news.org", max: 1 }
+			]
 		};
-		await displayAlert(options, "window");
-		expect(mockChrome.notifications.create).toHaveBeenCalledWith(
-			expect.objectContaining({
-				message: "Limit reached: 100 total, 25 per window"
-			})
-		);
+		mockChrome.tabs.query.mockResolvedValue(tabs);
+		mockChrome.tabGroups.get.mockResolvedValueOnce({ id: 5, title: "Code" });
+
+		const dashboard = await getDashboard(await getOptions(), 2);
+
+		expect(dashboard.domains).toEqual([{ hostname: "example.com", count: 2, max: 3 }]);
+		expect(dashboard.groups).toEqual([{ title: "Code", count: 2, max: 6 }]);
 	});
-});
 
-describe('handleExceedTabs', () => {
-	it('should remove tab when exceedTabNewWindow is false', async () => {
-		const tab = { id: 123 };
-		const options = { ...DEFAULT_OPTIONS, exceedTabNewWindow: false };
-		await handleExceedTabs(tab, options, "window");
-		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(123);
-		expect(mockChrome.windows.create).not.toHaveBeenCalled();
+	it('should report the mode, profile and passes', async () => {
+		mockChrome.storage.sync.data = { activeProfile: "Focus", "profile:Focus": { maxTotal: 10 }, "profile:Broken": "text" };
+		mockChrome.storage.session.data = { passes: 1, grantedPasses: 1 };
+		mockChrome.storage.local.data = { snoozedUntil: Date.now() + 60000 };
+
+		const dashboard = await getDashboard(await getOptions());
+
+		expect(dashboard.mode).toBe("snoozed");
+		expect(dashboard.profile).toBe("Focus");
+		expect(dashboard.profiles).toEqual(["Focus"]);
+		expect(dashboard.total.max).toBe(10);
+		expect(dashboard.passes).toBe(2);
 	});
 
-	it('should create new window when exceedTabNewWindow is true and place is window', async () => {
-		const tab = { id: 456 };
-		const options = { ...DEFAULT_OPTIONS, exceedTabNewWindow: true };
-		await handleExceedTabs(tab, options, "window");
-		expect(mockChrome.windows.create).toHaveBeenCalledWith({ tabId: 456, focused: true });
-		expect(mockChrome.tabs.remove).not.toHaveBeenCalled();
+	it('should run keyboard commands for the quick actions', async () => {
+		const response = await respond({ type: "run-command", command: "grant-extra-tab" });
+		expect(response).toEqual({ done: true });
+		expect((await SessionState.get()).grantedPasses).toBe(1);
 	});
 
-	it('should remove tab even with exceedTabNewWindow when place is total', async () => {
-		const tab = { id: 789 };
-		const options = { ...DEFAULT_OPTIONS, exceedTabNewWindow: true };
-		await handleExceedTabs(tab, options, "total");
-		expect(mockChrome.tabs.remove).toHaveBeenCalledWith(789);
-		expect(mockChrome.windows.create).not.toHaveBeenCalled();
+	it('should list the counted tabs for the tab manager', async () => {
+		mockChrome.storage.sync.data = { tabWeights: [{ pattern: "*://github.com/*", weight: 2 }] };
+		mockChrome.storage.session.data = { tabCreatedAt: { 1: 1000 }, tabActivatedAt: { 1: 5000 } };
+		mockChrome.tabs.query.mockResolvedValue([
+			{ id: 1, windowId: 2, index: 0, title: "A", url: "https://github.com/a", lastAccessed: 1 },
+			{ id: 3, windowId: 1, index: 4, url: "https://example.com/", lastAccessed: 3000 },
+			{ id: 4, windowId: 1, index: 5, url: TAB_MANAGER_URL }
+		]);
+
+		const response = await respond({ type: "get-tabs", windowId: 2 });
+
+		expect(response.total.count).toBe(3);
+		expect(response.tabs).toEqual([
+			{ id: 1, windowId: 2, index: 0, title: "A", url: "https://github.com/a", favIconUrl: "", hostname: "github.com", createdAt: 1000, activatedAt: 5000, weight: 2 },
+			{ id: 3, windowId: 1, index: 4, title: "", url: "https://example.com/", favIconUrl: "", hostname: "example.com", createdAt: 3, activatedAt: 3000, weight: 1 }
+		]);
 	});
-});
 
-describe('capitalizeFirstLetter', () => {
-	it('should capitalize first letter', () => {
-		expect(capitalizeFirstLetter("window")).toBe("Window");
-		expect(capitalizeFirstLetter("total")).toBe("Total");
+	it('should answer unknown messages with null', async () => {
+		expect(await respond({ type: "unknown" })).toBeNull();
+		expect(await respond(undefined)).toBeNull();
 	});
 });
 
@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for Tab Limiter Limit Page
+ *
+ * Tests cover:
+ * - Which limit was hit and the current counts
+ * - Whether the blocked page can be opened
+ * - Tabs offered for closing
+ */
+
+// Constants
+const BLOCKED_PROTOCOLS = ["javascript:", "data:"];
+
+// Limit page functions for testing
+const describePlace = (place, domain) => {
+	switch (place) {
+		case "window":
+			return "This window already has as many tabs as its limit allows.";
+		case "total":
+			return "You already have as many tabs open as your total limit allows.";
+		case "domain":
+			return domain
+				? `You already have as many tabs from ${domain.hostname} open as its limit allows.`
+				: "You already have as many tabs from this site open as its limit allows.";
+		default:
+			return "A tab limit was reached.";
+	}
+};
+
+const describeCounts = ({ total, window: windowUsage, domain }) => {
+	const parts = [`Total: ${total.count} of ${total.max}`, `this window: ${windowUsage.count} of ${windowUsage.max}`];
+	if (domain) parts.push(`${domain.hostname}: ${domain.count} of ${domain.max}`);
+	return parts.join(" · ");
+};
+
+const describeOpenHint = (status) => (status.place
+	? "Close a tab below and the page can be opened here."
+	: "There is room now; the page opens in this tab.");
+
+const canOpen = (url) => {
+	try {
+		return !BLOCKED_PROTOCOLS.includes(new URL(url).protocol);
+	} catch (error) {
+		return false;
+	}
+};
+
+const sortTabs = (tabs) => [...tabs].sort((a, b) => a.activatedAt - b.activatedAt);
+
+describe('describePlace', () => {
+	it('should name the limit that was hit', () => {
+		expect(describePlace("window")).toBe("This window already has as many tabs as its limit allows.");
+		expect(describePlace("total")).toBe("You already have as many tabs open as your total limit allows.");
+	});
+
+	it('should name the limited domain when it is known', () => {
+		expect(describePlace("domain", { hostname: "example.com" }))
+			.toBe("You already have as many tabs from example.com open as its limit allows.");
+		expect(describePlace("domain", null)).toBe("You already have as many tabs from this site open as its limit allows.");
+	});
+
+	it('should fall back for unknown places', () => {
+		expect(describePlace("")).toBe("A tab limit was reached.");
+	});
+});
+
+describe('describeCounts', () => {
+	it('should show the total and window counts', () => {
+		expect(describeCounts({ total: { count: 5, max: 5 }, window: { count: 2.5, max: 3 }, domain: null }))
+			.toBe("Total: 5 of 5 · this window: 2.5 of 3");
+	});
+
+	it('should add the domain count', () => {
+		const domain = { hostname: "example.com", count: 1, max: 1 };
+		expect(describeCounts({ total: { count: 3, max: 5 }, window: { count: 2, max: 3 }, domain }))
+			.toBe("Total: 3 of 5 · this window: 2 of 3 · example.com: 1 of 1");
+	});
+});
+
+describe('Opening the blocked page', () => {
+	it('should only offer opening once there is room', () => {
+		expect(describeOpenHint({ place: "total" })).toBe("Close a tab below and the page can be opened here.");
+		expect(describeOpenHint({ place: null })).toBe("There is room now; the page opens in this tab.");
+	});
+
+	it('should open web and browser pages', () => {
+		expect(canOpen("https://example.com/a?b=c")).toBe(true);
+		expect(canOpen("chrome://newtab/")).toBe(true);
+	});
+
+	it('should not open scripts, data or invalid addresses', () => {
+		expect(canOpen("javascript:alert(1)")).toBe(false);
+		expect(canOpen("data:text/html,hi")).toBe(false);
+		expect(canOpen("")).toBe(false);
+		expect(canOpen("not a url")).toBe(false);
+	});
+});
+
+describe('Tabs to close', () => {
+	it('should list the least recently used tabs first without changing the list', () => {
+		const tabs = [{ id: 1, activatedAt: 300 }, { id: 2, activatedAt: 100 }, { id: 3, activatedAt: 200 }];
+		expect(sortTabs(tabs).map((tab) => tab.id)).toEqual([2, 3, 1]);
+		expect(tabs[0].id).toBe(1);
+	});
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for Tab Limiter Tab Manager
+ *
+ * Tests cover:
+ * - Fuzzy search over titles and URLs
+ * - Sorting by last use, age, domain and window
+ * - Closing every tab from a domain
+ * - Remaining budget and window labels
+ */
+
+// Constants
+const SORTERS = {
+	lastAccessed: (a, b) => a.activatedAt - b.activatedAt,
+	age: (a, b) => a.createdAt - b.createdAt,
+	domain: (a, b) => a.hostname.localeCompare(b.hostname) || a.title.localeCompare(b.title),
+	window: (a, b) => a.windowId - b.windowId || a.index - b.index
+};
+
+// Tab manager functions for testing
+const fuzzyMatches = (text, word) => {
+	let position = 0;
+	for (const char of word) {
+		position = text.indexOf(char, position);
+		if (position === -1) return false;
+		position++;
+	}
+	return true;
+};
+
+const matchesSearch = (tab, query) => {
+	if (!query) return true;
+	const haystack = `${tab.title} ${tab.url}`.toLowerCase();
+	return query.toLowerCase().split(/\s+/).every((word) => fuzzyMatches(haystack, word));
+};
+
+const filterAndSort = (tabs, query, sort) =>
+	tabs.filter((tab) => matchesSearch(tab, query)).sort(SORTERS[sort] || SORTERS.lastAccessed);
+
+const getDomainTabIds = (tabs, hostname) =>
+	tabs.filter((tab) => tab.hostname === hostname).map((tab) => tab.id);
+
+const describeBudget = (count, max) => `${count} of ${max}, ${Math.max(0, Math.floor(max - count))} left`;
+
+const describeSummary = ({ total, windows }) => {
+	const current = windows.find((windowInfo) => windowInfo.current);
+	const parts = [`Total: ${describeBudget(total.count, total.max)}`];
+	if (current) parts.push(`this window: ${describeBudget(current.count, current.max)}`);
+	return parts.join(" · ");
+};
+
+const getWindowLabels = (windows) => {
+	const labels = {};
+	windows.forEach((windowInfo, index) => {
+		labels[windowInfo.windowId] = windowInfo.current ? "this window" : `window ${index + 1}`;
+	});
+	return labels;
+};
+
+const tabs = [
+	{ id: 1, windowId: 2, index: 0, title: "GitHub issues", url: "https://github.com/org/repo/issues", hostname: "github.com", createdAt: 300, activatedAt: 50 },
+	{ id: 2, windowId: 1, index: 1, title: "Docs", url: "https://docs.example.com/guide", hostname: "docs.example.com", createdAt: 100, activatedAt: 900 },
+	{ id: 3, windowId: 1, index: 0, title: "Pull requests", url: "https://github.com/org/repo/pulls", hostname: "github.com", createdAt: 200, activatedAt: 400 }
+];
+const ids = (list) => list.map((tab) => tab.id);
+
+describe('Fuzzy search', () => {
+	it('should match letters in order across title and URL', () => {
+		expect(ids(filterAndSort(tabs, "gthb iss", "window"))).toEqual([1]);
+		expect(ids(filterAndSort(tabs, "GITHUB", "window"))).toEqual([3, 1]);
+	});
+
+	it('should not match letters out of order', () => {
+		expect(fuzzyMatches("docs", "sd")).toBe(false);
+	});
+
+	it('should list every tab without a query', () => {
+		expect(filterAndSort(tabs, "", "age")).toHaveLength(3);
+	});
+});
+
+describe('Sorting', () => {
+	it('should sort by last use, least recent first', () => {
+		expect(ids(filterAndSort(tabs, "", "lastAccessed"))).toEqual([1, 3, 2]);
+	});
+
+	it('should sort by age, oldest first', () => {
+		expect(ids(filterAndSort(tabs, "", "age"))).toEqual([2, 3, 1]);
+	});
+
+	it('should sort by domain, then title', () => {
+		expect(ids(filterAndSort(tabs, "", "domain"))).toEqual([2, 1, 3]);
+	});
+
+	it('should sort by window, then position', () => {
+		expect(ids(filterAndSort(tabs, "", "window"))).toEqual([3, 2, 1]);
+	});
+
+	it('should fall back to last use for unknown sorts', () => {
+		expect(ids(filterAndSort(tabs, "", "unknown"))).toEqual([1, 3, 2]);
+	});
+});
+
+describe('Close all from a domain', () => {
+	it('should pick every tab with the same hostname, not subdomains', () => {
+		expect(getDomainTabIds(tabs, "github.com")).toEqual([1, 3]);
+		expect(getDomainTabIds(tabs, "example.com")).toEqual([]);
+	});
+});
+
+describe('Budget summary', () => {
+	it('should show the remaining whole tabs in total and in this window', () => {
+		const windows = [{ windowId: 2, current: true, count: 1.5, max: 20 }, { windowId: 1, current: false, count: 2, max: 20 }];
+		expect(describeSummary({ total: { count: 3.5, max: 50 }, windows }))
+			.toBe("Total: 3.5 of 50, 46 left · this window: 1.5 of 20, 18 left");
+	});
+
+	it('should never show a negative budget', () => {
+		expect(describeBudget(55, 50)).toBe("55 of 50, 0 left");
+	});
+
+	it('should label windows with the current one first', () => {
+		expect(getWindowLabels([{ windowId: 7, current: true }, { windowId: 3, current: false }]))
+			.toEqual({ 7: "this window", 3: "window 2" });
+	});
+});
@@ -3,11 +3,13 @@
  *
  * Tests cover:
  * - Options loading and saving
- * - Badge updates from options page
- * - Input validation
+ * - Input validation against the shared schema.js
  * - Storage operations
  */
 
+const fs = require('fs');
+const path = require('path');
+
 // Mock DOM elements
 const createMockInput = (id, type, value) => ({
 	id,
@@ -30,6 +32,9 @@ const mockChrome = {
 			}),
 			set: jest.fn(async (updates) => {
 				Object.assign(mockChrome.storage.sync.data, updates);
+			}),
+			remove: jest.fn(async (keys) => {
+				for (const key of [].concat(keys)) delete mockChrome.storage.sync.data[key];
 			})
 		}
 	},
@@ -43,54 +48,27 @@ const mockChrome = {
 
 global.chrome = mockChrome;
 
-// Constants
-const DEFAULT_OPTIONS = {
-	maxTotal: 50,
-	maxWindow: 20,
-	exceedTabNewWindow: false,
-	displayAlert: true,
-	countPinnedTabs: false,
-	displayBadge: false,
-	alertMessage: "You decided not to open more than {maxPlace} tabs in {place}"
-};
+// The page loads schema.js before options.js; the tests use the same file
+// rather than a copy of it
+const {
+	DEFAULT_OPTIONS,
+	OPTION_SCHEMA,
+	coerceValue,
+	coerceOptions,
+	validateValue,
+	normalizeHostname,
+	getProfileKey,
+	toProfileItems,
+	getProfileState,
+	resolveProfile,
+	storeOptions
+} = new Function(`${fs.readFileSync(path.join(__dirname, '..', 'schema.js'), 'utf8')}
+	return {
+		DEFAULT_OPTIONS, OPTION_SCHEMA, coerceValue, coerceOptions, validateValue,
+		normalizeHostname, getProfileKey, toProfileItems, getProfileState, resolveProfile, storeOptions
+	};`)();
 
 // Options page functions for testing
-const tabQuery = async (options, params = {}) => {
-	if (!options.countPinnedTabs) {
-		params.pinned = false;
-	}
-	return chrome.tabs.query(params);
-};
-
-const windowRemaining = async (options) => {
-	const tabs = await tabQuery(options, { currentWindow: true });
-	return options.maxWindow - tabs.length;
-};
-
-const totalRemaining = async (options) => {
-	const tabs = await tabQuery(options);
-	return options.maxTotal - tabs.length;
-};
-
-const updateBadge = async (options) => {
-	try {
-		if (!options.displayBadge) {
-			await chrome.action.setBadgeText({ text: "" });
-			return;
-		}
-
-		const remaining = await Promise.all([
-			windowRemaining(options),
-			totalRemaining(options)
-		]);
-		await chrome.action.setBadgeText({
-			text: Math.min(...remaining).toString()
-		});
-	} catch (error) {
-		console.error("Failed to update badge:", error);
-	}
-};
-
 const getOptions = async () => {
 	try {
 		const defaults = await chrome.storage.sync.get("defaultOptions");
@@ -101,20 +79,28 @@ const getOptions = async () => {
 	}
 };
 
+// Returns the stored values and the inline error shown for each invalid field
 const saveOptions = async (inputElements) => {
 	try {
 		const values = {};
+		const errors = {};
 
 		for (let i = 0; i < inputElements.length; i++) {
 			const input = inputElements[i];
-			const value = input.type === "checkbox" ? input.checked : input.value;
-			values[input.id] = value;
+			const rule = OPTION_SCHEMA[input.id];
+			const value = coerceValue(input.type === "checkbox" ? input.checked : input.value, rule);
+			const [error] = validateValue(value, rule, input.id);
+
+			if (error) {
+				errors[input.id] = error;
+			} else {
+				values[input.id] = value;
+			}
 		}
 
 		await chrome.storage.sync.set(values);
-		await updateBadge(values);
 
-		return values;
+		return { values, errors };
 	} catch (error) {
 		console.error("Failed to save options:", error);
 		return null;
@@ -138,6 +124,104 @@ const restoreOptions = async (inputElements) => {
 	}
 };
 
+const validateRule = (rule, schema, fields) => {
+	const errors = {};
+	for (const key of Object.keys(fields)) {
+		const [error] = validateValue(rule[key], schema[key], fields[key].title);
+		if (error) errors[key] = error;
+	}
+	return errors;
+};
+
+const parseLimit = (value, rule) => (value.trim() ? coerceValue(value, rule) : null);
+
+const describeWindow = (windowInfo) => {
+	const tabs = windowInfo.tabs || [];
+	const active = tabs.find((tab) => tab.active) || tabs[0];
+	const count = `${tabs.length} ${tabs.length === 1 ? "tab" : "tabs"}`;
+	return active ? `${active.title || active.url} (${count})` : count;
+};
+
+const describeSaveError = (error) => {
+	const message = String(error && error.message || error);
+	return message.includes('QUOTA_BYTES')
+		? 'Sync storage is full, so this was not saved. Delete a profile or some rules and try again.'
+		: `This was not saved: ${message}`;
+};
+
+const diffObjects = (before, after, path) => {
+	const changes = [];
+	for (const key of Object.keys(after)) {
+		if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+			changes.push({ path: `${path}${key}`, before: before[key], after: after[key] });
+		}
+	}
+	return changes;
+};
+
+const pickOptions = (options) => {
+	const picked = {};
+	for (const key of Object.keys(DEFAULT_OPTIONS)) {
+		picked[key] = options[key];
+	}
+	return picked;
+};
+
+const getStoredSettings = async () => {
+	const defaults = await chrome.storage.sync.get("defaultOptions");
+	const options = await chrome.storage.sync.get(defaults.defaultOptions || DEFAULT_OPTIONS);
+	const { profiles, activeProfile } = await getProfileState();
+
+	const storedProfiles = {};
+	for (const [name, profile] of Object.entries(profiles)) {
+		storedProfiles[name] = coerceOptions(pickOptions({ ...DEFAULT_OPTIONS, ...profile }));
+	}
+	return {
+		options: coerceOptions(pickOptions(options)),
+		profiles: storedProfiles,
+		activeProfile
+	};
+};
+
+const storeImportedSettings = async (settings) => {
+	const updates = { ...settings.options };
+	let removedProfiles = [];
+	if (settings.profiles) {
+		const { profiles } = await getProfileState();
+		removedProfiles = Object.keys(profiles).filter((name) => !(name in settings.profiles));
+		Object.assign(updates, toProfileItems(settings.profiles));
+	}
+	if ("activeProfile" in settings) updates.activeProfile = settings.activeProfile;
+
+	await chrome.storage.sync.set(updates);
+	await chrome.storage.sync.remove(removedProfiles.map(getProfileKey));
+};
+
+const diffSettings = (current, imported) => {
+	const changes = [];
+	if (imported.options) {
+		changes.push(...diffObjects(current.options, imported.options, ""));
+	}
+	if (imported.profiles) {
+		for (const name of Object.keys(current.profiles)) {
+			if (!(name in imported.profiles)) {
+				changes.push({ path: `profile "${name}"`, before: "exists", after: undefined });
+			}
+		}
+		for (const [name, profile] of Object.entries(imported.profiles)) {
+			if (name in current.profiles) {
+				changes.push(...diffObjects(current.profiles[name], profile, `profile "${name}": `));
+			} else {
+				changes.push({ path: `profile "${name}"`, before: undefined, after: "new" });
+			}
+		}
+	}
+	if ("activeProfile" in imported && imported.activeProfile !== current.activeProfile) {
+		changes.push({ path: "activeProfile", before: current.activeProfile, after: imported.activeProfile });
+	}
+	return changes;
+};
+
 // Reset mocks before each test
 beforeEach(() => {
 	jest.clearAllMocks();
@@ -191,12 +275,61 @@ describe('saveOptions', () => {
 
 		expect(mockChrome.storage.sync.set).toHaveBeenCalledWith(
 			expect.objectContaining({
-				maxTotal: '75',
-				maxWindow: '15'
+				maxTotal: 75,
+				maxWindow: 15
 			})
 		);
 	});
 
+	it('should not store an empty number while the user is typing', async () => {
+		mockChrome.storage.sync.data = { maxTotal: 75 };
+		const inputs = [createMockInput('maxTotal', 'number', '')];
+
+		const { errors } = await saveOptions(inputs);
+
+		expect(errors.maxTotal).toBe('maxTotal must be a whole number, got ""');
+		expect(mockChrome.storage.sync.data.maxTotal).toBe(75);
+	});
+
+	it('should refuse limits outside 1 to 1337', async () => {
+		const inputs = [
+			createMockInput('maxTotal', 'number', '0'),
+			createMockInput('maxWindow', 'number', '1338')
+		];
+
+		const { values, errors } = await saveOptions(inputs);
+
+		expect(values).toEqual({});
+		expect(errors.maxTotal).toMatch(/between 1 and 1337/);
+		expect(errors.maxWindow).toMatch(/between 1 and 1337/);
+	});
+
+	it('should refuse templates with unbalanced braces but keep valid fields', async () => {
+		const inputs = [
+			createMockInput('alertMessage', 'text', 'Only {maxPlace tabs'),
+			createMockInput('displayBadge', 'checkbox', true)
+		];
+
+		const { values, errors } = await saveOptions(inputs);
+
+		expect(values).toEqual({ displayBadge: true });
+		expect(errors.alertMessage).toMatch(/without a matching/);
+	});
+
+	it('should check selects and pattern fields with the shared schema', async () => {
+		const inputs = [
+			createMockInput('evictionStrategy', 'select-one', 'newest'),
+			createMockInput('warnTotalAt', 'text', 'most'),
+			createMockInput('warnWindowAt', 'text', '75%')
+		];
+
+		const { values, errors } = await saveOptions(inputs);
+
+		expect(values).toEqual({ warnWindowAt: '75%' });
+		expect(errors.evictionStrategy).toMatch(/must be one of leastRecentlyActive/);
+		expect(errors.warnTotalAt).toMatch(/a number or a percentage/);
+	});
+
 	it('should save text values correctly', async () => {
 		const inputs = [
 			createMockInput('alertMessage', 'text', 'Custom message: {maxTotal}')
@@ -211,7 +344,7 @@ describe('saveOptions', () => {
 		);
 	});
 
-	it('should update badge after saving', async () => {
+	it('should leave the badge to the service worker', async () => {
 		const inputs = [
 			createMockInput('displayBadge', 'checkbox', true),
 			createMockInput('maxTotal', 'number', '50'),
@@ -220,7 +353,7 @@ describe('saveOptions', () => {
 
 		await saveOptions(inputs);
 
-		expect(mockChrome.action.setBadgeText).toHaveBeenCalled();
+		expect(mockChrome.action.setBadgeText).not.toHaveBeenCalled();
 	});
 });
 
@@ -274,21 +407,6 @@ describe('restoreOptions', () => {
 	});
 });
 
-describe('updateBadge from options', () => {
-	it('should clear badge when displayBadge is false', async () => {
-		const options = { ...DEFAULT_OPTIONS, displayBadge: false };
-		await updateBadge(options);
-		expect(mockChrome.action.setBadgeText).toHaveBeenCalledWith({ text: "" });
-	});
-
-	it('should show badge with correct count when enabled', async () => {
-		mockChrome.tabs.query.mockResolvedValue([{}, {}, {}, {}, {}]); // 5 tabs
-		const options = { ...DEFAULT_OPTIONS, displayBadge: true, maxWindow: 10, maxTotal: 50 };
-		await updateBadge(options);
-		expect(mockChrome.action.setBadgeText).toHaveBeenCalledWith({ text: "5" });
-	});
-});
-
 describe('Input validation constraints', () => {
 	it('should enforce minimum tab limit of 1', () => {
 		// This tests the HTML constraint min="1" - validated at UI level
@@ -322,8 +440,8 @@ describe('Options page integration', () => {
 		// Verify storage was updated
 		expect(mockChrome.storage.sync.data).toEqual(
 			expect.objectContaining({
-				maxTotal: '75',
-				maxWindow: '15',
+				maxTotal: 75,
+				maxWindow: 15,
 				displayBadge: true,
 				countPinnedTabs: true,
 				exceedTabNewWindow: true,
@@ -347,8 +465,8 @@ describe('Options page integration', () => {
 		await restoreOptions(freshInputs);
 
 		// Verify values were restored
-		expect(freshInputs[0].value).toBe('75');
-		expect(freshInputs[1].value).toBe('15');
+		expect(freshInputs[0].value).toBe(75);
+		expect(freshInputs[1].value).toBe(15);
 		expect(freshInputs[2].checked).toBe(true);
 		expect(freshInputs[3].checked).toBe(true);
 		expect(freshInputs[4].checked).toBe(true);
@@ -357,16 +475,185 @@ describe('Options page integration', () => {
 	});
 });
 
-describe('Pinned tab handling in options', () => {
-	it('should include pinned tabs when countPinnedTabs is true', async () => {
-		const options = { ...DEFAULT_OPTIONS, countPinnedTabs: true };
-		await tabQuery(options, { currentWindow: true });
-		expect(mockChrome.tabs.query).toHaveBeenCalledWith({ currentWindow: true });
+describe('Per-window limits', () => {
+	it('should name a window after its active tab', () => {
+		const tabs = [{ title: "Reference" }, { title: "Guide", active: true }];
+		expect(describeWindow({ tabs })).toBe("Guide (2 tabs)");
+		expect(describeWindow({ tabs: [{ url: "https://example.com/" }] })).toBe("https://example.com/ (1 tab)");
+		expect(describeWindow({})).toBe("0 tabs");
+	});
+});
+
+describe('Rule editors', () => {
+	const scheduleSchema = OPTION_SCHEMA.schedules.items;
+	const scheduleFields = {
+		name: { title: 'Name' },
+		start: { title: 'Start' },
+		end: { title: 'End' },
+		maxTotal: { title: 'Max. total tabs' },
+		maxWindow: { title: 'Max. tabs in one window' }
+	};
+	const readSchedule = (values) => ({
+		name: values.name,
+		days: 62,
+		start: values.start,
+		end: values.end,
+		maxTotal: parseLimit(values.maxTotal, scheduleSchema.maxTotal),
+		maxWindow: parseLimit(values.maxWindow, scheduleSchema.maxWindow)
+	});
+
+	it('should accept a schedule that keeps the regular window limit', () => {
+		const schedule = readSchedule({ name: 'Work', start: '09:00', end: '17:00', maxTotal: '20', maxWindow: '' });
+		expect(schedule.maxWindow).toBeNull();
+		expect(validateRule(schedule, scheduleSchema, scheduleFields)).toEqual({});
+	});
+
+	it('should name each invalid schedule field', () => {
+		const schedule = readSchedule({ name: 'Work', start: '', end: '17:00', maxTotal: '0', maxWindow: '2000' });
+		expect(validateRule(schedule, scheduleSchema, scheduleFields)).toEqual({
+			start: 'Start must be a time such as 09:00, got ""',
+			maxTotal: 'Max. total tabs must be between 1 and 1337, got 0',
+			maxWindow: 'Max. tabs in one window must be between 1 and 1337, got 2000'
+		});
+	});
+
+	it('should check fractional tab weights against their range', () => {
+		const schema = OPTION_SCHEMA.tabWeights.items;
+		const fields = { pattern: { title: 'Pattern' }, weight: { title: 'Weight' } };
+		const weigh = (weight) => validateRule(
+			{ pattern: '*://docs.example.com/*', weight: coerceValue(weight, schema.weight) }, schema, fields
+		);
+
+		expect(weigh('0.5')).toEqual({});
+		expect(weigh('101')).toEqual({ weight: 'Weight must be between 0 and 100, got 101' });
+		expect(weigh('')).toEqual({ weight: 'Weight must be a number, got ""' });
+	});
+
+	it('should check group titles and limits', () => {
+		const schema = OPTION_SCHEMA.groupLimits.items;
+		const fields = { title: { title: 'Group title' }, max: { title: 'Max. tabs' } };
+		expect(validateRule({ title: 'x'.repeat(101), max: 8 }, schema, fields)).toEqual({
+			title: 'Group title must be at most 100 characters long'
+		});
+	});
+});
+
+describe('Domain limit hostnames', () => {
+	it('should accept bare hostnames', () => {
+		expect(normalizeHostname(' GitHub.com ')).toBe('github.com');
+	});
+
+	it('should strip scheme and path from pasted URLs', () => {
+		expect(normalizeHostname('https://www.youtube.com/watch?v=1')).toBe('www.youtube.com');
+	});
+
+	it('should return an empty string for invalid input', () => {
+		expect(normalizeHostname('')).toBe('');
+		expect(normalizeHostname('http://')).toBe('');
+	});
+});
+
+describe('Profile-aware saving', () => {
+	it('should save to top-level options when no profile is active', async () => {
+		await storeOptions({ maxTotal: 42 });
+		expect(mockChrome.storage.sync.data).toEqual({ maxTotal: 42 });
+	});
+
+	it('should save into the active profile only', async () => {
+		mockChrome.storage.sync.data = {
+			activeProfile: 'Focus',
+			'profile:Focus': { maxTotal: 10, maxWindow: 5 },
+			'profile:Research': { maxTotal: 100 }
+		};
+		await storeOptions({ maxTotal: 12 });
+		expect(mockChrome.storage.sync.data.maxTotal).toBeUndefined();
+		expect(mockChrome.storage.sync.data['profile:Focus']).toEqual({ maxTotal: 12, maxWindow: 5 });
+		expect(mockChrome.storage.sync.set).toHaveBeenCalledWith({ 'profile:Focus': { maxTotal: 12, maxWindow: 5 } });
+	});
+
+	it('should save to top-level options when the active profile was deleted', async () => {
+		mockChrome.storage.sync.data = { activeProfile: 'Deleted' };
+		await storeOptions({ maxTotal: 42 });
+		expect(mockChrome.storage.sync.data.maxTotal).toBe(42);
+	});
+});
+
+describe('Save errors', () => {
+	it('should explain sync storage quota errors', () => {
+		const error = new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+		expect(describeSaveError(error)).toMatch(/^Sync storage is full/);
+	});
+
+	it('should pass other errors on', () => {
+		expect(describeSaveError(new Error('Disk on fire'))).toBe('This was not saved: Disk on fire');
+	});
+});
+
+describe('Settings export and import', () => {
+	it('should bring back a profile that is not active exactly as it was', async () => {
+		const focus = {
+			...DEFAULT_OPTIONS,
+			maxTotal: 10,
+			domainLimits: [{ hostname: 'github.com', max: 3, includeSubdomains: true }],
+			allowlist: ['*://intranet/*']
+		};
+		mockChrome.storage.sync.data = { maxTotal: 40, activeProfile: '', 'profile:Focus': focus, 'profile:Old': { ...DEFAULT_OPTIONS } };
+		const exported = JSON.parse(JSON.stringify(await getStoredSettings()));
+
+		mockChrome.storage.sync.data = { 'profile:Old': { ...DEFAULT_OPTIONS } };
+		await storeImportedSettings(exported);
+
+		expect(mockChrome.storage.sync.data['profile:Focus']).toEqual(focus);
+		expect(mockChrome.storage.sync.data['profile:Old']).toEqual(DEFAULT_OPTIONS);
+		expect(diffSettings(await getStoredSettings(), exported)).toEqual([]);
+
+		mockChrome.storage.sync.data.activeProfile = 'Focus';
+		const resolved = resolveProfile(await chrome.storage.sync.get(DEFAULT_OPTIONS), await getProfileState());
+		expect(resolved.domainLimits).toEqual(focus.domainLimits);
+		expect(resolved.allowlist).toEqual(focus.allowlist);
+	});
+
+	it('should remove stored profiles the file does not have', async () => {
+		mockChrome.storage.sync.data = { 'profile:Old': { ...DEFAULT_OPTIONS } };
+		await storeImportedSettings({ profiles: { Focus: { ...DEFAULT_OPTIONS, maxTotal: 10 } } });
+		expect(Object.keys(mockChrome.storage.sync.data)).toEqual(['profile:Focus']);
+	});
+});
+
+describe('Settings import preview', () => {
+	const current = {
+		options: { maxTotal: 50, maxWindow: 20, domainLimits: [] },
+		profiles: { Focus: { maxTotal: 10, maxWindow: 5 }, Research: { maxTotal: 100 } },
+		activeProfile: ''
+	};
+
+	it('should list only the options that change', () => {
+		expect(diffSettings(current, { options: { maxTotal: 50, maxWindow: 8 } })).toEqual([
+			{ path: 'maxWindow', before: 20, after: 8 }
+		]);
+	});
+
+	it('should compare lists by value', () => {
+		const domainLimits = [{ hostname: 'github.com', max: 3 }];
+		expect(diffSettings(current, { options: { domainLimits } })).toEqual([
+			{ path: 'domainLimits', before: [], after: domainLimits }
+		]);
+	});
+
+	it('should report added, removed and changed profiles', () => {
+		const changes = diffSettings(current, {
+			profiles: { Focus: { maxTotal: 12, maxWindow: 5 }, Travel: { maxTotal: 5 } },
+			activeProfile: 'Travel'
+		});
+		expect(changes.map(({ path }) => path)).toEqual([
+			'profile "Research"',
+			'profile "Focus": maxTotal',
+			'profile "Travel"',
+			'activeProfile'
+		]);
 	});
 
-	it('should exclude pinned tabs when countPinnedTabs is false', async () => {
-		const options = { ...DEFAULT_OPTIONS, countPinnedTabs: false };
-		await tabQuery(options, { currentWindow: true });
-		expect(mockChrome.tabs.query).toHaveBeenCalledWith({ currentWindow: true, pinned: false });
+	it('should return nothing for identical settings', () => {
+		expect(diffSettings(current, current)).toEqual([]);
 	});
 });
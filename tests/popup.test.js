@@ -0,0 +1,164 @@
+/**
+ * Unit Tests for Tab Limiter Popup
+ *
+ * Tests cover:
+ * - Enforcement mode descriptions
+ * - Progress bar fill and meter labels
+ * - Limits for single windows
+ * - Profile switcher
+ * - Snooze presets
+ */
+
+// Popup functions for testing
+const formatTime = (time) =>
+	new Date(time).toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+const describeMode = (dashboard) => {
+	switch (dashboard.mode) {
+		case "off":
+			return "Limits are off.";
+		case "snoozed":
+			return `Limits are snoozed until ${formatTime(dashboard.snoozedUntil)}; new tabs are counted but not blocked.`;
+		case "ignored":
+			return "Tabs in incognito windows are not limited.";
+		default: {
+			const details = [];
+			if (dashboard.incognito) details.push("incognito limits");
+			if (dashboard.profile) details.push(`profile ${dashboard.profile}`);
+			if (dashboard.schedule) details.push(`schedule ${dashboard.schedule}`);
+			return details.length > 0 ? `Limits are on (${details.join(", ")}).` : "Limits are on.";
+		}
+	}
+};
+
+const describePasses = (passes) =>
+	passes === 1 ? "The next tab over the limit will be allowed." : `The next ${passes} tabs over the limit will be allowed.`;
+
+const getFillPercent = (count, max) => (max > 0 ? Math.min(100, Math.round(count / max * 100)) : 0);
+
+const getWindowLabel = (windowInfo, index) => {
+	const label = windowInfo.current ? "This window" : `Window ${index + 1}`;
+	return windowInfo.custom ? `${label} (own limit)` : label;
+};
+
+const getGroupLabel = (group) => (group.title ? `Group "${group.title}"` : "Unnamed group");
+
+const getProfileButtons = (profiles, activeProfile) => ["", ...profiles].map((name) => ({
+	name,
+	label: name || "Default",
+	active: name === activeProfile || (!name && !profiles.includes(activeProfile))
+}));
+
+const parseWindowLimit = (value) => {
+	const max = Number(value);
+	return Number.isInteger(max) && max >= 1 && max <= 1337 ? max : null;
+};
+
+const getSnoozeEnd = (preset, now = new Date()) => {
+	if (preset === "tomorrow") {
+		return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+	}
+	return now.getTime() + parseInt(preset, 10) * 60 * 1000;
+};
+
+describe('describeMode', () => {
+	it('should describe limits that are on', () => {
+		expect(describeMode({ mode: "on", profile: "", schedule: "" })).toBe("Limits are on.");
+	});
+
+	it('should name the active profile and schedule', () => {
+		expect(describeMode({ mode: "on", profile: "Focus", schedule: "Work hours" }))
+			.toBe("Limits are on (profile Focus, schedule Work hours).");
+	});
+
+	it('should mention the incognito limits', () => {
+		expect(describeMode({ mode: "on", incognito: true })).toBe("Limits are on (incognito limits).");
+	});
+
+	it('should describe limits that are off or not applied', () => {
+		expect(describeMode({ mode: "off" })).toBe("Limits are off.");
+		expect(describeMode({ mode: "ignored" })).toBe("Tabs in incognito windows are not limited.");
+	});
+
+	it('should say until when limits are snoozed', () => {
+		const snoozedUntil = new Date(2024, 2, 5, 14, 30).getTime();
+		expect(describeMode({ mode: "snoozed", snoozedUntil })).toBe(
+			`Limits are snoozed until ${formatTime(snoozedUntil)}; new tabs are counted but not blocked.`
+		);
+	});
+});
+
+describe('describePasses', () => {
+	it('should count the tabs that will be allowed', () => {
+		expect(describePasses(1)).toBe("The next tab over the limit will be allowed.");
+		expect(describePasses(3)).toBe("The next 3 tabs over the limit will be allowed.");
+	});
+});
+
+describe('Meters', () => {
+	it('should fill the bar relative to the limit', () => {
+		expect(getFillPercent(5, 20)).toBe(25);
+		expect(getFillPercent(2.5, 10)).toBe(25);
+	});
+
+	it('should never overfill the bar', () => {
+		expect(getFillPercent(30, 20)).toBe(100);
+	});
+
+	it('should leave the bar empty without a limit', () => {
+		expect(getFillPercent(5, 0)).toBe(0);
+	});
+
+	it('should label the current window and number the others', () => {
+		expect(getWindowLabel({ current: true }, 0)).toBe("This window");
+		expect(getWindowLabel({ current: false }, 1)).toBe("Window 2");
+	});
+
+	it('should label groups by title', () => {
+		expect(getGroupLabel({ title: "Work" })).toBe('Group "Work"');
+		expect(getGroupLabel({ title: "" })).toBe("Unnamed group");
+	});
+});
+
+describe('Window limit', () => {
+	it('should mark windows with their own limit', () => {
+		expect(getWindowLabel({ current: true, custom: true }, 0)).toBe("This window (own limit)");
+		expect(getWindowLabel({ current: false, custom: true }, 2)).toBe("Window 3 (own limit)");
+	});
+
+	it('should only accept whole limits in range', () => {
+		expect(parseWindowLimit("40")).toBe(40);
+		expect(parseWindowLimit("")).toBeNull();
+		expect(parseWindowLimit("2.5")).toBeNull();
+		expect(parseWindowLimit("0")).toBeNull();
+		expect(parseWindowLimit("5000")).toBeNull();
+	});
+});
+
+describe('Profile switcher', () => {
+	it('should offer the default options and every profile, marking the active one', () => {
+		expect(getProfileButtons(["Focus", "Research"], "Focus")).toEqual([
+			{ name: "", label: "Default", active: false },
+			{ name: "Focus", label: "Focus", active: true },
+			{ name: "Research", label: "Research", active: false }
+		]);
+	});
+
+	it('should mark the default options when no known profile is active', () => {
+		expect(getProfileButtons(["Focus"], "").map((button) => button.active)).toEqual([true, false]);
+		expect(getProfileButtons(["Focus"], "Deleted").map((button) => button.active)).toEqual([true, false]);
+	});
+});
+
+describe('Snooze presets', () => {
+	const now = new Date(2024, 2, 5, 22, 40);
+
+	it('should snooze for a number of minutes', () => {
+		expect(getSnoozeEnd("15", now) - now.getTime()).toBe(15 * 60 * 1000);
+		expect(getSnoozeEnd("60", now) - now.getTime()).toBe(60 * 60 * 1000);
+	});
+
+	it('should snooze until local midnight for tomorrow', () => {
+		expect(getSnoozeEnd("tomorrow", now)).toBe(new Date(2024, 2, 6).getTime());
+	});
+});
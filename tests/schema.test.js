@@ -0,0 +1,362 @@
+/**
+ * Unit Tests for Tab Limiter Options Schema
+ *
+ * Tests cover:
+ * - Per-field validation with readable errors
+ * - Unknown keys and out-of-range values
+ * - Settings document format and version checks
+ * - Coercion of legacy string numbers
+ * - Sanitizing corrupted options before enforcement
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Loaded from the file the extension ships rather than a copy of it
+const {
+	DEFAULT_OPTIONS,
+	MIGRATIONS,
+	OPTION_SCHEMA,
+	OPTIONS_SCHEMA_VERSION,
+	PROFILE_PRESETS,
+	SETTINGS_FORMAT,
+	SETTINGS_VERSION,
+	applySchedule,
+	coerceOptions,
+	findActiveSchedule,
+	getNextScheduleChange,
+	pickProfiles,
+	sanitizeOptions,
+	toProfileItems,
+	validateOptions,
+	validateSettingsDocument
+} = new Function(`${fs.readFileSync(path.join(__dirname, '..', 'schema.js'), 'utf8')}
+	return {
+		DEFAULT_OPTIONS, MIGRATIONS, OPTION_SCHEMA, OPTIONS_SCHEMA_VERSION, PROFILE_PRESETS,
+		SETTINGS_FORMAT, SETTINGS_VERSION,
+		applySchedule, coerceOptions, findActiveSchedule, getNextScheduleChange, pickProfiles,
+		sanitizeOptions, toProfileItems, validateOptions, validateSettingsDocument
+	};`)();
+
+describe('validateOptions', () => {
+	it('should accept the default options', () => {
+		const defaults = {
+			maxTotal: 50,
+			maxWindow: 20,
+			exceedTabNewWindow: false,
+			displayAlert: true,
+			countPinnedTabs: false,
+			displayBadge: false,
+			alertMessage: "You decided not to open more than {maxPlace} tabs in {place}",
+			domainLimits: [],
+			schedules: []
+		};
+		expect(validateOptions(defaults)).toEqual([]);
+	});
+
+	it('should describe every shared default and accept all of them', () => {
+		expect(Object.keys(OPTION_SCHEMA).sort()).toEqual(Object.keys(DEFAULT_OPTIONS).sort());
+		expect(validateOptions(DEFAULT_OPTIONS)).toEqual([]);
+	});
+
+	it('should reject out-of-range numbers with the allowed range', () => {
+		expect(validateOptions({ maxTotal: 2000 })).toEqual([
+			"options.maxTotal must be between 1 and 1337, got 2000"
+		]);
+	});
+
+	it('should reject unknown keys', () => {
+		expect(validateOptions({ maxTabs: 5 })).toEqual(["options.maxTabs is not a known option"]);
+	});
+
+	it('should reject wrong types', () => {
+		expect(validateOptions({ maxWindow: "20", displayBadge: "yes" })).toEqual([
+			'options.maxWindow must be a whole number, got "20"',
+			'options.displayBadge must be true or false, got "yes"'
+		]);
+	});
+
+	it('should reject unknown enum values', () => {
+		expect(validateOptions({ duplicatePolicy: "merge" })[0]).toMatch(/must be one of focusExisting, closeOlder, warn/);
+	});
+
+	it('should validate list entries with their index', () => {
+		const errors = validateOptions({
+			domainLimits: [{ hostname: "github.com", max: 3 }, { hostname: "", max: 0 }]
+		});
+		expect(errors).toEqual([
+			"options.domainLimits[1].hostname must not be empty",
+			"options.domainLimits[1].max must be between 1 and 1337, got 0"
+		]);
+	});
+
+	it('should allow null schedule limits and check times', () => {
+		const schedule = { name: "Work", days: 62, start: "09:00", end: "25:00", maxTotal: null, maxWindow: 5 };
+		expect(validateOptions({ schedules: [schedule] })).toEqual([
+			'options.schedules[0].end must be a time such as 17:00, got "25:00"'
+		]);
+	});
+
+	it('should require balanced braces in message templates', () => {
+		expect(validateOptions({ alertMessage: "Max {maxPlace} tabs in {place}" })).toEqual([]);
+		expect(validateOptions({ alertMessage: "Max {maxPlace tabs" })).toEqual([
+			"options.alertMessage has a { without a matching } or the other way round"
+		]);
+		expect(validateOptions({ warningMessage: "{{count}}" })).toHaveLength(1);
+		expect(validateOptions({ warningMessage: "count}" })).toHaveLength(1);
+	});
+
+	it('should require every field of a list entry', () => {
+		expect(validateOptions({ groupLimits: [{ title: "Work" }] })).toEqual([
+			"options.groupLimits[0].max is missing"
+		]);
+	});
+
+	it('should validate plain lists entry by entry', () => {
+		expect(validateOptions({ allowlist: ["chrome://*/*", ""] })).toEqual([
+			"options.allowlist[1] must not be empty"
+		]);
+		expect(sanitizeOptions({ allowlist: ["chrome://*/*", "", 5] }, { allowlist: [] }).allowlist).toEqual([
+			"chrome://*/*"
+		]);
+	});
+
+	it('should accept fractional weights within range', () => {
+		expect(validateOptions({ tabWeights: [{ pattern: "*://*/*", weight: 0.5 }] })).toEqual([]);
+		expect(validateOptions({ tabWeights: [{ pattern: "*://*/*", weight: -1 }] })).toEqual([
+			"options.tabWeights[0].weight must be between 0 and 100, got -1"
+		]);
+		expect(coerceOptions({ tabWeights: [{ pattern: "x", weight: "2.5" }] }).tabWeights[0].weight).toBe(2.5);
+	});
+
+	it('should accept absolute and percentage thresholds', () => {
+		expect(validateOptions({ warnTotalAt: "80%", warnWindowAt: "12" })).toEqual([]);
+		expect(validateOptions({ warnTotalAt: "lots" })).toHaveLength(1);
+	});
+});
+
+describe('validateSettingsDocument', () => {
+	const valid = {
+		format: SETTINGS_FORMAT,
+		version: SETTINGS_VERSION,
+		exportedAt: "2024-01-01T00:00:00.000Z",
+		options: { maxTotal: 30 },
+		profiles: { Focus: { maxTotal: 10 } },
+		activeProfile: "Focus"
+	};
+
+	it('should accept a valid document', () => {
+		expect(validateSettingsDocument(valid)).toEqual([]);
+	});
+
+	it('should reject domain rules that would never match a tab', () => {
+		const errors = validateSettingsDocument({
+			...valid,
+			options: {
+				domainLimits: [
+					{ hostname: "GitHub.com", max: 3 },
+					{ hostname: "https://github.com/x", max: 3 },
+					{ hostname: "http://", max: 3 }
+				],
+				idleExceptions: ["Example.org"]
+			}
+		});
+		expect(errors).toEqual([
+			'options.domainLimits[0].hostname must be written as "github.com", got "GitHub.com"',
+			'options.domainLimits[1].hostname must be written as "github.com", got "https://github.com/x"',
+			'options.domainLimits[2].hostname must be a domain such as github.com, got "http://"',
+			'options.idleExceptions[0] must be written as "example.org", got "Example.org"'
+		]);
+	});
+
+	it('should reject files that are not settings exports', () => {
+		expect(validateSettingsDocument([])).toHaveLength(1);
+		expect(validateSettingsDocument({ maxTotal: 5 })[0]).toMatch(/not a Tab Limiter settings export/);
+	});
+
+	it('should reject newer versions', () => {
+		expect(validateSettingsDocument({ ...valid, version: SETTINGS_VERSION + 1 })[0]).toMatch(/not supported/);
+	});
+
+	it('should report errors from every section', () => {
+		const errors = validateSettingsDocument({
+			...valid,
+			extra: true,
+			options: { maxTotal: 1338 },
+			profiles: { Focus: { maxWindow: 0 } },
+			activeProfile: "Missing"
+		});
+		expect(errors).toEqual([
+			"extra is not a known settings section",
+			"options.maxTotal must be between 1 and 1337, got 1338",
+			"profiles.Focus.maxWindow must be between 1 and 1337, got 0",
+			'activeProfile "Missing" is not one of the exported profiles'
+		]);
+	});
+});
+
+describe('coerceOptions', () => {
+	it('should turn stored number strings into integers', () => {
+		expect(coerceOptions({ maxTotal: "75", alertMessage: "42", unknown: "1" })).toEqual({
+			maxTotal: 75,
+			alertMessage: "42",
+			unknown: "1"
+		});
+	});
+
+	it('should convert text flags and numbers inside list entries', () => {
+		expect(coerceOptions({
+			displayBadge: "true",
+			domainLimits: [{ hostname: "github.com", max: "3", includeSubdomains: "false" }]
+		})).toEqual({
+			displayBadge: true,
+			domainLimits: [{ hostname: "github.com", max: 3, includeSubdomains: false }]
+		});
+	});
+
+	it('should leave non-numeric strings for validation to reject', () => {
+		expect(coerceOptions({ maxWindow: "" })).toEqual({ maxWindow: "" });
+	});
+});
+
+describe('MIGRATIONS', () => {
+	it('should have one migration per schema version', () => {
+		expect(MIGRATIONS).toHaveLength(OPTIONS_SCHEMA_VERSION - 1);
+	});
+
+	it('should convert stored number strings in options and profiles', () => {
+		const migrated = MIGRATIONS[0]({
+			maxTotal: "40",
+			maxWindow: "12",
+			activeProfile: "Focus",
+			profiles: { Focus: { maxTotal: "8", alertMessage: "7" } }
+		});
+		expect(migrated).toEqual({
+			maxTotal: 40,
+			maxWindow: 12,
+			activeProfile: "Focus",
+			profiles: { Focus: { maxTotal: 8, alertMessage: "7" } }
+		});
+		expect(validateOptions({ maxTotal: migrated.maxTotal, maxWindow: migrated.maxWindow })).toEqual([]);
+	});
+
+	it('should move each profile into a sync item of its own', () => {
+		const migrated = MIGRATIONS[1]({
+			maxTotal: 40,
+			activeProfile: "Work",
+			profiles: { Work: { maxTotal: 8 }, "Late night": { maxWindow: 3 } }
+		});
+		expect(migrated).toEqual({
+			maxTotal: 40,
+			activeProfile: "Work",
+			"profile:Work": { maxTotal: 8 },
+			"profile:Late night": { maxWindow: 3 }
+		});
+	});
+
+	it('should keep the presets for users who never saved a profile', () => {
+		expect(pickProfiles(MIGRATIONS[1]({ maxTotal: 40 }))).toEqual(PROFILE_PRESETS);
+	});
+
+	it('should seed presets with every option', () => {
+		for (const preset of Object.values(PROFILE_PRESETS)) {
+			expect(Object.keys(preset)).toEqual(Object.keys(DEFAULT_OPTIONS));
+		}
+	});
+
+	it('should keep deleting every profile', () => {
+		expect(MIGRATIONS[1]({ maxTotal: 40, profiles: {} })).toEqual({ maxTotal: 40 });
+	});
+});
+
+describe('Profile items', () => {
+	it('should round-trip profiles through sync items', () => {
+		const profiles = { Focus: { maxTotal: 10 }, "profile:odd": { maxWindow: 2 } };
+		expect(pickProfiles({ ...toProfileItems(profiles), maxTotal: 50, activeProfile: "Focus" })).toEqual(profiles);
+	});
+
+	it('should skip profile items that are not objects', () => {
+		expect(pickProfiles({ "profile:Broken": "text", "profile:Fine": {} })).toEqual({ Fine: {} });
+	});
+});
+
+describe('Schedules', () => {
+	const nights = { name: "Night", days: 0b0000010, start: "22:00", end: "06:00", maxTotal: 5, maxWindow: null };
+
+	it('should keep an overnight schedule active past midnight', () => {
+		const tuesdayMorning = new Date(2024, 0, 2, 5, 30);
+		expect(findActiveSchedule({ schedules: [nights] }, tuesdayMorning)).toBe(nights);
+		expect(applySchedule({ maxTotal: 50, maxWindow: 20, schedules: [nights] }, tuesdayMorning))
+			.toEqual(expect.objectContaining({ maxTotal: 5, maxWindow: 20 }));
+	});
+
+	it('should find the next time the limits change', () => {
+		const mondayNoon = new Date(2024, 0, 1, 12, 0);
+		expect(getNextScheduleChange({ schedules: [nights] }, mondayNoon)).toEqual(new Date(2024, 0, 1, 22, 0));
+	});
+});
+
+describe('sanitizeOptions', () => {
+	const defaults = {
+		maxTotal: 50,
+		maxWindow: 20,
+		displayBadge: false,
+		alertMessage: "You decided not to open more than {maxPlace} tabs in {place}",
+		domainLimits: []
+	};
+
+	it('should keep valid options and coerce stored text', () => {
+		expect(sanitizeOptions({ ...defaults, maxTotal: "30", displayBadge: true }, defaults)).toEqual({
+			...defaults,
+			maxTotal: 30,
+			displayBadge: true
+		});
+	});
+
+	it('should fall back to defaults for missing, empty and out-of-range limits', () => {
+		const sanitized = sanitizeOptions({ maxTotal: "", maxWindow: 0 }, defaults);
+		expect(sanitized.maxTotal).toBe(50);
+		expect(sanitized.maxWindow).toBe(20);
+		expect(sanitized.displayBadge).toBe(false);
+	});
+
+	it('should store domains the way tabs report them', () => {
+		const sanitized = sanitizeOptions({
+			...defaults,
+			domainLimits: [
+				{ hostname: " GitHub.com", max: 3 },
+				{ hostname: "https://docs.example.com/path", max: 2 },
+				{ hostname: "http://", max: 1 }
+			],
+			idleExceptions: ["Example.org"]
+		}, { ...defaults, idleExceptions: [] });
+		expect(sanitized.domainLimits).toEqual([
+			{ hostname: "github.com", max: 3 },
+			{ hostname: "docs.example.com", max: 2 }
+		]);
+		expect(sanitized.idleExceptions).toEqual(["example.org"]);
+	});
+
+	it('should fall back to defaults for values of the wrong type', () => {
+		const sanitized = sanitizeOptions({ maxTotal: { broken: true }, alertMessage: "{place", domainLimits: "github.com" }, defaults);
+		expect(sanitized.maxTotal).toBe(50);
+		expect(sanitized.alertMessage).toBe(defaults.alertMessage);
+		expect(sanitized.domainLimits).toEqual([]);
+	});
+
+	it('should drop only the invalid list entries', () => {
+		const sanitized = sanitizeOptions({
+			domainLimits: [
+				{ hostname: "github.com", max: "3", includeSubdomains: true },
+				{ hostname: "", max: 3, includeSubdomains: true },
+				{ hostname: "youtube.com", max: 0, includeSubdomains: true },
+				null
+			]
+		}, defaults);
+		expect(sanitized.domainLimits).toEqual([{ hostname: "github.com", max: 3, includeSubdomains: true }]);
+	});
+
+	it('should keep keys that are not options', () => {
+		expect(sanitizeOptions({ schemaVersion: 2 }, defaults).schemaVersion).toBe(2);
+	});
+});
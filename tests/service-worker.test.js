@@ -31,6 +31,19 @@ const mockChrome = {
 			}),
 			set: jest.fn(async (updates) => {
 				Object.assign(mockChrome.storage.sync._data, updates);
+			}),
+			remove: jest.fn(async (keys) => {
+				for (const key of [].concat(keys)) delete mockChrome.storage.sync._data[key];
+			})
+		},
+		local: {
+			_data: {},
+			get: jest.fn(async (key) => ({ [key]: mockChrome.storage.local._data[key] })),
+			set: jest.fn(async (updates) => {
+				Object.assign(mockChrome.storage.local._data, updates);
+			}),
+			remove: jest.fn(async (key) => {
+				delete mockChrome.storage.local._data[key];
 			})
 		}
 	},
@@ -54,7 +67,8 @@ const mockChrome = {
 	runtime: {
 		onInstalled: { addListener: jest.fn() },
 		onStartup: { addListener: jest.fn() },
-		getManifest: jest.fn(() => ({ version: '0.4.0' }))
+		getManifest: jest.fn(() => ({ version: '0.4.0' })),
+		getURL: jest.fn((path) => `chrome-extension://test/${path}`)
 	}
 };
 
@@ -67,7 +81,9 @@ const SESSION_STATE_DEFAULTS = {
 	tabCount: INITIAL_TAB_COUNT,
 	previousTabCount: INITIAL_TAB_COUNT,
 	amountOfTabsCreated: INITIAL_TAB_COUNT,
-	passes: 0
+	passes: 0,
+	tabActivatedAt: {},
+	tabCreatedAt: {}
 };
 
 const DEFAULT_OPTIONS = {
@@ -95,6 +111,63 @@ const SessionState = {
 	}
 };
 
+// Migrations for testing; tests replace MIGRATIONS to exercise the runner
+const OPTIONS_SCHEMA_VERSION = 3;
+let MIGRATIONS = [];
+
+async function displayNotification(message) {
+	try {
+		const notificationId = `tab-limiter-${Date.now()}`;
+		await chrome.notifications.create(notificationId, {
+			type: 'basic',
+			iconUrl: chrome.runtime.getURL('icons/48.png'),
+			title: 'Tab Limiter',
+			message
+		});
+	} catch (error) {
+		console.error("Failed to display notification:", error);
+	}
+}
+
+async function migrateStoredOptions() {
+	const items = await chrome.storage.sync.get(null);
+	let version = items.schemaVersion || 1;
+	let migrated = items;
+
+	try {
+		for (; version < OPTIONS_SCHEMA_VERSION; version++) {
+			migrated = MIGRATIONS[version - 1](structuredClone(migrated));
+		}
+
+		const removedKeys = Object.keys(items).filter((key) => !(key in migrated));
+		if (removedKeys.length > 0) {
+			await chrome.storage.sync.remove(removedKeys);
+		}
+		await chrome.storage.sync.set({
+			...migrated,
+			defaultOptions: DEFAULT_OPTIONS,
+			schemaVersion: Math.max(version, OPTIONS_SCHEMA_VERSION)
+		});
+		await chrome.storage.local.remove("migrationError");
+		return true;
+	} catch (error) {
+		console.error(`Failed to migrate options to version ${version + 1}:`, error);
+		await reportMigrationFailure(version + 1, error);
+		return false;
+	}
+}
+
+async function reportMigrationFailure(version, error) {
+	try {
+		await chrome.storage.local.set({
+			migrationError: { version, message: String(error && error.message || error), timestamp: Date.now() }
+		});
+		await displayNotification("Your settings could not be upgraded, so the previous ones are still in use. Open the options for details.");
+	} catch (reportError) {
+		console.error("Failed to report migration failure:", reportError);
+	}
+}
+
 // Simulate service worker lifecycle
 const ServiceWorkerSimulator = {
 	isActive: false,
@@ -128,6 +201,8 @@ const ServiceWorkerSimulator = {
 beforeEach(() => {
 	mockChrome.storage.session._data = {};
 	mockChrome.storage.sync._data = {};
+	mockChrome.storage.local._data = {};
+	mockChrome.notifications.create.mockClear();
 	mockChrome.tabs.query.mockClear();
 	mockChrome.tabs.query.mockResolvedValue([]);
 	mockChrome.action.setBadgeText.mockClear();
@@ -268,6 +343,74 @@ describe('handleInstalled Event', () => {
 	});
 });
 
+describe('Options migrations on update', () => {
+	const renameMaxTabs = (items) => {
+		items.maxTotal = items.maxTabs;
+		delete items.maxTabs;
+		return items;
+	};
+	const addSchedules = (items) => ({ ...items, schedules: items.schedules || [] });
+
+	beforeEach(() => {
+		MIGRATIONS = [renameMaxTabs, addSchedules];
+	});
+
+	it('should run every migration from the stored version', async () => {
+		mockChrome.storage.sync._data = { maxTabs: 30, defaultOptions: { maxTotal: 10 } };
+
+		expect(await migrateStoredOptions()).toBe(true);
+
+		const data = mockChrome.storage.sync._data;
+		expect(data.maxTotal).toBe(30);
+		expect(data.maxTabs).toBeUndefined();
+		expect(data.schedules).toEqual([]);
+		expect(data.schemaVersion).toBe(3);
+	});
+
+	it('should refresh the defaults frozen at install', async () => {
+		mockChrome.storage.sync._data = { schemaVersion: 3, defaultOptions: { maxTotal: 10 } };
+
+		await migrateStoredOptions();
+
+		expect(mockChrome.storage.sync._data.defaultOptions).toEqual(DEFAULT_OPTIONS);
+	});
+
+	it('should skip migrations that already ran', async () => {
+		mockChrome.storage.sync._data = { schemaVersion: 2, maxTabs: 30 };
+
+		await migrateStoredOptions();
+
+		expect(mockChrome.storage.sync._data.maxTabs).toBe(30);
+		expect(mockChrome.storage.sync._data.schedules).toEqual([]);
+	});
+
+	it('should keep the previous options and report a failed migration', async () => {
+		const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+		MIGRATIONS[1] = () => {
+			throw new Error('schedules are corrupt');
+		};
+		mockChrome.storage.sync._data = { maxTabs: 30 };
+
+		expect(await migrateStoredOptions()).toBe(false);
+
+		expect(mockChrome.storage.sync._data).toEqual({ maxTabs: 30 });
+		expect(mockChrome.storage.local._data.migrationError).toMatchObject({
+			version: 3,
+			message: 'schedules are corrupt'
+		});
+		expect(mockChrome.notifications.create).toHaveBeenCalled();
+		consoleSpy.mockRestore();
+	});
+
+	it('should clear a previous failure once migrations succeed', async () => {
+		mockChrome.storage.local._data = { migrationError: { version: 3, message: 'old' } };
+
+		await migrateStoredOptions();
+
+		expect(mockChrome.storage.local._data.migrationError).toBeUndefined();
+	});
+});
+
 describe('handleStartup Event', () => {
 	it('should initialize session state on browser startup', async () => {
 		// Pre-populate session with stale data (shouldn't happen, but test robustness)
@@ -361,6 +504,28 @@ describe('Passes Persistence Across Wake Cycles', () => {
 	});
 });
 
+describe('Tab Activity Persistence Across Wake Cycles', () => {
+	it('should keep tab activity timestamps across service worker restarts', async () => {
+		await SessionState.set({ tabActivatedAt: { 12: 1000 }, tabCreatedAt: { 12: 500 } });
+
+		ServiceWorkerSimulator.goIdle();
+		ServiceWorkerSimulator.wakeUp();
+
+		const state = await SessionState.get();
+		expect(state.tabActivatedAt).toEqual({ 12: 1000 });
+		expect(state.tabCreatedAt).toEqual({ 12: 500 });
+	});
+
+	it('should clear timestamps on browser startup since tab IDs change', async () => {
+		mockChrome.storage.session._data = { tabActivatedAt: { 12: 1000 } };
+
+		await SessionState.initialize();
+
+		const state = await SessionState.get();
+		expect(state.tabActivatedAt).toEqual({});
+	});
+});
+
 describe('Tab Count State Persistence', () => {
 	it('should persist tab count across idle cycles', async () => {
 		await SessionState.set({
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Tab Limiter Statistics Page
+ *
+ * Tests cover:
+ * - Daily summaries (average and peak tab counts, limit hits)
+ * - Top offending domains
+ * - CSV and JSON export
+ */
+
+// Constants
+const LIMIT_PLACES = ["window", "total", "domain", "group", "windows"];
+const TOP_DOMAIN_COUNT = 10;
+
+// Statistics page functions for testing
+const sumValues = (object) => Object.values(object || {}).reduce((sum, value) => sum + value, 0);
+
+const summarizeDays = (stats) => Object.keys(stats).sort().map((date) => {
+	const day = stats[date];
+	const row = {
+		date,
+		averageTabs: day.samples > 0 ? Math.round(day.tabSum / day.samples * 10) / 10 : 0,
+		peakTabs: day.peakTabs || 0,
+		limitHits: sumValues(day.limitHits),
+		blocked: day.blocked || 0,
+		evicted: day.evicted || 0,
+		moved: day.moved || 0
+	};
+	for (const place of LIMIT_PLACES) {
+		row[`${place}Hits`] = (day.limitHits && day.limitHits[place]) || 0;
+	}
+	return row;
+});
+
+const getTopDomains = (stats, count = TOP_DOMAIN_COUNT) => {
+	const totals = {};
+	for (const day of Object.values(stats)) {
+		for (const [domain, hits] of Object.entries(day.domains || {})) {
+			totals[domain] = (totals[domain] || 0) + hits;
+		}
+	}
+	return Object.entries(totals)
+		.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+		.slice(0, count);
+};
+
+const CSV_COLUMNS = [
+	"date", "averageTabs", "peakTabs", "limitHits",
+	...LIMIT_PLACES.map((place) => `${place}Hits`),
+	"blocked", "evicted", "moved", "topDomains"
+];
+
+const escapeCsv = (value) => {
+	const text = String(value);
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (stats) => {
+	const lines = [CSV_COLUMNS.join(",")];
+	for (const row of summarizeDays(stats)) {
+		const topDomains = getTopDomains({ [row.date]: stats[row.date] })
+			.map(([domain, hits]) => `${domain}:${hits}`)
+			.join(" ");
+		const values = { ...row, topDomains };
+		lines.push(CSV_COLUMNS.map((column) => escapeCsv(values[column])).join(","));
+	}
+	return lines.join("\n") + "\n";
+};
+
+const stats = {
+	"2024-01-02": {
+		samples: 4, tabSum: 50, peakTabs: 20,
+		limitHits: { window: 1 }, domains: { "youtube.com": 1 },
+		blocked: 1, evicted: 0, moved: 0
+	},
+	"2024-01-01": {
+		samples: 3, tabSum: 30, peakTabs: 12,
+		limitHits: { total: 2, domain: 1 }, domains: { "github.com": 2, "youtube.com": 1 },
+		blocked: 2, evicted: 1, moved: 0
+	}
+};
+
+describe('summarizeDays', () => {
+	it('should sort days and compute averages and hit totals', () => {
+		const rows = summarizeDays(stats);
+		expect(rows.map((row) => row.date)).toEqual(["2024-01-01", "2024-01-02"]);
+		expect(rows[0]).toEqual(expect.objectContaining({
+			averageTabs: 10,
+			peakTabs: 12,
+			limitHits: 3,
+			totalHits: 2,
+			domainHits: 1,
+			windowHits: 0
+		}));
+		expect(rows[1].averageTabs).toBe(12.5);
+	});
+
+	it('should handle days without samples', () => {
+		expect(summarizeDays({ "2024-01-01": {} })[0]).toEqual(expect.objectContaining({
+			averageTabs: 0,
+			peakTabs: 0,
+			limitHits: 0
+		}));
+	});
+});
+
+describe('getTopDomains', () => {
+	it('should rank domains by hits across all days', () => {
+		expect(getTopDomains(stats)).toEqual([["github.com", 2], ["youtube.com", 2]]);
+		expect(getTopDomains(stats, 1)).toEqual([["github.com", 2]]);
+	});
+});
+
+describe('toCsv', () => {
+	it('should write a header and one row per day', () => {
+		const lines = toCsv(stats).trim().split("\n");
+		expect(lines[0]).toBe(CSV_COLUMNS.join(","));
+		expect(lines[1]).toBe("2024-01-01,10,12,3,0,2,1,0,0,2,1,0,github.com:2 youtube.com:1");
+		expect(lines).toHaveLength(3);
+	});
+
+	it('should quote values containing commas or quotes', () => {
+		expect(escapeCsv('a,b')).toBe('"a,b"');
+		expect(escapeCsv('say "hi"')).toBe('"say ""hi"""');
+		expect(escapeCsv(5)).toBe('5');
+	});
+});